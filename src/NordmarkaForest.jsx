@@ -1,5 +1,5 @@
-import { useState, useEffect, useRef, useCallback } from "react";
-import GeoTIFF from "geotiff";
+import { Fragment, useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { fromArrayBuffer, fromUrl } from "geotiff";
 
 // ═══════════════════════════════════════════════════════════════
 // NORDMARKA FOREST — REAL DATA DASHBOARD
@@ -12,24 +12,249 @@ import GeoTIFF from "geotiff";
 //   • LAI computed from NDVI: LAI = 0.57 × exp(2.33 × NDVI)
 // ═══════════════════════════════════════════════════════════════
 
-const NORDMARKA = {
-  name: "Nordmarka",
-  center: [59.98, 10.72],
-  bbox: [10.60, 59.90, 10.85, 60.05],
-  area_km2: 430,
-  municipality: "Oslo / Bærum / Nittedal / Lunner / Ringerike",
-  elevation: "150–717 m",
-};
+// ── Areas of interest ──
+// Built-in areas. bbox is [west, south, east, north] in EPSG:4326, center is [lat, lon].
+const AREAS = [
+  {
+    id: "nordmarka",
+    name: "Nordmarka",
+    center: [59.98, 10.72],
+    bbox: [10.60, 59.90, 10.85, 60.05],
+    area_km2: 430,
+    municipality: "Oslo / Bærum / Nittedal / Lunner / Ringerike",
+    elevation: "150–717 m",
+  },
+  {
+    id: "ostmarka",
+    name: "Østmarka",
+    center: [59.86, 10.92],
+    bbox: [10.82, 59.78, 11.02, 59.94],
+    area_km2: 170,
+    municipality: "Oslo / Lørenskog / Enebakk / Nordre Follo",
+    elevation: "100–400 m",
+  },
+  {
+    id: "krokskogen",
+    name: "Krokskogen",
+    center: [60.00, 10.38],
+    bbox: [10.22, 59.92, 10.55, 60.10],
+    area_km2: 300,
+    municipality: "Ringerike / Bærum / Hole / Lier",
+    elevation: "200–700 m",
+  },
+];
+const DEFAULT_AREA = AREAS[0];
+
+// Area of a lon/lat bbox on a spherical earth (km²)
+function bboxAreaKm2([west, south, east, north]) {
+  const R = 6371.0088;
+  const rad = Math.PI / 180;
+  return R * R * (east - west) * rad * (Math.sin(north * rad) - Math.sin(south * rad));
+}
+
+// Parse "west,south,east,north" into a bbox array, or null if invalid
+function parseBBox(str) {
+  const parts = (str || "").split(",").map((s) => parseFloat(s.trim()));
+  if (parts.length !== 4 || parts.some((v) => !Number.isFinite(v))) return null;
+  const [west, south, east, north] = parts;
+  if (west < -180 || east > 180 || south < -90 || north > 90) return null;
+  if (west >= east || south >= north) return null;
+  return parts;
+}
+
+// ── AOI geometry ──
+// Polygons are handled as MultiPolygon coordinates: [polygon][ring][vertex] = [lon, lat].
+// Rings are evaluated with the even-odd rule, so holes (lakes, enclaves) are excluded.
+
+function bboxToPolygon([west, south, east, north]) {
+  return [[[[west, south], [east, south], [east, north], [west, north], [west, south]]]];
+}
+
+// Geodesic area of a lon/lat ring on a spherical earth (km², unsigned)
+function ringAreaKm2(ring) {
+  const R = 6371.0088;
+  const rad = Math.PI / 180;
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    sum += (lon2 - lon1) * rad * (2 + Math.sin(lat1 * rad) + Math.sin(lat2 * rad));
+  }
+  return Math.abs((sum * R * R) / 2);
+}
+
+function geometryAreaKm2(multiPolygon) {
+  return multiPolygon.reduce((total, rings) =>
+    total + rings.reduce((s, ring, i) => s + (i === 0 ? 1 : -1) * ringAreaKm2(ring), 0), 0);
+}
+
+function geometryBBox(multiPolygon) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of multiPolygon) {
+    for (const [lon, lat] of rings[0]) {
+      bbox[0] = Math.min(bbox[0], lon); bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lon); bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+  return bbox;
+}
+
+function closeRing(ring) {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+// Collect all (Multi)Polygons from a GeoJSON object into MultiPolygon coordinates
+function parseGeoJSONGeometry(json) {
+  const polygons = [];
+  const visit = (obj) => {
+    if (!obj) return;
+    if (obj.type === "FeatureCollection") obj.features?.forEach(visit);
+    else if (obj.type === "Feature") visit(obj.geometry);
+    else if (obj.type === "GeometryCollection") obj.geometries?.forEach(visit);
+    else if (obj.type === "Polygon") polygons.push(obj.coordinates);
+    else if (obj.type === "MultiPolygon") polygons.push(...obj.coordinates);
+  };
+  visit(json);
+  return polygons.map((rings) => rings.map((ring) => closeRing(ring.map(([lon, lat]) => [lon, lat]))));
+}
+
+// Polygons of a KML file, named after the first placemark holding one (the document's own
+// <name> usually comes first in the file and names the export, not the boundary)
+function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("Ugyldig KML-fil");
+  const parseRing = (el) => closeRing(
+    el.textContent.trim().split(/\s+/).map((t) => t.split(",").map(parseFloat).slice(0, 2))
+  );
+  const polygons = Array.from(doc.getElementsByTagName("Polygon"));
+  const placemark = polygons.map((poly) => poly.closest("Placemark")).find(Boolean);
+  const name = placemark && Array.from(placemark.children).find((el) => el.localName === "name")?.textContent.trim();
+  const geometry = polygons.map((poly) => {
+    const outer = poly.getElementsByTagName("outerBoundaryIs")[0]?.getElementsByTagName("coordinates")[0];
+    const inner = Array.from(poly.getElementsByTagName("innerBoundaryIs"))
+      .map((b) => b.getElementsByTagName("coordinates")[0])
+      .filter(Boolean);
+    return outer ? [parseRing(outer), ...inner.map(parseRing)] : null;
+  }).filter(Boolean);
+  return { geometry, name: name || null };
+}
+
+// Parse an uploaded GeoJSON or KML boundary file into a polygon area
+function parseBoundaryFile(fileName, text) {
+  const isKML = /\.kml$/i.test(fileName) || text.trimStart().startsWith("<");
+  let geometry;
+  let name = fileName.replace(/\.(geo)?json$|\.kml$/i, "");
+  if (isKML) {
+    const kml = parseKML(text);
+    geometry = kml.geometry;
+    if (kml.name) name = kml.name;
+  } else {
+    const json = JSON.parse(text);
+    geometry = parseGeoJSONGeometry(json);
+    name = json.name || json.properties?.name || json.features?.[0]?.properties?.name || name;
+  }
+  if (geometry.length === 0) throw new Error("Fant ingen polygoner i filen");
+  const coords = geometry.flat(2);
+  if (coords.some(([lon, lat]) => !Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lon) > 180 || Math.abs(lat) > 90)) {
+    throw new Error("Koordinatene må være i grader (EPSG:4326)");
+  }
+  return makePolygonArea(name, geometry);
+}
+
+function hashString(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+function makeCustomArea(name, bbox) {
+  return {
+    id: "custom",
+    name: name || "Eget område",
+    center: [(bbox[1] + bbox[3]) / 2, (bbox[0] + bbox[2]) / 2],
+    bbox,
+    area_km2: Math.round(bboxAreaKm2(bbox) * 10) / 10,
+    municipality: "Egendefinert område",
+    elevation: null,
+    custom: true,
+  };
+}
+
+// area_km2 comes from the polygon itself; bbox and center are derived from it
+function makePolygonArea(name, geometry) {
+  const bbox = geometryBBox(geometry);
+  return {
+    ...makeCustomArea(name, bbox),
+    id: `upload-${hashString(JSON.stringify(geometry))}`,
+    area_km2: Math.round(geometryAreaKm2(geometry) * 100) / 100,
+    municipality: "Opplastet eiendomsgrense",
+    geometry,
+  };
+}
+
+// Pixel statistics are always computed inside a polygon; bbox areas become rectangles
+function areaGeometry(area) {
+  return area.geometry || bboxToPolygon(area.bbox);
+}
+
+// Uploaded polygons are too large for the URL, so they are kept in localStorage
+// and the URL carries the id plus a bbox fallback for people without the file.
+const STORED_AREAS_KEY = "skogkontroll-areas";
+
+function loadStoredAreas() {
+  try {
+    return JSON.parse(localStorage.getItem(STORED_AREAS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function storeArea(area) {
+  try {
+    localStorage.setItem(STORED_AREAS_KEY, JSON.stringify({ ...loadStoredAreas(), [area.id]: area }));
+  } catch (e) {
+    console.warn("Could not store area:", e);
+  }
+}
+
+// The selected area lives in the URL so a view can be shared:
+//   ?area=ostmarka  or  ?area=custom&name=Min%20eiendom&bbox=10.7,59.95,10.8,60.0
+function areaFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const id = params.get("area");
+  const stored = id?.startsWith("upload-") ? loadStoredAreas()[id] : null;
+  if (stored) return stored;
+  if (id === "custom" || id?.startsWith("upload-")) {
+    const bbox = parseBBox(params.get("bbox"));
+    if (bbox) return makeCustomArea(params.get("name"), bbox);
+  }
+  return AREAS.find((a) => a.id === id) || DEFAULT_AREA;
+}
+
+function writeAreaToURL(area) {
+  const params = new URLSearchParams(window.location.search);
+  params.set("area", area.id);
+  if (area.custom) {
+    params.set("name", area.name);
+    params.set("bbox", area.bbox.map((v) => +v.toFixed(5)).join(","));
+  } else {
+    params.delete("name");
+    params.delete("bbox");
+  }
+  window.history.replaceState(null, "", `${window.location.pathname}?${params}${window.location.hash}`);
+}
 
 const STAC_API = "https://earth-search.aws.element84.com/v1";
 const NIBIO_WMS = "https://wms.nibio.no/cgi-bin/sr16";
 const MET_API = import.meta.env.DEV
-  ? "/api/met/weatherapi/locationforecast/2.0/compact"
-  : "https://met-proxy.janschill.workers.dev/weatherapi/locationforecast/2.0/compact";
+  ? "/api/met/weatherapi/locationforecast/2.0/complete"
+  : "https://met-proxy.janschill.workers.dev/weatherapi/locationforecast/2.0/complete";
 
 // Open-Meteo APIs (ERA5 reanalysis + CMIP6 projections — no auth required)
 const OPENMETEO_HISTORICAL = "https://archive-api.open-meteo.com/v1/archive";
 const OPENMETEO_CLIMATE = "https://climate-api.open-meteo.com/v1/climate";
+const OPENMETEO_FORECAST = "https://api.open-meteo.com/v1/forecast";
 
 // ── Utility: fetch with timeout ──
 async function fetchWithTimeout(url, options = {}, timeout = 12000) {
@@ -46,45 +271,431 @@ async function fetchWithTimeout(url, options = {}, timeout = 12000) {
 }
 
 // ── STAC Search: Find Sentinel-2 & Landsat scenes ──
-async function searchSTAC(collection, dateRange, maxCloud = 30) {
+// Follows the `next` links until all matches (up to maxItems) are fetched. Earth Search
+// pages with POST links whose body is merged into the original query.
+const STAC_PAGE_SIZE = 100;
+const STAC_MAX_ITEMS = 500;
+
+async function searchSTAC(collection, bbox, dateRange, maxCloud = 30, { limit = STAC_PAGE_SIZE, maxItems = STAC_MAX_ITEMS, sortby } = {}) {
   const body = {
     collections: [collection],
-    bbox: NORDMARKA.bbox,
+    bbox,
     datetime: dateRange,
-    limit: 12,
+    limit: Math.min(limit, maxItems),
     query: { "eo:cloud_cover": { lt: maxCloud } },
+    ...(sortby && { sortby }),
   };
-  const res = await fetchWithTimeout(`${STAC_API}/search`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) throw new Error(`STAC ${res.status}`);
-  const data = await res.json();
-  data.features?.sort((a, b) => (b.properties.datetime || "").localeCompare(a.properties.datetime || ""));
-  return data;
+  const features = [];
+  let request = { url: `${STAC_API}/search`, method: "POST", body };
+  while (request && features.length < maxItems) {
+    const res = await fetchWithTimeout(request.url, request.method === "POST" ? {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request.body),
+    } : {});
+    if (!res.ok) throw new Error(`STAC ${res.status}`);
+    const page = await res.json();
+    features.push(...(page.features || []));
+    const next = page.links?.find((l) => l.rel === "next");
+    request = next && page.features?.length > 0
+      ? { url: next.href, method: next.method || "GET", body: next.merge ? { ...request.body, ...next.body } : next.body }
+      : null;
+  }
+  features.sort((a, b) => (b.properties.datetime || "").localeCompare(a.properties.datetime || ""));
+  return { features: features.slice(0, maxItems) };
 }
 
-// ── Compute NDVI statistics from a Sentinel-2 scene ──
-// Uses overview (low-res) COGs for fast browser-based analysis
-async function fetchNDVIFromScene(item) {
+// ── Scene search settings ──
+// start/end are YYYY-MM-DD, null meaning "18 months ago" / "today" so the defaults keep up
+// with the calendar. months (1–12) restricts the search to a season; empty means all months.
+const SEARCH_SETTINGS_KEY = "skogkontroll-search";
+const DEFAULT_SEARCH = { start: null, end: null, maxCloud: 25, months: [] };
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function loadSearchSettings() {
   try {
-    const redUrl = item.assets?.red?.href;
-    const nirUrl = item.assets?.nir?.href;
-    if (!redUrl || !nirUrl) return null;
-    // For Sentinel-2 COGs we can read statistics from STAC metadata
-    const red_stats = item.assets?.red?.["raster:bands"]?.[0]?.statistics;
-    const nir_stats = item.assets?.nir?.["raster:bands"]?.[0]?.statistics;
-    if (red_stats && nir_stats) {
-      const ndvi = (nir_stats.mean - red_stats.mean) / (nir_stats.mean + red_stats.mean + 0.001);
-      return Math.max(0, Math.min(1, ndvi));
-    }
-    // Fallback: estimate from eo:cloud_cover (forests in Nordmarka typically 0.5–0.85 NDVI)
-    const cc = item.properties?.["eo:cloud_cover"] || 10;
-    return 0.72 - (cc / 100) * 0.15; // approximation
+    return { ...DEFAULT_SEARCH, ...JSON.parse(localStorage.getItem(SEARCH_SETTINGS_KEY)) };
   } catch {
-    return null;
+    return DEFAULT_SEARCH;
+  }
+}
+
+function resolveSearchRange({ start, end }) {
+  const today = new Date();
+  const back = new Date(today.getFullYear(), today.getMonth() - 18, today.getDate());
+  const iso = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  return { start: start || iso(back), end: end || iso(today) };
+}
+
+// STAC datetime intervals for the settings: the whole range, or one interval per run of
+// consecutive selected months in each year
+function searchWindows(search) {
+  const { start, end } = resolveSearchRange(search);
+  const months = search.months || [];
+  if (months.length === 0 || months.length === 12) return [`${start}T00:00:00Z/${end}T23:59:59Z`];
+  const pad = (n) => String(n).padStart(2, "0");
+  const windows = [];
+  for (let year = +start.slice(0, 4); year <= +end.slice(0, 4); year++) {
+    for (let m = 1; m <= 12; m++) {
+      if (!months.includes(m)) continue;
+      let last = m;
+      while (last < 12 && months.includes(last + 1)) last++;
+      const from = `${year}-${pad(m)}-01`;
+      const to = `${year}-${pad(last)}-${pad(new Date(Date.UTC(year, last, 0)).getUTCDate())}`;
+      const clippedFrom = from < start ? start : from, clippedTo = to > end ? end : to;
+      if (clippedFrom <= clippedTo) windows.push(`${clippedFrom}T00:00:00Z/${clippedTo}T23:59:59Z`);
+      m = last;
+    }
+  }
+  return windows;
+}
+
+async function searchSTACWindows(collection, bbox, windows, maxCloud) {
+  const features = [];
+  for (const window of windows) {
+    if (features.length >= STAC_MAX_ITEMS) break;
+    const data = await searchSTAC(collection, bbox, window, maxCloud, { maxItems: STAC_MAX_ITEMS - features.length });
+    features.push(...data.features);
+  }
+  features.sort((a, b) => (b.properties.datetime || "").localeCompare(a.properties.datetime || ""));
+  return { features };
+}
+
+// ── Landsat record: one clear mid-summer scene per year ──
+// July–August only, so decades of scenes are compared at the same point in the season.
+const LANDSAT_FIRST_YEAR = 1984;
+
+async function searchLandsatSummers(bbox, firstYear, lastYear) {
+  const years = Array.from({ length: lastYear - firstYear + 1 }, (_, i) => firstYear + i);
+  const items = [];
+  // A few years at a time to stay polite to the STAC API
+  for (let i = 0; i < years.length; i += 4) {
+    const batch = await Promise.all(years.slice(i, i + 4).map((year) =>
+      searchSTAC("landsat-c2-l2", bbox, `${year}-07-01T00:00:00Z/${year}-08-31T23:59:59Z`, 40, {
+        maxItems: 1,
+        sortby: [{ field: "properties.eo:cloud_cover", direction: "asc" }],
+      }).then((data) => data.features || [], () => [])
+    ));
+    items.push(...batch.flat());
+  }
+  return items;
+}
+
+// ── Sensors: band assets, reflectance scaling and harmonisation ──
+// Indices are computed on a common Sentinel-2 MSI reflectance scale so Landsat and Sentinel-2
+// scenes form one series. Band adjustments are linear [slope, intercept] on surface
+// reflectance: TM/ETM+ → OLI from Roy et al. (2016, RSE 185), and OLI → MSI by inverting the
+// HLS MSI → OLI bandpass adjustment (Claverie et al. 2018, RSE 219).
+const ETM_TO_OLI = {
+  blue: [0.8474, 0.0003], red: [0.9047, 0.0061], nir: [0.8462, 0.0412], swir16: [0.8937, 0.0254], swir22: [0.9071, 0.0172],
+};
+const MSI_TO_OLI = {
+  blue: [0.9778, -0.004], red: [0.9765, 0.0009], nir: [0.9983, -0.0001], swir16: [0.9987, -0.0011], swir22: [1.003, -0.0012],
+};
+
+const invertLinear = ([slope, intercept]) => [1 / slope, -intercept / slope];
+// Apply `first`, then `second`
+const composeLinear = (first, second) => [first[0] * second[0], first[1] * second[0] + second[1]];
+
+const OLI_TO_MSI = Object.fromEntries(Object.entries(MSI_TO_OLI).map(([band, c]) => [band, invertLinear(c)]));
+const ETM_TO_MSI = Object.fromEntries(Object.entries(ETM_TO_OLI).map(([band, c]) => [band, composeLinear(c, OLI_TO_MSI[band])]));
+
+// bands maps logical band names to STAC asset keys; mask is the per-pixel quality asset.
+// Landsat has no red-edge band. Collection 2 Level-2 surface reflectance: scale 0.0000275, offset -0.2.
+const LANDSAT_BANDS = { blue: "blue", red: "red", nir: "nir08", swir16: "swir16", swir22: "swir22" };
+const SENSORS = {
+  "sentinel-2": {
+    label: "Sentinel-2", mask: "scl", scale: 0.0001, offset: -0.1, adjust: null,
+    bands: { blue: "blue", red: "red", rededge: "rededge1", nir: "nir", swir16: "swir16", swir22: "swir22" },
+  },
+  oli: {
+    label: "Landsat 8/9 OLI", bands: LANDSAT_BANDS, mask: "qa_pixel", scale: 0.0000275, offset: -0.2, adjust: OLI_TO_MSI,
+  },
+  etm: {
+    label: "Landsat 4–7 TM/ETM+", bands: LANDSAT_BANDS, mask: "qa_pixel", scale: 0.0000275, offset: -0.2, adjust: ETM_TO_MSI,
+  },
+};
+
+function sensorForItem(item) {
+  if (item.collection !== "landsat-c2-l2") return SENSORS["sentinel-2"];
+  return /landsat-[89]/.test(item.properties?.platform) ? SENSORS.oli : SENSORS.etm;
+}
+
+// Surface reflectance of a raw pixel value on the MSI scale
+function reflectance(raw, sensor, band) {
+  const r = raw * sensor.scale + sensor.offset;
+  const adjust = sensor.adjust?.[band];
+  return adjust ? r * adjust[0] + adjust[1] : r;
+}
+
+// Landsat assets on Earth Search point at the requester-pays s3://usgs-landsat bucket;
+// USGS serves the same paths publicly over HTTPS on landsatlook.
+function assetHref(item, key) {
+  const asset = item.assets?.[key];
+  if (!asset?.href) return null;
+  if (asset.href.startsWith("https://")) return asset.href;
+  const alternate = Object.values(asset.alternate || {}).find((a) => a.href?.startsWith("https://"));
+  if (alternate) return alternate.href;
+  return asset.href.replace(/^s3:\/\/usgs-landsat\//, "https://landsatlook.usgs.gov/data/");
+}
+
+// ── Mean NDVI of a scene over the area of interest ──
+// Computed from the red/NIR COG pixels inside the AOI that SCL classifies as vegetation
+// (same pipeline as the diversity analysis). If the pixels can't be read, falls back to the STAC raster:bands statistics
+// (whole tile), and last to an estimate from cloud cover. `source` records which one was used.
+const NDVI_SOURCES = {
+  pixels: { label: "Pixels", color: "var(--green)", description: "Mean of red/NIR COG pixels inside the area" },
+  "stac-stats": { label: "STAC stats", color: "#e9c46a", description: "Tile-wide band statistics from STAC metadata (fallback)" },
+  estimate: { label: "Estimate", color: "#e07a5f", description: "Estimated from scene cloud cover (fallback)" },
+};
+
+async function fetchNDVIFromScene(item, geometry, { readPixels = true } = {}) {
+  const sensor = sensorForItem(item);
+  const redAsset = item.assets?.[sensor.bands.red], nirAsset = item.assets?.[sensor.bands.nir];
+  if (!redAsset?.href || !nirAsset?.href) return null;
+  if (readPixels) {
+    try {
+      const { rasters, valid, maskStats } = await readMaskedScene(item, geometry, ["red", "nir"]);
+      const values = computeIndexArray(rasters, valid, sensor);
+      if (values.length >= 10) {
+        const ndvi = values.reduce((s, v) => s + v, 0) / values.length;
+        return { ndvi, source: "pixels", pixelCount: values.length, maskStats: withValidCount(maskStats, values.length) };
+      }
+      // The area itself is clouded or snow-covered in this scene — skip it rather than guess
+      if (maskStats.hasSCL) return null;
+    } catch (e) {
+      console.warn(`Pixel NDVI failed for ${item.id}:`, e.message);
+    }
   }
+  const red_stats = redAsset["raster:bands"]?.[0]?.statistics;
+  const nir_stats = nirAsset["raster:bands"]?.[0]?.statistics;
+  if (red_stats && nir_stats) {
+    const red = reflectance(red_stats.mean, sensor, "red");
+    const nir = reflectance(nir_stats.mean, sensor, "nir");
+    const ndvi = (nir - red) / (nir + red + 0.001);
+    return { ndvi: Math.max(0, Math.min(1, ndvi)), source: "stac-stats" };
+  }
+  // A cloud-cover guess would only add noise to the long Landsat record
+  if (sensor !== SENSORS["sentinel-2"]) return null;
+  // Forests in Nordmarka typically 0.5–0.85 NDVI
+  const cc = item.properties?.["eo:cloud_cover"] || 10;
+  return { ndvi: 0.72 - (cc / 100) * 0.15, source: "estimate" };
+}
+
+// Scenes whose NDVI is read from pixels; the rest of a long search use the STAC statistics.
+// Picks the clearest scene of each calendar month, then the second clearest, and so on
+// (newest months first), so the cap spreads over the whole search range.
+const PIXEL_NDVI_MAX_SCENES = 48;
+
+function pixelNDVISample(items, max = PIXEL_NDVI_MAX_SCENES) {
+  const byMonth = new Map();
+  for (const item of items) {
+    const month = item.properties.datetime?.slice(0, 7) ?? "";
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(item);
+  }
+  const cloud = (i) => i.properties["eo:cloud_cover"] ?? 100;
+  const months = [...byMonth.values()].map((group) => group.sort((a, b) => cloud(a) - cloud(b)));
+  const sample = new Set();
+  for (let rank = 0; sample.size < max && months.some((group) => group.length > rank); rank++) {
+    for (const group of months) {
+      if (sample.size < max && group.length > rank) sample.add(group[rank].id);
+    }
+  }
+  return sample;
+}
+
+// LAI time series from scenes that have an NDVI value, oldest first
+function buildLAIHistory(scenes) {
+  return scenes
+    .filter((i) => i._lai != null)
+    .map((i) => ({
+      date: i.properties.datetime?.slice(0, 10),
+      month: new Date(i.properties.datetime).toLocaleString("no-NO", { month: "short" }),
+      ndvi: i._ndvi,
+      lai: i._lai,
+      source: i._ndviSource,
+      sensor: sensorForItem(i).label,
+      cloud: i.properties["eo:cloud_cover"],
+      id: i.id,
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ── NDVI phenology ──
+// Clear observations of one year are interpolated to a daily series and smoothed with a
+// Savitzky-Golay filter (Chen et al. 2004). The green season is read off the smoothed curve
+// with the 50 % amplitude rule used by TIMESAT: start (SOS) and end (EOS) are where the curve
+// crosses base + 0.5 × (peak − base) on the way up and down, peak (POS) is its maximum.
+// Base is taken separately for spring and autumn, so snow-free autumns don't shift SOS.
+const PHENO_MIN_OBS = 6;
+const PHENO_MIN_AMPLITUDE = 0.05;
+const PHENO_THRESHOLD = 0.5;
+const SG_WINDOW = 31; // days
+const SG_ORDER = 2;
+
+function dayOfYear(date) {
+  const d = new Date(date.slice(0, 10) + "T00:00:00Z");
+  return Math.round((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+}
+
+// "MM-DD" for a day of year, matching the startDate.slice(5) format of the thermal season
+function doyToDate(year, doy) {
+  return new Date(Date.UTC(year, 0, doy)).toISOString().slice(5, 10);
+}
+
+// Gaussian elimination with partial pivoting — the systems here are at most 4×4
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+// Convolution weights of a least-squares polynomial fit evaluated at the window centre:
+// w_k = Σ_i c_i k^i with (JᵀJ) c = e₀, J being the Vandermonde matrix of offsets −m…m
+function savitzkyGolayWeights(window, order) {
+  const m = (window - 1) / 2;
+  const JtJ = Array.from({ length: order + 1 }, (_, i) =>
+    Array.from({ length: order + 1 }, (_, j) => {
+      let s = 0;
+      for (let k = -m; k <= m; k++) s += k ** (i + j);
+      return s;
+    }));
+  const c = solveLinear(JtJ, JtJ.map((_, i) => (i === 0 ? 1 : 0)));
+  return Array.from({ length: window }, (_, idx) => c.reduce((s, ci, i) => s + ci * (idx - m) ** i, 0));
+}
+
+// Smooth a regularly spaced series; the ends are mirrored so the curve keeps its slope there
+function savitzkyGolay(values, window = SG_WINDOW, order = SG_ORDER) {
+  const n = values.length;
+  const m = (window - 1) / 2;
+  if (n < window) return values.slice();
+  const w = savitzkyGolayWeights(window, order);
+  const at = (i) => values[i < 0 ? -i : i >= n ? 2 * (n - 1) - i : i];
+  return values.map((_, i) => {
+    let s = 0;
+    for (let k = -m; k <= m; k++) s += w[k + m] * at(i + k);
+    return s;
+  });
+}
+
+// Fit one season from [{doy, ndvi}]. Days outside the observed span are left null, and
+// SOS/EOS are only reported when there are observations on both sides of the crossing.
+function fitPhenology(points) {
+  const byDay = {};
+  for (const p of points) (byDay[p.doy] ??= []).push(p.ndvi);
+  const obs = Object.entries(byDay)
+    .map(([doy, v]) => ({ doy: +doy, ndvi: v.reduce((a, b) => a + b, 0) / v.length }))
+    .sort((a, b) => a.doy - b.doy);
+  if (obs.length < PHENO_MIN_OBS) return null;
+
+  const first = obs[0].doy, last = obs[obs.length - 1].doy;
+  const daily = [];
+  for (let d = first, j = 0; d <= last; d++) {
+    while (obs[j + 1] && obs[j + 1].doy <= d) j++;
+    const a = obs[j], b = obs[j + 1];
+    daily.push(b ? a.ndvi + ((b.ndvi - a.ndvi) * (d - a.doy)) / (b.doy - a.doy) : a.ndvi);
+  }
+  const smooth = savitzkyGolay(daily);
+
+  let peak = 0;
+  for (let i = 1; i < smooth.length; i++) if (smooth[i] > smooth[peak]) peak = i;
+  let baseL = 0, baseR = smooth.length - 1;
+  for (let i = 0; i <= peak; i++) if (smooth[i] < smooth[baseL]) baseL = i;
+  for (let i = smooth.length - 1; i >= peak; i--) if (smooth[i] < smooth[baseR]) baseR = i;
+
+  const levelL = smooth[baseL] + PHENO_THRESHOLD * (smooth[peak] - smooth[baseL]);
+  const levelR = smooth[baseR] + PHENO_THRESHOLD * (smooth[peak] - smooth[baseR]);
+  let sos = null, eos = null;
+  if (smooth[peak] - smooth[baseL] >= PHENO_MIN_AMPLITUDE) {
+    for (let i = baseL; i <= peak; i++) if (smooth[i] >= levelL) { sos = i; break; }
+  }
+  if (smooth[peak] - smooth[baseR] >= PHENO_MIN_AMPLITUDE) {
+    for (let i = baseR; i >= peak; i--) if (smooth[i] >= levelR) { eos = i; break; }
+  }
+  const observedBefore = (i) => obs.some((o) => o.doy - first < i);
+  const observedAfter = (i) => obs.some((o) => o.doy - first > i);
+  if (sos != null && !(observedBefore(sos) && sos > 0)) sos = null;
+  if (eos != null && !(observedAfter(eos) && eos < smooth.length - 1)) eos = null;
+
+  return {
+    obs,
+    curve: smooth.map((ndvi, i) => ({ doy: first + i, ndvi })),
+    sosDOY: sos != null ? first + sos : null,
+    posDOY: first + peak,
+    eosDOY: eos != null ? first + eos : null,
+    peakNDVI: smooth[peak],
+    baseNDVI: Math.min(smooth[baseL], smooth[baseR]),
+  };
+}
+
+// Per-year phenology from pixel-based NDVI, plus a composite season pooling all years by day
+// of year for when single years are too sparsely observed
+function computePhenology(history) {
+  const clear = history
+    .filter((h) => h.source === "pixels" && h.date)
+    .map((h) => ({ year: +h.date.slice(0, 4), doy: dayOfYear(h.date), ndvi: h.ndvi }));
+  const byYear = {};
+  for (const p of clear) (byYear[p.year] ??= []).push(p);
+  const years = Object.entries(byYear)
+    .map(([year, pts]) => {
+      const fit = fitPhenology(pts);
+      return fit && { year: +year, ...fit, length: fit.sosDOY && fit.eosDOY ? fit.eosDOY - fit.sosDOY + 1 : null };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.year - b.year);
+  const all = fitPhenology(clear);
+  const composite = all && { ...all, length: all.sosDOY && all.eosDOY ? all.eosDOY - all.sosDOY + 1 : null };
+  return { years, composite, observations: clear.length };
+}
+
+// ── NDVI anomaly ──
+// Evergreen canopies still dip in NDVI through autumn and winter (low sun, snow in gaps), so a
+// single observation is judged against clear observations from the same time of year in other
+// years rather than against fixed levels. The window is circular so late December matches early January.
+// `key` picks the value, so the same baseline works for other indices (NDMI for drought).
+const BASELINE_WINDOW_DAYS = 15;
+const BASELINE_MIN_OBS = 4;
+const BASELINE_MIN_YEARS = 2;
+
+function seasonalAnomaly(history, obs, key = "ndvi") {
+  const year = obs.date.slice(0, 4);
+  const doy = dayOfYear(obs.date);
+  const baseline = history.filter((h) => {
+    if (h.source !== "pixels" || h.date.slice(0, 4) === year) return false;
+    const d = Math.abs(dayOfYear(h.date) - doy);
+    return Math.min(d, 365 - d) <= BASELINE_WINDOW_DAYS;
+  });
+  const years = [...new Set(baseline.map((h) => +h.date.slice(0, 4)))].sort((a, b) => a - b);
+  if (baseline.length < BASELINE_MIN_OBS || years.length < BASELINE_MIN_YEARS) return null;
+  const values = baseline.map((h) => h[key]);
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1));
+  // Mid-rank percentile, so an observation equal to every baseline value sits at 50
+  const below = values.filter((v) => v < obs[key]).length, ties = values.filter((v) => v === obs[key]).length;
+  return {
+    z: sd > 0 ? (obs[key] - mean) / sd : 0,
+    percentile: ((below + ties / 2) / values.length) * 100,
+    mean,
+    sd,
+    n: values.length,
+    years,
+  };
 }
 
 // ── LAI from NDVI (empirical forest formula) ──
@@ -93,54 +704,395 @@ function ndviToLAI(ndvi) {
   return 0.57 * Math.exp(2.33 * ndvi);
 }
 
-// ── Spectral Diversity Metrics ──
-// Based on "Boreal tree species diversity increases with global warming but is reversed by extremes"
-// (Nature Plants, 2024, DOI: 10.1038/s41477-024-01794-w)
-// Simplified implementation using CV(NDVI), Rao's Q, and Shannon H' from Sentinel-2 COGs.
+// ── Map projections ──
+// COGs come in the CRS of their tile grid (UTM for Sentinel-2 and Landsat), so the
+// AOI polygon is projected into image coordinates once instead of per pixel.
+
+// WGS84 → UTM (transverse Mercator series, Snyder 1987), accurate to ~1 m within a zone
+function lonLatToUTM(lon, lat, zone, south = false) {
+  const a = 6378137, f = 1 / 298.257223563, k0 = 0.9996;
+  const e2 = f * (2 - f), ep2 = e2 / (1 - e2);
+  const rad = Math.PI / 180;
+  const phi = lat * rad;
+  const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi), tanPhi = Math.tan(phi);
+  const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+  const T = tanPhi * tanPhi;
+  const C = ep2 * cosPhi * cosPhi;
+  const A = cosPhi * (lon - (zone * 6 - 183)) * rad;
+  const M = a * ((1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+    - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+    + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+    - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+  const x = 500000 + k0 * N * (A + (1 - T + C) * A ** 3 / 6
+    + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+  const y = k0 * (M + N * tanPhi * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+    + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+  return [x, south ? y + 10000000 : y];
+}
+
+// Forward projection lon/lat → CRS coordinates for the EPSG codes found in COGs
+function projectionForEPSG(epsg) {
+  if (epsg === 4326 || epsg === 4258) return (lon, lat) => [lon, lat];
+  if (epsg === 3857) {
+    return (lon, lat) => [
+      6378137 * lon * Math.PI / 180,
+      6378137 * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)),
+    ];
+  }
+  // WGS84 / UTM north (326zz) and south (327zz), ETRS89 / UTM (258zz)
+  if (epsg > 32600 && epsg <= 32660) return (lon, lat) => lonLatToUTM(lon, lat, epsg - 32600);
+  if (epsg > 32700 && epsg <= 32760) return (lon, lat) => lonLatToUTM(lon, lat, epsg - 32700, true);
+  if (epsg >= 25828 && epsg <= 25838) return (lon, lat) => lonLatToUTM(lon, lat, epsg - 25800);
+  throw new Error(`Unsupported CRS EPSG:${epsg}`);
+}
+
+// UTM → WGS84 (inverse series, Snyder 1987)
+function utmToLonLat(x, y, zone, south = false) {
+  const a = 6378137, f = 1 / 298.257223563, k0 = 0.9996;
+  const e2 = f * (2 - f), ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const M = (south ? y - 10000000 : y) / k0;
+  const mu = M / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+  const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+    + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+    + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+    + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+  const sin1 = Math.sin(phi1), cos1 = Math.cos(phi1), tan1 = Math.tan(phi1);
+  const N1 = a / Math.sqrt(1 - e2 * sin1 * sin1);
+  const T1 = tan1 * tan1;
+  const C1 = ep2 * cos1 * cos1;
+  const R1 = (a * (1 - e2)) / Math.pow(1 - e2 * sin1 * sin1, 1.5);
+  const D = (x - 500000) / (N1 * k0);
+  const lat = phi1 - (N1 * tan1 / R1) * (D * D / 2
+    - (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4 / 24
+    + (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6 / 720);
+  const lon = (D - (1 + 2 * T1 + C1) * D ** 3 / 6
+    + (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5 / 120) / cos1;
+  return [zone * 6 - 183 + (lon * 180) / Math.PI, (lat * 180) / Math.PI];
+}
+
+// Inverse of projectionForEPSG: CRS coordinates → [lon, lat]
+function inverseProjectionForEPSG(epsg) {
+  if (epsg === 4326 || epsg === 4258) return (x, y) => [x, y];
+  if (epsg === 3857) {
+    return (x, y) => [
+      (x / 6378137) * 180 / Math.PI,
+      (2 * Math.atan(Math.exp(y / 6378137)) - Math.PI / 2) * 180 / Math.PI,
+    ];
+  }
+  if (epsg > 32600 && epsg <= 32660) return (x, y) => utmToLonLat(x, y, epsg - 32600);
+  if (epsg > 32700 && epsg <= 32760) return (x, y) => utmToLonLat(x, y, epsg - 32700, true);
+  if (epsg >= 25828 && epsg <= 25838) return (x, y) => utmToLonLat(x, y, epsg - 25800);
+  throw new Error(`Unsupported CRS EPSG:${epsg}`);
+}
+
+function projectGeometry(multiPolygon, project) {
+  return multiPolygon.map((rings) => rings.map((ring) => ring.map(([lon, lat]) => project(lon, lat))));
+}
 
-function computeNDVIArray(redRaster, nirRaster, width, height, geoTransform, bbox) {
-  const [originX, pixelWidth, , originY, , pixelHeight] = geoTransform;
-  const ndviValues = [];
+// Rasterise a projected polygon onto a pixel grid (pixel centres, even-odd rule)
+// grid: { originX, originY, resX, resY (negative), col0, row0, width, height }
+function rasterizeGeometry(projected, grid) {
+  const { originX, originY, resX, resY, col0, row0, width, height } = grid;
+  const mask = new Uint8Array(width * height);
+  const edges = [];
+  for (const rings of projected) {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) edges.push([ring[i], ring[i + 1]]);
+    }
+  }
   for (let row = 0; row < height; row++) {
-    const lat = originY + row * pixelHeight;
-    if (lat < bbox[1] || lat > bbox[3]) continue;
-    for (let col = 0; col < width; col++) {
-      const lon = originX + col * pixelWidth;
-      if (lon < bbox[0] || lon > bbox[2]) continue;
-      const idx = row * width + col;
-      const rawRed = redRaster[idx];
-      const rawNir = nirRaster[idx];
-      if (rawRed === 0 || rawNir === 0) continue;
-      // Sentinel-2 L2A COG: scale=0.0001, offset=-0.1
-      const red = rawRed * 0.0001 - 0.1;
-      const nir = rawNir * 0.0001 - 0.1;
-      if (red < 0 || nir < 0 || red > 1 || nir > 1) continue;
-      const sum = nir + red;
-      if (sum === 0) continue;
-      const ndvi = (nir - red) / sum;
-      if (ndvi >= -0.2 && ndvi <= 1.0) ndviValues.push(ndvi);
+    const y = originY + (row0 + row + 0.5) * resY;
+    const xs = [];
+    for (const [[x1, y1], [x2, y2]] of edges) {
+      if ((y1 > y) !== (y2 > y)) xs.push(x1 + ((y - y1) * (x2 - x1)) / (y2 - y1));
+    }
+    xs.sort((p, q) => p - q);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const from = Math.max(0, Math.ceil((xs[k] - originX) / resX - 0.5) - col0);
+      const to = Math.min(width, Math.ceil((xs[k + 1] - originX) / resX - 0.5) - col0);
+      for (let col = from; col < to; col++) mask[row * width + col] = 1;
+    }
+  }
+  return mask;
+}
+
+// Planar area of projected polygons (CRS units²), used to pick an overview level
+function projectedArea(projected) {
+  let area = 0;
+  for (const rings of projected) {
+    rings.forEach((ring, r) => {
+      let sum = 0;
+      for (let i = 0; i < ring.length - 1; i++) sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+      area += (r === 0 ? 1 : -1) * Math.abs(sum / 2);
+    });
+  }
+  return area;
+}
+
+// ── Scene reading: COG window over the area of interest ──
+// Reads the requested assets of a STAC item over the AOI polygon's extent, all resampled onto
+// the grid of the first asset. Picks the coarsest overview that still gives at least
+// minPixels inside the polygon, so large areas stay fast and small properties keep detail.
+const MIN_AOI_PIXELS = 4000;
+
+// Windows are cached per scene, asset list and geometry so the LAI series and the
+// diversity tab share one download.
+const SCENE_CACHE_SIZE = 60;
+const sceneWindowCache = new Map();
+
+function readSceneWindow(item, assetKeys, geometry, minPixels = MIN_AOI_PIXELS) {
+  const key = `${item.id}|${assetKeys.join(",")}|${minPixels}|${hashString(JSON.stringify(geometry))}`;
+  if (!sceneWindowCache.has(key)) {
+    const promise = loadSceneWindow(item, assetKeys, geometry, minPixels);
+    promise.catch(() => sceneWindowCache.delete(key));
+    sceneWindowCache.set(key, promise);
+    if (sceneWindowCache.size > SCENE_CACHE_SIZE) sceneWindowCache.delete(sceneWindowCache.keys().next().value);
+  }
+  return sceneWindowCache.get(key);
+}
+
+async function loadSceneWindow(item, assetKeys, geometry, minPixels) {
+  const urls = assetKeys.map((key) => assetHref(item, key));
+  if (urls.some((u) => !u)) throw new Error(`Missing assets: ${assetKeys.filter((_, i) => !urls[i]).join(", ")}`);
+  const tiffs = await Promise.all(urls.map((u) => fromUrl(u)));
+
+  // Reference grid from the first asset
+  const fullImage = await tiffs[0].getImage(0);
+  const geoKeys = fullImage.getGeoKeys() || {};
+  const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey;
+  const projected = projectGeometry(geometry, projectionForEPSG(epsg));
+  const [originX, originY] = fullImage.getOrigin();
+
+  const imageCount = await tiffs[0].getImageCount();
+  const aoiArea = projectedArea(projected);
+  let image = fullImage;
+  for (let i = imageCount - 1; i > 0; i--) {
+    const candidate = await tiffs[0].getImage(i);
+    const [resX, resY] = candidate.getResolution(fullImage);
+    if (aoiArea / Math.abs(resX * resY) >= minPixels) { image = candidate; break; }
+  }
+  const [resX, resY] = image.getResolution(fullImage);
+
+  // Pixel window covering the polygon extent
+  const xs = projected.flat(2).map((p) => p[0]);
+  const ys = projected.flat(2).map((p) => p[1]);
+  const col0 = Math.max(0, Math.floor((Math.min(...xs) - originX) / resX));
+  const col1 = Math.min(image.getWidth(), Math.ceil((Math.max(...xs) - originX) / resX));
+  const row0 = Math.max(0, Math.floor((Math.max(...ys) - originY) / resY));
+  const row1 = Math.min(image.getHeight(), Math.ceil((Math.min(...ys) - originY) / resY));
+  if (col1 <= col0 || row1 <= row0) throw new Error("Area is outside the scene footprint");
+  const width = col1 - col0;
+  const height = row1 - row0;
+
+  // Geographic extent of the window, used to read the other assets on the same grid
+  const extent = [originX + col0 * resX, originY + row0 * resY, originX + col1 * resX, originY + row1 * resY];
+  const rasters = {};
+  await Promise.all(tiffs.map(async (tiff, i) => {
+    const full = i === 0 ? fullImage : await tiff.getImage(0);
+    const [bandOriginX, bandOriginY] = full.getOrigin();
+    // Coarsest overview of this band that is still at least as fine as the reference grid
+    let best = full;
+    const count = await tiff.getImageCount();
+    for (let k = 1; k < count; k++) {
+      const candidate = await tiff.getImage(k);
+      if (Math.abs(candidate.getResolution(full)[0]) <= Math.abs(resX) * 1.01) best = candidate;
+    }
+    const [bResX, bResY] = best.getResolution(full);
+    const window = [
+      Math.round((extent[0] - bandOriginX) / bResX),
+      Math.round((extent[1] - bandOriginY) / bResY),
+      Math.round((extent[2] - bandOriginX) / bResX),
+      Math.round((extent[3] - bandOriginY) / bResY),
+    ];
+    const [data] = await best.readRasters({ window, width, height, resampleMethod: "nearest" });
+    rasters[assetKeys[i]] = data;
+  }));
+
+  const grid = { originX, originY, resX, resY, col0, row0, width, height };
+  // Extent returned as [minX, minY, maxX, maxY] for WMS bboxes (resY is negative, so row1 is south)
+  return { rasters, mask: rasterizeGeometry(projected, grid), width, height, epsg, extent: [extent[0], extent[3], extent[2], extent[1]], resolution: [resX, resY] };
+}
+
+// ── Sentinel-2 Scene Classification Layer (SCL) ──
+// Per-pixel classes from the L2A processor. Clouds, shadows, snow and water distort NDVI
+// statistics, so by default only the vegetation class is kept.
+const SCL_CLASSES = {
+  0: { label: "No data", color: "#adb5bd" },
+  1: { label: "Saturated / defective", color: "#6c757d" },
+  2: { label: "Dark area / terrain shadow", color: "#495057" },
+  3: { label: "Cloud shadow", color: "#7f5539" },
+  4: { label: "Vegetation", color: "#2d6a4f" },
+  5: { label: "Not vegetated", color: "#e9c46a" },
+  6: { label: "Water", color: "#457b9d" },
+  7: { label: "Unclassified", color: "#b5838d" },
+  8: { label: "Cloud (medium prob.)", color: "#ced4da" },
+  9: { label: "Cloud (high prob.)", color: "#e9ecef" },
+  10: { label: "Thin cirrus", color: "#a8dadc" },
+  11: { label: "Snow / ice", color: "#caf0f8" },
+};
+const SCL_VEGETATION = [4];
+// Change detection also keeps "not vegetated", otherwise fresh clear-cuts would be masked away
+const SCL_LAND = [4, 5];
+
+// Combine the AOI mask with the SCL classes to keep. Returns the valid-pixel mask and
+// counts of masked pixels per SCL class (scl may be null for scenes without an SCL asset).
+function applySCLMask(aoiMask, scl, keepClasses = SCL_VEGETATION) {
+  const valid = new Uint8Array(aoiMask.length);
+  const maskedByClass = {};
+  let aoiPixels = 0;
+  let kept = 0;
+  for (let idx = 0; idx < aoiMask.length; idx++) {
+    if (!aoiMask[idx]) continue;
+    aoiPixels++;
+    if (scl && !keepClasses.includes(scl[idx])) {
+      maskedByClass[scl[idx]] = (maskedByClass[scl[idx]] || 0) + 1;
+      continue;
     }
+    valid[idx] = 1;
+    kept++;
+  }
+  return { valid, maskStats: { hasSCL: !!scl, aoiPixels, kept, maskedByClass } };
+}
+
+// Mask counts completed with the pixels the index step drops afterwards (fill, reflectance
+// outside 0–1), so masked shares are taken against the pixels finally used
+function withValidCount(maskStats, valid) {
+  return { ...maskStats, valid, invalid: maskStats.kept - valid };
+}
+
+// Landsat QA_PIXEL bit flags translated to the SCL classes above, so both sensors share
+// one mask. QA_PIXEL has no vegetation flag: clear land becomes class 4.
+function landsatQAToSCL(qa) {
+  const scl = new Uint8Array(qa.length);
+  for (let i = 0; i < qa.length; i++) {
+    const q = qa[i];
+    if (q & 1) scl[i] = 0; // fill
+    else if (q & 0b1010) scl[i] = 9; // dilated cloud, cloud
+    else if (q & 0b100) scl[i] = 10; // cirrus
+    else if (q & 0b10000) scl[i] = 3; // cloud shadow
+    else if (q & 0b100000) scl[i] = 11; // snow
+    else if (q & 0b10000000) scl[i] = 6; // water
+    else scl[i] = 4;
+  }
+  return scl;
+}
+
+// Read logical bands ("red", "nir") over the AOI together with the sensor's quality band
+// (when the scene has it) and apply the mask. Rasters are keyed by the logical band names.
+async function readMaskedScene(item, geometry, bands, { keepClasses = SCL_VEGETATION, minPixels = MIN_AOI_PIXELS } = {}) {
+  const sensor = sensorForItem(item);
+  const assetKeys = bands.map((b) => sensor.bands[b] ?? b);
+  const hasMask = !!item.assets?.[sensor.mask]?.href;
+  const scene = await readSceneWindow(item, hasMask ? [...assetKeys, sensor.mask] : assetKeys, geometry, minPixels);
+  const rasters = Object.fromEntries(bands.map((b, i) => [b, scene.rasters[assetKeys[i]]]));
+  const maskRaster = scene.rasters[sensor.mask];
+  const scl = !hasMask ? null : sensor.mask === "qa_pixel" ? landsatQAToSCL(maskRaster) : maskRaster;
+  return { ...scene, rasters, sensor, ...applySCLMask(scene.mask, scl, keepClasses) };
+}
+
+// ── Spectral indices ──
+// Band math on harmonised surface reflectance (MSI scale). Each index names the logical bands
+// it reads and a valid range; values outside it are treated as bad pixels, and the range also
+// sets the histogram bins for the diversity metrics.
+const SPECTRAL_INDICES = {
+  ndvi: {
+    id: "ndvi", label: "NDVI", name: "Normalized Difference Vegetation Index", bands: ["red", "nir"], range: [-0.2, 1],
+    formula: "(NIR − Red) / (NIR + Red)", description: "Greenness; saturates in dense spruce canopies",
+    compute: ({ red, nir }) => (nir - red) / (nir + red),
+  },
+  ndmi: {
+    id: "ndmi", label: "NDMI", name: "Normalized Difference Moisture Index", bands: ["nir", "swir16"], range: [-0.6, 0.8],
+    formula: "(NIR − SWIR1) / (NIR + SWIR1)", description: "Canopy water content; drops with drought stress and bark beetle attack",
+    compute: ({ nir, swir16 }) => (nir - swir16) / (nir + swir16),
+  },
+  nbr: {
+    id: "nbr", label: "NBR", name: "Normalized Burn Ratio", bands: ["nir", "swir22"], range: [-0.6, 1],
+    formula: "(NIR − SWIR2) / (NIR + SWIR2)", description: "Burn scars and canopy disturbance such as windthrow and clear-cuts",
+    compute: ({ nir, swir22 }) => (nir - swir22) / (nir + swir22),
+  },
+  evi: {
+    id: "evi", label: "EVI", name: "Enhanced Vegetation Index", bands: ["blue", "red", "nir"], range: [-0.2, 1],
+    formula: "2.5 × (NIR − Red) / (NIR + 6 × Red − 7.5 × Blue + 1)", description: "Greenness with less saturation over dense canopy and less atmospheric noise",
+    compute: ({ blue, red, nir }) => (2.5 * (nir - red)) / (nir + 6 * red - 7.5 * blue + 1),
+  },
+  cire: {
+    id: "cire", label: "CIre", name: "Red-edge Chlorophyll Index", bands: ["rededge", "nir"], range: [0, 10],
+    formula: "NIR / RedEdge − 1", description: "Leaf chlorophyll (Gitelson et al. 2003); Sentinel-2 only (B05 red edge)",
+    compute: ({ rededge, nir }) => nir / rededge - 1,
+  },
+};
+
+function indexSupported(index, sensor) {
+  return index.bands.every((b) => sensor.bands[b]);
+}
+
+// Index value of one pixel from raw digital numbers (0 = fill); NaN if the pixel is invalid
+function pixelIndex(rasters, idx, sensor, index) {
+  const refl = {};
+  for (const band of index.bands) {
+    const raw = rasters[band][idx];
+    if (raw === 0) return NaN;
+    const r = reflectance(raw, sensor, band);
+    if (r < 0 || r > 1) return NaN;
+    refl[band] = r;
+  }
+  const value = index.compute(refl);
+  return value >= index.range[0] && value <= index.range[1] ? value : NaN;
+}
+
+// Index values for all valid pixels (inside the AOI and not masked by SCL)
+function computeIndexArray(rasters, mask, sensor, index = SPECTRAL_INDICES.ndvi) {
+  const values = [];
+  for (let idx = 0; idx < mask.length; idx++) {
+    if (!mask[idx]) continue;
+    const v = pixelIndex(rasters, idx, sensor, index);
+    if (!Number.isNaN(v)) values.push(v);
   }
-  return ndviValues;
+  return values;
 }
 
-function computeCVNDVI(ndviArray) {
-  if (ndviArray.length === 0) return 0;
-  const mean = ndviArray.reduce((s, v) => s + v, 0) / ndviArray.length;
+// Per-pixel index on the scene window grid, NaN outside the AOI or where masked
+function computeIndexGrid(rasters, mask, sensor, index = SPECTRAL_INDICES.ndvi) {
+  const grid = new Float32Array(mask.length).fill(NaN);
+  for (let idx = 0; idx < mask.length; idx++) {
+    if (mask[idx]) grid[idx] = pixelIndex(rasters, idx, sensor, index);
+  }
+  return grid;
+}
+
+// Mean of an index over the clear pixels of a scene, or null when the sensor lacks a band
+// or too few pixels survive the mask
+async function fetchIndexFromScene(item, geometry, index) {
+  const sensor = sensorForItem(item);
+  if (!indexSupported(index, sensor)) return null;
+  const { rasters, valid } = await readMaskedScene(item, geometry, index.bands);
+  const values = computeIndexArray(rasters, valid, sensor, index);
+  if (values.length < 10) return null;
+  return { value: values.reduce((s, v) => s + v, 0) / values.length, pixelCount: values.length };
+}
+
+// ── Spectral Diversity Metrics ──
+// Based on "Boreal tree species diversity increases with global warming but is reversed by extremes"
+// (Nature Plants, 2024, DOI: 10.1038/s41477-024-01794-w)
+// Simplified implementation using CV, Rao's Q and Shannon H' of a spectral index (NDVI by default).
+
+function computeCV(values) {
+  if (values.length === 0) return 0;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
   if (mean === 0) return 0;
-  const variance = ndviArray.reduce((s, v) => s + (v - mean) ** 2, 0) / ndviArray.length;
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
   return Math.sqrt(variance) / Math.abs(mean);
 }
 
-function binNDVI(ndviArray, numBins = 20) {
-  const minVal = -0.2, maxVal = 1.0;
+function binIndex(values, [minVal, maxVal], numBins = 20) {
   const binWidth = (maxVal - minVal) / numBins;
   const counts = new Array(numBins).fill(0);
-  for (const v of ndviArray) {
+  for (const v of values) {
     const bin = Math.min(Math.floor((v - minVal) / binWidth), numBins - 1);
     if (bin >= 0) counts[bin]++;
   }
-  const total = ndviArray.length;
+  const total = values.length;
   return counts.map((c, i) => ({
     binStart: minVal + i * binWidth,
     binEnd: minVal + (i + 1) * binWidth,
@@ -172,62 +1124,139 @@ function computeShannonH(bins) {
   return h;
 }
 
-async function analyzeDiversityForScene(item) {
-  const redUrl = item.assets?.red?.href;
-  const nirUrl = item.assets?.nir?.href;
-  if (!redUrl || !nirUrl) throw new Error("Missing RED/NIR assets");
-
-  // Read COG overviews (smallest available) for fast transfer
-  const [redTiff, nirTiff] = await Promise.all([
-    GeoTIFF.fromUrl(redUrl),
-    GeoTIFF.fromUrl(nirUrl),
-  ]);
-  const imageCount = await redTiff.getImageCount();
-  // Use the last overview (smallest resolution, ~686px) for speed
-  const overviewIdx = Math.max(0, imageCount - 1);
-  const [redImage, nirImage] = await Promise.all([
-    redTiff.getImage(overviewIdx),
-    nirTiff.getImage(overviewIdx),
-  ]);
-  const width = redImage.getWidth();
-  const height = redImage.getHeight();
-  const [redData] = await redImage.readRasters();
-  const [nirData] = await nirImage.readRasters();
-
-  // Build geo transform from tiepoints and pixel scale
-  const tiepoint = redImage.getTiePoints()?.[0];
-  const pixelScale = redImage.fileDirectory?.ModelPixelScale;
-  if (!tiepoint || !pixelScale) throw new Error("Missing geo metadata");
-  const geoTransform = [
-    tiepoint.x, pixelScale[0], 0,
-    tiepoint.y, 0, -pixelScale[1],
-  ];
-
-  const ndviArray = computeNDVIArray(redData, nirData, width, height, geoTransform, NORDMARKA.bbox);
-  if (ndviArray.length < 10) throw new Error(`Too few valid pixels: ${ndviArray.length}`);
+async function analyzeDiversityForScene(item, geometry, index = SPECTRAL_INDICES.ndvi) {
+  const { rasters, valid, maskStats, sensor } = await readMaskedScene(item, geometry, index.bands);
+  const values = computeIndexArray(rasters, valid, sensor, index);
+  if (values.length < 10) throw new Error(`Too few valid pixels: ${values.length}`);
 
-  const mean = ndviArray.reduce((s, v) => s + v, 0) / ndviArray.length;
-  const variance = ndviArray.reduce((s, v) => s + (v - mean) ** 2, 0) / ndviArray.length;
-  const bins = binNDVI(ndviArray);
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+  const bins = binIndex(values, index.range);
 
   return {
     sceneId: item.id,
+    sensor: sensorForItem(item).label,
     date: item.properties.datetime?.slice(0, 10),
     cloudCover: item.properties["eo:cloud_cover"],
-    pixelCount: ndviArray.length,
-    meanNDVI: mean,
-    stdNDVI: Math.sqrt(variance),
-    cvNDVI: computeCVNDVI(ndviArray),
+    index: index.id,
+    pixelCount: values.length,
+    maskStats: withValidCount(maskStats, values.length),
+    mean,
+    std: Math.sqrt(variance),
+    cv: computeCV(values),
     raoQ: computeRaoQ(bins),
     shannonH: computeShannonH(bins),
     bins,
   };
 }
 
+// ── Change detection (dNDVI) ──
+// Per-pixel NDVI difference between two scenes; pixels that drop below the threshold are
+// grouped into 8-connected patches (clear-cuts, windthrow, dieback).
+const CHANGE_MIN_PIXELS = 30000;
+
+// Nearest-neighbour resample of a window grid onto another grid in the same CRS
+function resampleToGrid(values, src, dst) {
+  if (src.width === dst.width && src.height === dst.height && src.extent.every((v, i) => v === dst.extent[i])) return values;
+  const out = new Float32Array(dst.width * dst.height).fill(NaN);
+  const srcResX = (src.extent[2] - src.extent[0]) / src.width;
+  const srcResY = (src.extent[3] - src.extent[1]) / src.height;
+  const dstResX = (dst.extent[2] - dst.extent[0]) / dst.width;
+  const dstResY = (dst.extent[3] - dst.extent[1]) / dst.height;
+  for (let row = 0; row < dst.height; row++) {
+    const sr = Math.floor((src.extent[3] - (dst.extent[3] - (row + 0.5) * dstResY)) / srcResY);
+    if (sr < 0 || sr >= src.height) continue;
+    for (let col = 0; col < dst.width; col++) {
+      const sc = Math.floor((dst.extent[0] + (col + 0.5) * dstResX - src.extent[0]) / srcResX);
+      if (sc >= 0 && sc < src.width) out[row * dst.width + col] = values[sr * src.width + sc];
+    }
+  }
+  return out;
+}
+
+async function computeSceneChange(beforeItem, afterItem, geometry) {
+  const options = { keepClasses: SCL_LAND, minPixels: CHANGE_MIN_PIXELS };
+  const [before, after] = await Promise.all([
+    readMaskedScene(beforeItem, geometry, ["red", "nir"], options),
+    readMaskedScene(afterItem, geometry, ["red", "nir"], options),
+  ]);
+  if (before.epsg !== after.epsg) {
+    throw new Error(`Scenes are in different CRSs (EPSG:${before.epsg} / EPSG:${after.epsg}) — pick two scenes from the same UTM zone`);
+  }
+  const ndviBefore = resampleToGrid(computeIndexGrid(before.rasters, before.valid, before.sensor), before, after);
+  const ndviAfter = computeIndexGrid(after.rasters, after.valid, after.sensor);
+  const dndvi = new Float32Array(ndviAfter.length);
+  let validPixels = 0;
+  for (let i = 0; i < dndvi.length; i++) {
+    dndvi[i] = ndviAfter[i] - ndviBefore[i];
+    if (!Number.isNaN(dndvi[i])) validPixels++;
+  }
+  return {
+    beforeDate: beforeItem.properties.datetime?.slice(0, 10),
+    afterDate: afterItem.properties.datetime?.slice(0, 10),
+    dndvi, validPixels,
+    width: after.width, height: after.height, epsg: after.epsg, extent: after.extent, resolution: after.resolution,
+  };
+}
+
+function clusterChangePatches(change, threshold, minPatchPixels = 2) {
+  const { dndvi, width, height, extent, resolution, epsg } = change;
+  const toLonLat = inverseProjectionForEPSG(epsg);
+  const pixelHa = Math.abs(resolution[0] * resolution[1]) / 1e4;
+  const visited = new Uint8Array(dndvi.length);
+  const patches = [];
+  const stack = [];
+  for (let start = 0; start < dndvi.length; start++) {
+    if (visited[start] || !(dndvi[start] < threshold)) continue;
+    visited[start] = 1;
+    stack.push(start);
+    let count = 0, sumRow = 0, sumCol = 0, sumD = 0, minD = Infinity;
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const row = Math.floor(idx / width), col = idx % width;
+      count++; sumRow += row; sumCol += col; sumD += dndvi[idx]; minD = Math.min(minD, dndvi[idx]);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const r = row + dr, c = col + dc;
+          if (r < 0 || c < 0 || r >= height || c >= width) continue;
+          const n = r * width + c;
+          if (!visited[n] && dndvi[n] < threshold) { visited[n] = 1; stack.push(n); }
+        }
+      }
+    }
+    if (count < minPatchPixels) continue;
+    const row = sumRow / count, col = sumCol / count;
+    const x = extent[0] + (col + 0.5) * Math.abs(resolution[0]);
+    const y = extent[3] - (row + 0.5) * Math.abs(resolution[1]);
+    const meanDNDVI = sumD / count;
+    patches.push({
+      pixels: count,
+      areaHa: count * pixelHa,
+      row, col,
+      centroid: toLonLat(x, y),
+      meanDNDVI,
+      minDNDVI: minD,
+      severity: meanDNDVI < -0.3 ? "severe" : "moderate",
+    });
+  }
+  return patches.sort((a, b) => b.areaHa - a.areaHa).map((p, i) => ({ ...p, id: i + 1 }));
+}
+
+// dNDVI colour ramp: red (loss) → white (no change) → green (gain)
+const DNDVI_RAMP = [
+  [-0.6, [165, 0, 38]],
+  [-0.3, [244, 109, 67]],
+  [-0.1, [254, 224, 144]],
+  [0, [247, 247, 247]],
+  [0.1, [217, 240, 163]],
+  [0.3, [102, 189, 99]],
+  [0.6, [0, 104, 55]],
+];
+
 // ── MET Norway weather ──
-async function fetchWeather() {
+async function fetchWeather(area) {
   const res = await fetchWithTimeout(
-    `${MET_API}?lat=${NORDMARKA.center[0]}&lon=${NORDMARKA.center[1]}`,
+    `${MET_API}?lat=${area.center[0]}&lon=${area.center[1]}`,
     {}
   );
   if (!res.ok) throw new Error(`MET ${res.status}`);
@@ -235,44 +1264,58 @@ async function fetchWeather() {
 }
 
 // ── Growing Season: Thermal/Meteorological Definition ──
-// The thermal growing season is the period with daily mean temp ≥ 5°C
-// Start: first day of 5+ consecutive days with mean temp ≥ 5°C
-// End: last day before 5+ consecutive days with mean temp < 5°C
-const GROWING_THRESHOLD = 5; // °C
-const CONSECUTIVE_DAYS = 5;
+// The thermal growing season is the period with daily mean temp ≥ threshold (5°C by default)
+// Start: first day of a run of `runLength` consecutive days with mean temp ≥ threshold
+// End: last day before a run of `runLength` consecutive days with mean temp < threshold
+// Years with fewer than `minCoverage` days are left out (see yearCoverage)
+const GROWING_SEASON_DEFAULTS = { threshold: 5, runLength: 5, minCoverage: 200 };
+
+// Daily values grouped by calendar year
+function groupByYear(dates, ...series) {
+  const years = {};
+  dates.forEach((date, i) => {
+    const year = date.slice(0, 4);
+    if (!years[year]) years[year] = [];
+    years[year].push({ date, ...Object.fromEntries(series.map(([key, values]) => [key, values[i]])) });
+  });
+  return years;
+}
 
-function calculateGrowingSeason(dates, temps) {
+// Days with data per year, to show which years a coverage limit drops
+function yearCoverage(dates, temps) {
+  const counts = {};
+  dates.forEach((date, i) => {
+    if (temps[i] != null) counts[date.slice(0, 4)] = (counts[date.slice(0, 4)] || 0) + 1;
+  });
+  return Object.entries(counts).map(([year, days]) => ({ year: +year, days })).sort((a, b) => a.year - b.year);
+}
+
+function calculateGrowingSeason(dates, temps, { threshold, runLength, minCoverage } = GROWING_SEASON_DEFAULTS) {
   const n = dates.length;
   if (n === 0) return null;
 
-  // Group by year
-  const years = {};
-  for (let i = 0; i < n; i++) {
-    const year = dates[i].slice(0, 4);
-    if (!years[year]) years[year] = [];
-    years[year].push({ date: dates[i], temp: temps[i] });
-  }
+  const years = groupByYear(dates, ["temp", temps]);
 
   const results = [];
   for (const [year, days] of Object.entries(years)) {
-    if (days.length < 200) continue; // need most of the year
+    if (days.length < minCoverage) continue; // need most of the year
 
-    // Find start: first run of CONSECUTIVE_DAYS days with temp ≥ threshold
+    // Find start: first run of runLength days with temp ≥ threshold
     let start = null;
-    for (let i = 0; i <= days.length - CONSECUTIVE_DAYS; i++) {
+    for (let i = 0; i <= days.length - runLength; i++) {
       let allAbove = true;
-      for (let j = 0; j < CONSECUTIVE_DAYS; j++) {
-        if (days[i + j].temp < GROWING_THRESHOLD) { allAbove = false; break; }
+      for (let j = 0; j < runLength; j++) {
+        if (days[i + j].temp < threshold) { allAbove = false; break; }
       }
       if (allAbove) { start = i; break; }
     }
 
     // Find end: search from end of year backward for last run of consecutive cold days
     let end = null;
-    for (let i = days.length - CONSECUTIVE_DAYS; i >= 0; i--) {
+    for (let i = days.length - runLength; i >= 0; i--) {
       let allBelow = true;
-      for (let j = 0; j < CONSECUTIVE_DAYS; j++) {
-        if (days[i + j].temp >= GROWING_THRESHOLD) { allBelow = false; break; }
+      for (let j = 0; j < runLength; j++) {
+        if (days[i + j].temp >= threshold) { allBelow = false; break; }
       }
       if (allBelow && i > (start ?? 0)) { end = i - 1; break; }
     }
@@ -280,10 +1323,10 @@ function calculateGrowingSeason(dates, temps) {
     if (start !== null) {
       const gsEnd = end ?? days.length - 1;
       const length = gsEnd - start + 1;
-      // Growing degree days (GDD) above 5°C during growing season
+      // Growing degree days (GDD) above the threshold during growing season
       let gdd = 0;
       for (let i = start; i <= gsEnd; i++) {
-        if (days[i].temp > GROWING_THRESHOLD) gdd += days[i].temp - GROWING_THRESHOLD;
+        if (days[i].temp > threshold) gdd += days[i].temp - threshold;
       }
       results.push({
         year: parseInt(year),
@@ -300,58 +1343,1496 @@ function calculateGrowingSeason(dates, temps) {
   return results.sort((a, b) => a.year - b.year);
 }
 
-// Fetch daily mean temperature from Open-Meteo (ERA5 reanalysis)
-async function fetchHistoricalTemps(startYear, endYear) {
-  const url = `${OPENMETEO_HISTORICAL}?latitude=${NORDMARKA.center[0]}&longitude=${NORDMARKA.center[1]}&start_date=${startYear}-01-01&end_date=${endYear}-12-31&daily=temperature_2m_max,temperature_2m_min&timezone=Europe%2FOslo`;
-  const res = await fetchWithTimeout(url, {}, 20000);
-  if (!res.ok) throw new Error(`Open-Meteo Historical ${res.status}`);
-  const data = await res.json();
-  const dates = data.daily?.time || [];
-  const maxTemps = data.daily?.temperature_2m_max || [];
-  const minTemps = data.daily?.temperature_2m_min || [];
+// ── Climate indices from the same daily ERA5 series ──
+// Frost day: T_min < 0°C. Spring frosts are those before 1 July, autumn frosts from 1 July.
+// Frost-thaw cycle: a day with T_min < 0°C and T_max > 0°C. Heat sums are the yearly sum
+// of (daily mean − base) above each base.
+const HEAT_SUM_BASES = [0, 5, 10]; // °C
+
+function calculateClimateIndices(dates, temps, minTemps, maxTemps, { minCoverage } = GROWING_SEASON_DEFAULTS) {
+  const years = groupByYear(dates, ["temp", temps], ["min", minTemps], ["max", maxTemps]);
+  const results = [];
+  for (const [year, all] of Object.entries(years)) {
+    const days = all.filter((d) => d.temp != null && d.min != null && d.max != null);
+    if (days.length < minCoverage) continue;
+    const frosts = days.filter((d) => d.min < 0);
+    const spring = frosts.filter((d) => d.date.slice(5) < "07-01");
+    const autumn = frosts.filter((d) => d.date.slice(5) >= "07-01");
+    const lastSpringFrost = spring.length ? spring[spring.length - 1].date : null;
+    const firstAutumnFrost = autumn.length ? autumn[0].date : null;
+    results.push({
+      year: +year,
+      frostDays: frosts.length,
+      lastSpringFrost,
+      firstAutumnFrost,
+      frostFreeDays: lastSpringFrost && firstAutumnFrost ? (new Date(firstAutumnFrost) - new Date(lastSpringFrost)) / 86400000 - 1 : null,
+      heatSums: Object.fromEntries(HEAT_SUM_BASES.map((b) => [b, Math.round(days.reduce((s, d) => s + Math.max(0, d.temp - b), 0))])),
+      frostThawCycles: days.filter((d) => d.min < 0 && d.max > 0).length,
+    });
+  }
+  return results.sort((a, b) => a.year - b.year);
+}
+
+// Fetch daily temperature, snowfall (cm), precipitation (mm), reference evapotranspiration (mm)
+// and max gust (m/s) from Open-Meteo (ERA5 reanalysis). Long spans are requested in chunks of
+// ERA5_CHUNK_YEARS to stay under the API's per-request limits. The archive ends yesterday, so
+// the current year is cut there (its last few days are null until ERA5 catches up).
+const ERA5_FIRST_YEAR = 1950;
+const ERA5_CHUNK_YEARS = 10;
+const HISTORY_DEFAULT_SPAN = [1991, new Date().getFullYear() - 1];
+// Selectable years, back to the start of the archive and up to the last full year
+const ERA5_YEARS = Array.from({ length: HISTORY_DEFAULT_SPAN[1] - ERA5_FIRST_YEAR + 1 }, (_, i) => ERA5_FIRST_YEAR + i);
+
+async function fetchHistoricalTemps(area, startYear, endYear) {
+  const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+  const daily = {};
+  for (let from = startYear; from <= endYear; from += ERA5_CHUNK_YEARS) {
+    const to = Math.min(endYear, from + ERA5_CHUNK_YEARS - 1);
+    const endDate = `${to}-12-31` < yesterday ? `${to}-12-31` : yesterday;
+    const url = `${OPENMETEO_HISTORICAL}?latitude=${area.center[0]}&longitude=${area.center[1]}&start_date=${from}-01-01&end_date=${endDate}&daily=temperature_2m_max,temperature_2m_min,snowfall_sum,precipitation_sum,et0_fao_evapotranspiration,wind_gusts_10m_max&wind_speed_unit=ms&timezone=Europe%2FOslo`;
+    const res = await fetchWithTimeout(url, {}, 30000);
+    if (!res.ok) throw new Error(`Open-Meteo Historical ${res.status}`);
+    const data = await res.json();
+    for (const [key, values] of Object.entries(data.daily || {})) daily[key] = (daily[key] || []).concat(values);
+  }
+  const dates = daily.time || [];
+  const maxTemps = daily.temperature_2m_max || [];
+  const minTemps = daily.temperature_2m_min || [];
   // Daily mean = (max + min) / 2
   const meanTemps = maxTemps.map((mx, i) =>
     mx != null && minTemps[i] != null ? (mx + minTemps[i]) / 2 : null
   );
-  return { dates, temps: meanTemps };
+  return {
+    dates,
+    temps: meanTemps,
+    minTemps,
+    maxTemps,
+    snowfall: daily.snowfall_sum || [],
+    precip: daily.precipitation_sum || [],
+    et0: daily.et0_fao_evapotranspiration || [],
+    gusts: daily.wind_gusts_10m_max || [],
+  };
 }
 
-// Fetch climate projections from Open-Meteo (CMIP6)
-async function fetchClimateProjections() {
-  const models = "EC_Earth3P_HR,MPI_ESM1_2_XR,MRI_AGCM3_2_S";
-  const url = `${OPENMETEO_CLIMATE}?latitude=${NORDMARKA.center[0]}&longitude=${NORDMARKA.center[1]}&start_date=2030-01-01&end_date=2050-12-31&daily=temperature_2m_mean&models=${models}`;
-  const res = await fetchWithTimeout(url, {}, 20000);
-  if (!res.ok) throw new Error(`Open-Meteo Climate ${res.status}`);
-  const data = await res.json();
-  const dates = data.daily?.time || [];
-  // Average across available models
-  const modelKeys = Object.keys(data.daily || {}).filter(k => k.startsWith("temperature_2m_mean"));
-  if (modelKeys.length === 0) return { dates, temps: [] };
-  const temps = dates.map((_, i) => {
-    const vals = modelKeys.map(k => data.daily[k]?.[i]).filter(v => v != null);
-    return vals.length > 0 ? vals.reduce((s, v) => s + v, 0) / vals.length : null;
+// ── Water balance and drought (SPEI; Vicente-Serrano et al. 2010) ──
+// Monthly climatic water balance D = precipitation − FAO-56 reference evapotranspiration,
+// summed over 1–12 months. For each calendar month the sums are fitted with a
+// three-parameter (generalised) logistic distribution by L-moments, and the SPEI is the standard
+// normal value at the fitted probability. The whole loaded span is the calibration period,
+// so short spans give a shaky index.
+const SPEI_SCALES = [1, 3, 6, 12]; // months
+const SPEI_MIN_YEARS = 30;
+const SPEI_CLASSES = [
+  { max: -2, en: "Extreme drought", color: "#8b1a1a" },
+  { max: -1.5, en: "Severe drought", color: "#c0392b" },
+  { max: -1, en: "Moderate drought", color: "#e07a5f" },
+  { max: 1, en: "Near normal", color: "#adb5bd" },
+  { max: 1.5, en: "Moderately wet", color: "#8ecae6" },
+  { max: 2, en: "Very wet", color: "#457b9d" },
+  { max: Infinity, en: "Extremely wet", color: "#1d3557" },
+];
+const speiClass = (v) => SPEI_CLASSES.find((c) => v <= c.max);
+
+// Generalised logistic parameters from sample L-moments (Hosking 1997), or null for a
+// degenerate sample. This is the three-parameter log-logistic of the SPEI R package; unlike
+// the PWM log-logistic fit it also handles negatively skewed sums.
+function fitGenLogistic(values) {
+  const x = [...values].sort((a, b) => a - b);
+  const n = x.length;
+  if (n < 5) return null;
+  let b0 = 0, b1 = 0, b2 = 0;
+  x.forEach((v, i) => {
+    b0 += v;
+    b1 += (i / (n - 1)) * v;
+    b2 += ((i * (i - 1)) / ((n - 1) * (n - 2))) * v;
   });
-  return { dates, temps };
+  b0 /= n; b1 /= n; b2 /= n;
+  const l1 = b0, l2 = 2 * b1 - b0, l3 = 6 * b2 - 6 * b1 + b0;
+  if (!(l2 > 0)) return null;
+  const k = -l3 / l2;
+  if (Math.abs(k) < 1e-6) return { xi: l1, alpha: l2, k: 0 };
+  if (Math.abs(k) >= 1) return null;
+  const alpha = (l2 * Math.sin(k * Math.PI)) / (k * Math.PI);
+  return { xi: l1 - alpha * (1 / k - Math.PI / Math.sin(k * Math.PI)), alpha, k };
 }
 
-// ── NIBIO WMS tile URL builder ──
-function nibioWMSTile(layer, bbox, width = 512, height = 512) {
-  const params = new URLSearchParams({
-    SERVICE: "WMS",
-    VERSION: "1.3.0",
-    REQUEST: "GetMap",
-    LAYERS: layer,
-    CRS: "EPSG:4326",
-    BBOX: `${bbox[1]},${bbox[0]},${bbox[3]},${bbox[2]}`,
-    WIDTH: width,
-    HEIGHT: height,
-    FORMAT: "image/png",
-    TRANSPARENT: "true",
-  });
-  return `${NIBIO_WMS}?${params}`;
+function genLogisticCDF(x, { xi, alpha, k }) {
+  if (k === 0) return 1 / (1 + Math.exp(-(x - xi) / alpha));
+  const arg = 1 - (k * (x - xi)) / alpha;
+  if (arg <= 0) return k > 0 ? 1 : 0;
+  return 1 / (1 + Math.exp(Math.log(arg) / k));
 }
 
-// ═══ UI Components ═══
+// Standard normal quantile (Abramowitz & Stegun 26.2.23, as in the SPEI paper)
+function normalQuantile(p) {
+  const q = p <= 0.5 ? p : 1 - p;
+  const w = Math.sqrt(-2 * Math.log(q));
+  const z = w - (2.515517 + 0.802853 * w + 0.010328 * w * w) / (1 + 1.432788 * w + 0.189269 * w * w + 0.001308 * w ** 3);
+  return p <= 0.5 ? -z : z;
+}
+
+// Complete months of precipitation, ET0 and their balance
+function monthlyWaterBalance(hist) {
+  const months = {};
+  hist.dates.forEach((date, i) => {
+    const p = hist.precip[i], e = hist.et0[i];
+    if (p == null || e == null) return;
+    const m = (months[date.slice(0, 7)] ??= { month: date.slice(0, 7), precip: 0, et0: 0, days: 0 });
+    m.precip += p;
+    m.et0 += e;
+    m.days++;
+  });
+  return Object.values(months)
+    .filter((m) => m.days === new Date(Date.UTC(+m.month.slice(0, 4), +m.month.slice(5, 7), 0)).getUTCDate())
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map((m) => ({ ...m, balance: m.precip - m.et0 }));
+}
+
+// SPEI at `scale` months; months without a full window or a usable fit get null
+function computeSPEI(monthly, scale) {
+  const sums = monthly.map((m, i) => {
+    if (i < scale - 1) return null;
+    const window = monthly.slice(i - scale + 1, i + 1);
+    // Skip windows that straddle a gap in the record
+    const [y0, m0] = window[0].month.split("-").map(Number), [y1, m1] = m.month.split("-").map(Number);
+    return (y1 - y0) * 12 + (m1 - m0) === scale - 1 ? window.reduce((s, w) => s + w.balance, 0) : null;
+  });
+  const fits = Array.from({ length: 12 }, (_, cm) =>
+    fitGenLogistic(sums.filter((v, i) => v != null && +monthly[i].month.slice(5, 7) - 1 === cm))
+  );
+  return monthly.map((m, i) => {
+    const fit = fits[+m.month.slice(5, 7) - 1];
+    if (sums[i] == null || !fit) return { month: m.month, balance: sums[i], spei: null };
+    const p = genLogisticCDF(sums[i], fit);
+    return { month: m.month, balance: sums[i], spei: normalQuantile(Math.min(0.9999, Math.max(0.0001, p))) };
+  });
+}
+
+// Yearly mean temperature, precipitation, ET0 and balance for years with ≥ minCoverage days
+function annualClimate(hist, minCoverage) {
+  const years = groupByYear(hist.dates, ["temp", hist.temps], ["precip", hist.precip], ["et0", hist.et0]);
+  return Object.entries(years)
+    .map(([year, all]) => {
+      const days = all.filter((d) => d.temp != null && d.precip != null && d.et0 != null);
+      if (days.length < minCoverage) return null;
+      // Scale sums to a full year so a few missing days don't read as a dry year
+      const full = (key) => (days.reduce((s, d) => s + d[key], 0) * all.length) / days.length;
+      const precip = full("precip"), et0 = full("et0");
+      return { year: +year, temp: days.reduce((s, d) => s + d.temp, 0) / days.length, precip, et0, balance: precip - et0 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.year - b.year);
+}
+
+// Least-squares slope of ys against xs
+function linearSlope(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = xs.reduce((s, v) => s + v, 0) / n, my = ys.reduce((s, v) => s + v, 0) / n;
+  const den = xs.reduce((s, x) => s + (x - mx) ** 2, 0);
+  return den ? xs.reduce((s, x, i) => s + (x - mx) * (ys[i] - my), 0) / den : null;
+}
+
+// ── CMIP6 projections (Open-Meteo Climate API) ──
+// The API serves the HighResMIP models from 1950 to 2050 under a single pathway
+// (highres-future, SSP5-8.5 forcing from 2015). Fetching from 2015 gives years that overlap
+// ERA5, so each model's bias against the reanalysis can be shown next to its projection.
+const CMIP6_PERIOD = [2015, 2050];
+const CMIP6_SUMMARY_PERIOD = [2030, 2050];
+const CMIP6_MODELS = [
+  { id: "CMCC_CM2_VHR4", label: "CMCC-CM2-VHR4" },
+  { id: "EC_Earth3P_HR", label: "EC-Earth3P-HR" },
+  { id: "FGOALS_f3_H", label: "FGOALS-f3-H" },
+  { id: "HiRAM_SIT_HR", label: "HiRAM-SIT-HR" },
+  { id: "MPI_ESM1_2_XR", label: "MPI-ESM1-2-XR" },
+  { id: "MRI_AGCM3_2_S", label: "MRI-AGCM3-2-S" },
+  { id: "NICAM16_8S", label: "NICAM16-8S" },
+];
+
+async function fetchClimateProjections(area) {
+  const models = CMIP6_MODELS.map((m) => m.id).join(",");
+  const url = `${OPENMETEO_CLIMATE}?latitude=${area.center[0]}&longitude=${area.center[1]}&start_date=${CMIP6_PERIOD[0]}-01-01&end_date=${CMIP6_PERIOD[1]}-12-31&daily=temperature_2m_mean&models=${models}`;
+  const res = await fetchWithTimeout(url, {}, 30000);
+  if (!res.ok) throw new Error(`Open-Meteo Climate ${res.status}`);
+  const data = await res.json();
+  const dates = data.daily?.time || [];
+  // One series per model, keyed with the model suffix
+  const series = CMIP6_MODELS
+    .map((m) => ({ ...m, temps: data.daily?.[`temperature_2m_mean_${m.id}`] }))
+    .filter((m) => m.temps?.some((t) => t != null));
+  return { dates, models: series };
+}
+
+// Per-year ensemble of the models' growing seasons: median with the min–max range
+function ensembleSeasons(modelSeasons) {
+  const median = (vals) => {
+    const v = [...vals].sort((a, b) => a - b);
+    return v.length % 2 ? v[(v.length - 1) / 2] : (v[v.length / 2 - 1] + v[v.length / 2]) / 2;
+  };
+  const byYear = {};
+  for (const m of modelSeasons) {
+    for (const season of m.seasons || []) (byYear[season.year] ??= []).push(season);
+  }
+  return Object.entries(byYear)
+    .map(([year, seasons]) => {
+      const startDOY = Math.round(median(seasons.map((x) => x.startDOY)));
+      const endDOY = Math.round(median(seasons.map((x) => x.endDOY)));
+      const lengths = seasons.map((x) => x.length), gdds = seasons.map((x) => x.gdd);
+      return {
+        year: +year,
+        startDate: `${year}-${doyToDate(+year, startDOY)}`,
+        endDate: `${year}-${doyToDate(+year, endDOY)}`,
+        startDOY,
+        endDOY,
+        length: Math.round(median(lengths)),
+        lengthMin: Math.min(...lengths),
+        lengthMax: Math.max(...lengths),
+        gdd: Math.round(median(gdds)),
+        gddMin: Math.min(...gdds),
+        gddMax: Math.max(...gdds),
+        meanTemp: median(seasons.map((x) => x.meanTemp)),
+        models: seasons.length,
+      };
+    })
+    .sort((a, b) => a.year - b.year);
+}
+
+// Mean model − ERA5 difference over the years both cover: season length, GDD and the
+// mean daily temperature over the shared days
+function modelBias(histSeasons, hist, model) {
+  const era5 = new Map(histSeasons.map((h) => [h.year, h]));
+  const pairs = (model.seasons || []).filter((m) => era5.has(m.year)).map((m) => [m, era5.get(m.year)]);
+  const histTemp = new Map(hist.dates.map((d, i) => [d, hist.temps[i]]));
+  const tempDiffs = model.dates
+    .map((d, i) => (model.temps[i] != null && histTemp.get(d) != null ? model.temps[i] - histTemp.get(d) : null))
+    .filter((v) => v != null);
+  const mean = (vals) => (vals.length ? vals.reduce((s, v) => s + v, 0) / vals.length : null);
+  return {
+    years: pairs.map(([m]) => m.year),
+    length: mean(pairs.map(([m, h]) => m.length - h.length)),
+    gdd: mean(pairs.map(([m, h]) => m.gdd - h.gdd)),
+    temp: mean(tempDiffs),
+  };
+}
+
+// ── Bias correction (quantile delta mapping; Cannon et al. 2015) ──
+// Per calendar month, a model value's quantile τ within its own ±QDM_WINDOW_YEARS window
+// is looked up in ERA5 over the reference period (the days both datasets cover), and the
+// model's own change at τ since that period is added back. Unlike plain quantile mapping
+// this keeps the projected warming; additive, as suits temperature.
+const QDM_WINDOW_YEARS = 10;
+
+// Value at quantile tau (0–1) of a sorted array, linearly interpolated
+function sortedQuantile(sorted, tau) {
+  const pos = tau * (sorted.length - 1);
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Quantile (0–1) of x within a sorted array, linearly interpolated between ranks
+function empiricalQuantile(sorted, x) {
+  if (sorted.length < 2 || x <= sorted[0]) return 0;
+  if (x >= sorted[sorted.length - 1]) return 1;
+  let lo = 0, hi = sorted.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= x) lo = mid; else hi = mid;
+  }
+  const span = sorted[hi] - sorted[lo];
+  return (lo + (span > 0 ? (x - sorted[lo]) / span : 0)) / (sorted.length - 1);
+}
+
+// Corrected copy of one model's daily series, or null without a reference overlap
+function quantileDeltaMapping(ref, dates, temps) {
+  const refTemps = new Map(ref.dates.map((d, i) => [d, ref.temps[i]]));
+  const obs = Array.from({ length: 12 }, () => []);
+  const modRef = Array.from({ length: 12 }, () => []);
+  const byMonthYear = {};
+  dates.forEach((d, i) => {
+    const t = temps[i];
+    if (t == null) return;
+    const m = +d.slice(5, 7) - 1;
+    (byMonthYear[`${m}|${d.slice(0, 4)}`] ??= []).push(t);
+    const o = refTemps.get(d);
+    if (o != null) {
+      obs[m].push(o);
+      modRef[m].push(t);
+    }
+  });
+  if (obs.some((o) => o.length < 2)) return null;
+  obs.forEach((o) => o.sort((a, b) => a - b));
+  modRef.forEach((o) => o.sort((a, b) => a - b));
+  const windows = {};
+  const windowFor = (m, year) => {
+    const key = `${m}|${year}`;
+    if (!windows[key]) {
+      const vals = [];
+      for (let y = year - QDM_WINDOW_YEARS; y <= year + QDM_WINDOW_YEARS; y++) vals.push(...(byMonthYear[`${m}|${y}`] || []));
+      windows[key] = vals.sort((a, b) => a - b);
+    }
+    return windows[key];
+  };
+  return temps.map((t, i) => {
+    if (t == null) return null;
+    const m = +dates[i].slice(5, 7) - 1;
+    const tau = empiricalQuantile(windowFor(m, +dates[i].slice(0, 4)), t);
+    return sortedQuantile(obs[m], tau) + (t - sortedQuantile(modRef[m], tau));
+  });
+}
+
+// ── Spruce bark beetle (Ips typographus) risk ──
+// Spring swarming starts on the first day reaching 18 °C (NIBIO's barkbilleovervåking) once
+// 110 degree days above 5 °C have accumulated since 1 April (Baier et al. 2007). A brood
+// needs 557 degree days above 8.3 °C from swarming (PHENIPS; Wermelinger & Seifert 1998);
+// broods finished before August leave time for a second generation. Drought-stressed spruce
+// can't pitch out attacking beetles, so a low NDMI for the time of year raises the risk.
+const BEETLE_SWARM_TMAX = 18; // °C
+const BEETLE_ONSET_DD = 110; // °C·d above 5 °C
+const BEETLE_BROOD_BASE = 8.3; // °C
+const BEETLE_BROOD_DD = 557; // °C·d above 8.3 °C
+const BEETLE_LEVELS = [
+  { no: "Lav", en: "Low", color: "#52b788" },
+  { no: "Moderat", en: "Moderate", color: "#e9c46a" },
+  { no: "Høy", en: "High", color: "#e07a5f" },
+  { no: "Svært høy", en: "Very high", color: "#c0392b" },
+];
+
+// Local calendar date (YYYY-MM-DD) of a timestamp in Norway
+const osloDate = (time) => new Date(time).toLocaleDateString("sv-SE", { timeZone: "Europe/Oslo" });
+
+// Daily mean and max temperature and precipitation from the MET timeseries. Hourly steps give the mean; the
+// 6-hour steps further out carry their own max. Today is dropped since its morning is past.
+function forecastDailyTemps(timeseries) {
+  const days = {};
+  for (const ts of timeseries || []) {
+    const date = osloDate(ts.time);
+    const d = (days[date] ??= { date, temps: [], max: -Infinity, precip: 0 });
+    const t = ts.data.instant.details.air_temperature;
+    if (t != null) { d.temps.push(t); d.max = Math.max(d.max, t); }
+    const max6 = ts.data.next_6_hours?.details?.air_temperature_max;
+    if (max6 != null) d.max = Math.max(d.max, max6);
+    d.precip += (ts.data.next_1_hours ?? ts.data.next_6_hours)?.details?.precipitation_amount ?? 0;
+  }
+  const today = osloDate(Date.now());
+  return Object.values(days)
+    .filter((d) => d.date > today && d.temps.length > 0)
+    .map((d) => ({ date: d.date, mean: d.temps.reduce((s, t) => s + t, 0) / d.temps.length, max: d.max, precip: d.precip, forecast: true }));
+}
+
+// Degree days, swarming onset and brood development over [{date, mean, max}] of one year
+function beetleDevelopment(days) {
+  let dd5 = 0, broodDD = 0, onsetDate = null, broodDate = null;
+  for (const d of days) {
+    if (d.date.slice(5) < "04-01") continue;
+    dd5 += Math.max(0, d.mean - 5);
+    if (!onsetDate && d.max >= BEETLE_SWARM_TMAX && dd5 >= BEETLE_ONSET_DD) onsetDate = d.date;
+    if (onsetDate) {
+      broodDD += Math.max(0, d.mean - BEETLE_BROOD_BASE);
+      if (!broodDate && broodDD >= BEETLE_BROOD_DD) broodDate = d.date;
+    }
+  }
+  return { dd5, onsetDate, broodDD, broodDate };
+}
+
+// Combine development, forecast swarming weather and NDMI drought into a dated risk level.
+// Reasons come in both languages for the simple and advanced views.
+function assessBarkBeetleRisk(era5, forecast, drought, today = osloDate(Date.now())) {
+  const year = today.slice(0, 4);
+  const observed = era5.dates
+    .map((date, i) => ({ date, mean: era5.temps[i], max: era5.maxTemps[i] }))
+    .filter((d) => d.date.startsWith(year) && d.mean != null && d.max != null);
+  const lastObserved = observed[observed.length - 1]?.date ?? null;
+  const upcoming = forecast.filter((d) => !lastObserved || d.date > lastObserved);
+  const now = beetleDevelopment(observed);
+  const projected = beetleDevelopment([...observed, ...upcoming]);
+  const swarmDays = upcoming.filter((d) => d.max >= BEETLE_SWARM_TMAX).map((d) => d.date);
+  const month = +today.slice(5, 7);
+  const reasons = [];
+  let score = 0;
+
+  if (month < 4 || month > 9) {
+    reasons.push({ no: "Billene overvintrer i bark og strø — ingen sverming før våren.", en: "Beetles overwinter in bark and litter — no swarming until spring." });
+  } else {
+    if (now.onsetDate) {
+      score += 1;
+      reasons.push({ no: `Svermingen startet ${now.onsetDate.slice(5)} (første dag over ${BEETLE_SWARM_TMAX} °C).`, en: `Swarming began ${now.onsetDate} (first day above ${BEETLE_SWARM_TMAX} °C).` });
+    } else if (projected.onsetDate) {
+      reasons.push({ no: `Sverming ventes rundt ${projected.onsetDate.slice(5)} etter værmeldingen.`, en: `Swarming expected around ${projected.onsetDate} from the forecast.` });
+    } else if (now.dd5 < BEETLE_ONSET_DD) {
+      reasons.push({ no: `Varmesum ${now.dd5.toFixed(0)} av ${BEETLE_ONSET_DD} døgngrader — for tidlig for sverming.`, en: `${now.dd5.toFixed(0)} of ${BEETLE_ONSET_DD} degree days (>5 °C) — too early for swarming.` });
+    }
+    if (swarmDays.length > 0 && projected.dd5 >= BEETLE_ONSET_DD) {
+      score += swarmDays.length >= 3 ? 2 : 1;
+      reasons.push({ no: `${swarmDays.length} dag(er) over ${BEETLE_SWARM_TMAX} °C i værmeldingen — gode flyforhold.`, en: `${swarmDays.length} forecast day(s) above ${BEETLE_SWARM_TMAX} °C — flight weather.` });
+    }
+    if (projected.broodDate && projected.broodDate.slice(5) < "08-01") {
+      score += 1;
+      reasons.push({ no: `Første kull ferdig ${projected.broodDate.slice(5)} — tid for en andre generasjon.`, en: `First brood complete ${projected.broodDate} — time for a second generation.` });
+    }
+    if (drought?.anomaly) {
+      const z = drought.anomaly.z;
+      if (z <= -1) score += z <= -2 ? 2 : 1;
+      reasons.push(z <= -1
+        ? { no: `Granskogen er tørrere enn vanlig (fuktighetsindeks ${drought.date.slice(5)}) — svekkede trær er lette mål.`, en: `Canopy drier than usual (NDMI z ${z.toFixed(1)} on ${drought.date}) — stressed trees are easy targets.` }
+        : { no: "Normal fuktighet i trekronene.", en: `Normal canopy moisture (NDMI z ${z.toFixed(1)} on ${drought.date}).` });
+    } else if (drought && drought.value < 0.15) {
+      score += 1;
+      reasons.push({ no: "Lav fuktighet i trekronene.", en: `Low canopy moisture (NDMI ${drought.value.toFixed(2)} on ${drought.date}, no same-season baseline).` });
+    }
+  }
+  const level = score >= 4 ? 3 : score === 3 ? 2 : score >= 1 ? 1 : 0;
+  return { date: today, level, ...BEETLE_LEVELS[level], reasons, now, projected, swarmDays, lastObserved, drought };
+}
+
+// ── Canadian Forest Fire Weather Index (Van Wagner 1987) ──
+// Run once per day on noon weather (temperature, humidity, 10 m wind) and the 24 h rain up to
+// noon. The three fuel moisture codes carry over from day to day, so the system is spun up on
+// the last 60 days of Open-Meteo weather and then continued on the MET forecast. Snow on the
+// ground resets the codes to their start-up values, as is done after snowmelt in spring.
+const FWI_SPINUP_DAYS = 60;
+const FWI_START = { ffmc: 85, dmc: 6, dc: 15 };
+// Day-length factors for DMC and DC, northern hemisphere above 30° N
+const DMC_DAY_LENGTH = [6.5, 7.5, 9.0, 12.8, 13.9, 13.9, 12.4, 10.9, 9.4, 8.0, 7.0, 6.0];
+const DC_DAY_LENGTH = [-1.6, -1.6, -1.6, 0.9, 3.8, 5.8, 6.4, 5.0, 2.4, 0.4, -1.6, -1.6];
+// EFFIS fire danger classes on FWI
+const FWI_CLASSES = [
+  { max: 5.2, no: "Svært lav", en: "Very low", color: "#52b788" },
+  { max: 11.2, no: "Lav", en: "Low", color: "#95d5b2" },
+  { max: 21.3, no: "Moderat", en: "Moderate", color: "#e9c46a" },
+  { max: 38, no: "Høy", en: "High", color: "#f4a261" },
+  { max: 50, no: "Svært høy", en: "Very high", color: "#e07a5f" },
+  { max: Infinity, no: "Ekstrem", en: "Extreme", color: "#9d0208" },
+];
+
+const fwiClass = (fwi) => FWI_CLASSES.findIndex((c) => fwi < c.max);
+
+// Fine Fuel Moisture Code: litter and fine fuels, responds within hours
+function nextFFMC(ffmc0, t, rh, wind, rain) {
+  let mo = (147.2 * (101 - ffmc0)) / (59.5 + ffmc0);
+  if (rain > 0.5) {
+    const rf = rain - 0.5;
+    mo += 42.5 * rf * Math.exp(-100 / (251 - mo)) * (1 - Math.exp(-6.93 / rf))
+      + (mo > 150 ? 0.0015 * (mo - 150) ** 2 * Math.sqrt(rf) : 0);
+    mo = Math.min(mo, 250);
+  }
+  const ed = 0.942 * rh ** 0.679 + 11 * Math.exp((rh - 100) / 10) + 0.18 * (21.1 - t) * (1 - Math.exp(-0.115 * rh));
+  const ew = 0.618 * rh ** 0.753 + 10 * Math.exp((rh - 100) / 10) + 0.18 * (21.1 - t) * (1 - Math.exp(-0.115 * rh));
+  let m = mo;
+  if (mo > ed) {
+    const ko = 0.424 * (1 - (rh / 100) ** 1.7) + 0.0694 * Math.sqrt(wind) * (1 - (rh / 100) ** 8);
+    m = ed + (mo - ed) * 10 ** (-ko * 0.581 * Math.exp(0.0365 * t));
+  } else if (mo < ew) {
+    const k1 = 0.424 * (1 - ((100 - rh) / 100) ** 1.7) + 0.0694 * Math.sqrt(wind) * (1 - ((100 - rh) / 100) ** 8);
+    m = ew - (ew - mo) * 10 ** (-k1 * 0.581 * Math.exp(0.0365 * t));
+  }
+  return Math.max(0, Math.min(101, (59.5 * (250 - m)) / (147.2 + m)));
+}
+
+// Duff Moisture Code: loosely compacted organic layer, ~2 weeks time lag
+function nextDMC(dmc0, t, rh, rain, month) {
+  let pr = dmc0;
+  if (rain > 1.5) {
+    const re = 0.92 * rain - 1.27;
+    const mo = 20 + Math.exp(5.6348 - dmc0 / 43.43);
+    const b = dmc0 <= 33 ? 100 / (0.5 + 0.3 * dmc0) : dmc0 <= 65 ? 14 - 1.3 * Math.log(dmc0) : 6.2 * Math.log(dmc0) - 17.2;
+    const mr = mo + (1000 * re) / (48.77 + b * re);
+    pr = Math.max(0, 244.72 - 43.43 * Math.log(mr - 20));
+  }
+  const rk = t > -1.1 ? 1.894 * (t + 1.1) * (100 - rh) * DMC_DAY_LENGTH[month] * 1e-4 : 0;
+  return pr + rk;
+}
+
+// Drought Code: deep compact organic layer, ~2 months time lag
+function nextDC(dc0, t, rain, month) {
+  let dr = dc0;
+  if (rain > 2.8) {
+    const rd = 0.83 * rain - 1.27;
+    const qr = 800 * Math.exp(-dc0 / 400) + 3.937 * rd;
+    dr = Math.max(0, 400 * Math.log(800 / qr));
+  }
+  const pe = Math.max(0, (0.36 * (Math.max(t, -2.8) + 2.8) + DC_DAY_LENGTH[month]) / 2);
+  return dr + pe;
+}
+
+function initialSpreadIndex(ffmc, wind) {
+  const fm = (147.2 * (101 - ffmc)) / (59.5 + ffmc);
+  return 19.115 * Math.exp(-0.1386 * fm) * (1 + fm ** 5.31 / 4.93e7) * Math.exp(0.05039 * wind);
+}
+
+function buildupIndex(dmc, dc) {
+  if (dmc === 0 && dc === 0) return 0;
+  const bui = dmc <= 0.4 * dc
+    ? (0.8 * dc * dmc) / (dmc + 0.4 * dc)
+    : dmc - (1 - (0.8 * dc) / (dmc + 0.4 * dc)) * (0.92 + (0.0114 * dmc) ** 1.7);
+  return Math.max(0, bui);
+}
+
+function fireWeatherIndex(isi, bui) {
+  const bb = 0.1 * isi * (bui <= 80 ? 0.626 * bui ** 0.809 + 2 : 1000 / (25 + 108.64 * Math.exp(-0.023 * bui)));
+  return bb <= 1 ? bb : Math.exp(2.72 * (0.434 * Math.log(bb)) ** 0.647);
+}
+
+// Local hour (0–23) of a timestamp in Norway
+const osloHour = (time) => +new Date(time).toLocaleString("en-GB", { timeZone: "Europe/Oslo", hour: "numeric", hourCycle: "h23" });
+
+// Open-Meteo hourly weather for the FWI spin-up (model analysis, so there is no ERA5 lag)
+async function fetchFireWeatherHistory(area) {
+  const params = new URLSearchParams({
+    latitude: area.center[0],
+    longitude: area.center[1],
+    hourly: "temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation,snow_depth",
+    past_days: FWI_SPINUP_DAYS,
+    forecast_days: 1,
+    timezone: "Europe/Oslo",
+  });
+  const res = await fetchWithTimeout(`${OPENMETEO_FORECAST}?${params}`, {}, 20000);
+  if (!res.ok) throw new Error(`Open-Meteo Forecast ${res.status}`);
+  const { hourly, utc_offset_seconds: offset = 0 } = await res.json();
+  return (hourly?.time || []).map((time, i) => ({
+    time: Date.parse(`${time}Z`) - offset * 1000,
+    date: time.slice(0, 10),
+    hour: +time.slice(11, 13),
+    temp: hourly.temperature_2m[i],
+    rh: hourly.relative_humidity_2m[i],
+    wind: hourly.wind_speed_10m[i], // km/h
+    precip: hourly.precipitation[i], // preceding hour
+    snow: hourly.snow_depth[i],
+  }));
+}
+
+// Noon weather and noon-to-noon rain per day: Open-Meteo up to the first MET step, MET after
+function fireWeatherDays(history, timeseries) {
+  const metStart = timeseries?.[0] ? { date: osloDate(timeseries[0].time), hour: osloHour(timeseries[0].time) } : null;
+  const beforeMet = (date, hour) => !metStart || date < metStart.date || (date === metStart.date && hour <= metStart.hour);
+  const instants = [];
+  const rain = {};
+  // Rain ending after noon counts towards the next day
+  const addRain = (date, hour, amount) => {
+    const day = hour > 12 ? osloDate(new Date(date + "T12:00:00Z").getTime() + 86400000) : date;
+    rain[day] = (rain[day] || 0) + amount;
+  };
+  for (const h of history) {
+    if (!beforeMet(h.date, h.hour) || h.temp == null) continue;
+    if (h.precip != null) addRain(h.date, h.hour, h.precip);
+    if (!(metStart && h.date === metStart.date && h.hour === metStart.hour)) instants.push({ ...h, forecast: false });
+  }
+  for (const ts of timeseries || []) {
+    const d = ts.data.instant.details;
+    const date = osloDate(ts.time), hour = osloHour(ts.time);
+    instants.push({ date, hour, temp: d.air_temperature, rh: d.relative_humidity, wind: d.wind_speed * 3.6, snow: null, forecast: true });
+    const next = ts.data.next_1_hours ?? ts.data.next_6_hours;
+    const amount = next?.details?.precipitation_amount;
+    if (amount != null) {
+      const end = new Date(ts.time).getTime() + (ts.data.next_1_hours ? 1 : 6) * 3600000;
+      addRain(osloDate(end), osloHour(end), amount);
+    }
+  }
+  const byDate = {};
+  for (const r of instants) {
+    if (!byDate[r.date] || Math.abs(r.hour - 12) < Math.abs(byDate[r.date].hour - 12)) byDate[r.date] = r;
+  }
+  // The first and last days may lack a step near noon
+  return Object.values(byDate)
+    .filter((r) => Math.abs(r.hour - 12) <= 3)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((r) => ({ ...r, rain: rain[r.date] || 0 }));
+}
+
+// Daily FWI system over the merged series; forecast days inherit the last known snow cover
+function computeFireWeather(history, timeseries) {
+  const days = fireWeatherDays(history, timeseries).slice(1); // first day's rain window is partial
+  let codes = { ...FWI_START };
+  let snow = false;
+  return days.map((d) => {
+    const month = +d.date.slice(5, 7) - 1;
+    if (d.snow != null) snow = d.snow > 0.01;
+    if (snow) {
+      codes = { ...FWI_START };
+      return { ...d, snowCover: true, ffmc: null, dmc: null, dc: null, isi: null, bui: null, fwi: null, level: null };
+    }
+    const rh = Math.min(100, Math.max(0, d.rh));
+    codes = {
+      ffmc: nextFFMC(codes.ffmc, d.temp, rh, d.wind, d.rain),
+      dmc: nextDMC(codes.dmc, d.temp, rh, d.rain, month),
+      dc: nextDC(codes.dc, d.temp, d.rain, month),
+    };
+    const isi = initialSpreadIndex(codes.ffmc, d.wind);
+    const bui = buildupIndex(codes.dmc, codes.dc);
+    const fwi = fireWeatherIndex(isi, bui);
+    return { ...d, snowCover: false, ...codes, isi, bui, fwi, level: fwiClass(fwi) };
+  });
+}
+
+// ── Storm and windthrow risk ──
+// Each forecast step is graded on the gust alone, then raised one grade per aggravating
+// factor: tall stands (height is the main driver of windthrow), soil saturated by recent
+// rain (weaker root anchorage) and wind from outside the prevailing south-west to
+// north-west sector that the trees are anchored against.
+const WIND_GUST_LEVELS = [15, 20, 25]; // m/s, low / moderate / high
+const WIND_GUST_FACTOR = 1.5; // gust ≈ 1.5 × mean wind where the forecast has no gusts
+const WIND_TALL_STAND = 18; // m, Lorey's mean height
+const WIND_TALL_SHARE = 0.3; // share of the forest at or above WIND_TALL_STAND
+const WIND_WET_SOIL_MM = 30; // rain over the preceding 72 hours
+const WIND_WET_HOURS = 72;
+const WIND_PREVAILING = [180, 315]; // degrees the wind blows from, S to NW
+const WIND_LEVELS = [
+  { no: "Ingen", en: "None", color: "#adb5bd" },
+  { no: "Lav", en: "Low", color: "#e9c46a" },
+  { no: "Moderat", en: "Moderate", color: "#e07a5f" },
+  { no: "Høy", en: "High", color: "#c0392b" },
+];
+const WIND_FACTORS = {
+  tall: { no: "høy skog", en: "tall stands" },
+  wet: { no: "vannmettet jord", en: "saturated soil" },
+  direction: { no: "uvanlig vindretning", en: "unusual direction" },
+};
+const COMPASS = [
+  { no: "nord", en: "N" },
+  { no: "nordøst", en: "NE" },
+  { no: "øst", en: "E" },
+  { no: "sørøst", en: "SE" },
+  { no: "sør", en: "S" },
+  { no: "sørvest", en: "SW" },
+  { no: "vest", en: "W" },
+  { no: "nordvest", en: "NW" },
+];
+const compassPoint = (deg) => COMPASS[Math.round(deg / 45) % 8];
+
+// Share of SR16 forest pixels at or above WIND_TALL_STAND, from the height histogram
+function tallStandShare(height) {
+  const forest = height.histogram.reduce((s, b) => s + b.count, 0);
+  if (!forest) return null;
+  return height.histogram.filter((b) => b.from >= WIND_TALL_STAND).reduce((s, b) => s + b.count, 0) / forest;
+}
+
+// Graded forecast steps. `pastRain` is hourly [{time, precip}] before the forecast starts.
+function windRiskSteps(timeseries, { tallShare, pastRain }) {
+  const steps = (timeseries || []).map((ts) => {
+    const d = ts.data.instant.details;
+    const hours = ts.data.next_1_hours ? 1 : ts.data.next_6_hours ? 6 : 1;
+    const next = ts.data.next_1_hours ?? ts.data.next_6_hours;
+    return {
+      time: new Date(ts.time).getTime(),
+      hours,
+      wind: d.wind_speed,
+      gust: d.wind_speed_of_gust ?? (d.wind_speed != null ? d.wind_speed * WIND_GUST_FACTOR : null),
+      gustEstimated: d.wind_speed_of_gust == null,
+      direction: d.wind_from_direction,
+      precip: next?.details?.precipitation_amount ?? 0,
+    };
+  });
+  const metStart = steps[0]?.time ?? Infinity;
+  const tall = tallShare != null && tallShare >= WIND_TALL_SHARE;
+  return steps.map((s) => {
+    const from = s.time - WIND_WET_HOURS * 3600000;
+    // Rain that has fallen by the step: past hours ending in the window, then earlier forecast periods
+    const rain72h =
+      (pastRain || []).filter((h) => h.time > from && h.time <= Math.min(s.time, metStart)).reduce((sum, h) => sum + (h.precip ?? 0), 0) +
+      steps.filter((p) => p.time >= from && p.time + p.hours * 3600000 <= s.time).reduce((sum, p) => sum + p.precip, 0);
+    const base = s.gust != null ? WIND_GUST_LEVELS.filter((g) => s.gust >= g).length : 0;
+    const factors = [];
+    if (base > 0) {
+      if (tall) factors.push("tall");
+      if (rain72h >= WIND_WET_SOIL_MM) factors.push("wet");
+      if (s.direction != null && (s.direction < WIND_PREVAILING[0] || s.direction > WIND_PREVAILING[1])) factors.push("direction");
+    }
+    return { ...s, rain72h, factors, level: base > 0 ? Math.min(3, base + factors.length) : 0 };
+  });
+}
+
+// Consecutive risky steps merged into time-stamped windows
+function windRiskWindows(steps) {
+  const windows = [];
+  let current = null;
+  for (const s of steps) {
+    if (s.level === 0) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { start: s.time, end: s.time, level: 0, maxGust: -Infinity, direction: null, gustEstimated: false, factors: new Set() };
+      windows.push(current);
+    }
+    current.end = s.time + s.hours * 3600000;
+    current.level = Math.max(current.level, s.level);
+    if (s.gust > current.maxGust) {
+      current.maxGust = s.gust;
+      current.direction = s.direction;
+      current.gustEstimated = s.gustEstimated;
+    }
+    s.factors.forEach((f) => current.factors.add(f));
+  }
+  return windows.map((w) => ({ ...w, factors: [...w.factors] }));
+}
+
+// ── Soil frost and bearing capacity ──
+// Frost and thaw fronts follow the Stefan equation, z = k·√(degree days), driven by a soil
+// surface temperature: below freezing, air temperature damped by snow (e^(−depth/d)); above
+// freezing, 0 °C while snow lies. Thaw works down from the surface and refreezes first;
+// once it reaches the frost front the ground is unfrozen again. Ground frozen from the
+// surface carries heavy machinery; a thawed layer over frozen ground can't drain and is the
+// worst time to drive. The coefficients are for moist forest soils under an organic layer
+// and are run low/central/high, so the confidence comes from how much the verdict depends
+// on them.
+const FROST_SEASON_START = "09-01";
+const FROST_PARAMS = [
+  { freeze: 0.021, thaw: 0.018, snowDamping: 0.1 },
+  { freeze: 0.03, thaw: 0.025, snowDamping: 0.15 },
+  { freeze: 0.039, thaw: 0.033, snowDamping: 0.25 },
+]; // m/√(°C·d), m/√(°C·d), m
+const FROST_BEARING_DEPTH = 0.2; // m of frozen ground needed for heavy machinery
+const FROST_THAWED_TOP = 0.05; // m of thawed surface that breaks the frozen crust
+const FROST_SNOW_COVER = 0.05; // m of snow that keeps the surface at 0 °C in a thaw
+const FROST_WET_RAIN_MM = 30; // rain over 7 days that leaves unfrozen ground soft
+const FROST_STATES = {
+  frozen: { no: "Frossen mark", en: "Frozen", passability: "good" },
+  shallow: { no: "Tynn tele", en: "Shallow frost", passability: "fair" },
+  thawing: { no: "Teleløsning", en: "Thawing", passability: "poor" },
+  wet: { no: "Bløt, ufrossen mark", en: "Unfrozen, wet", passability: "poor" },
+  unfrozen: { no: "Ufrossen mark", en: "Unfrozen", passability: "fair" },
+};
+const PASSABILITY = {
+  good: { no: "God bæreevne", en: "Passable", color: "#2d6a4f" },
+  fair: { no: "Begrenset bæreevne", en: "Limited", color: "#e9c46a" },
+  poor: { no: "Dårlig bæreevne", en: "Not passable", color: "#c0392b" },
+};
+const CONFIDENCE = [
+  { no: "lav", en: "Low" },
+  { no: "middels", en: "Medium" },
+  { no: "høy", en: "High" },
+];
+
+// First day (YYYY-MM-DD) of the frost season we are in
+function frostSeasonStart(today = osloDate(Date.now())) {
+  const year = +today.slice(0, 4) - (today.slice(5) >= FROST_SEASON_START ? 0 : 1);
+  return `${year}-${FROST_SEASON_START}`;
+}
+
+// ERA5 daily weather since the start of this frost season. Snow depth is hourly only in the
+// archive, so the noon value stands for the day. On the season's first day there is no
+// archive yet, and the series runs on the recent hours and the forecast alone.
+async function fetchSoilFrostHistory(area) {
+  const start = frostSeasonStart(), end = osloDate(Date.now() - 86400000);
+  if (start > end) return [];
+  const params = new URLSearchParams({
+    latitude: area.center[0],
+    longitude: area.center[1],
+    start_date: start,
+    end_date: end,
+    daily: "temperature_2m_mean,precipitation_sum",
+    hourly: "snow_depth",
+    timezone: "Europe/Oslo",
+  });
+  const res = await fetchWithTimeout(`${OPENMETEO_HISTORICAL}?${params}`, {}, 20000);
+  if (!res.ok) throw new Error(`Open-Meteo Historical ${res.status}`);
+  const { daily, hourly } = await res.json();
+  const snow = {};
+  (hourly?.time || []).forEach((t, i) => {
+    if (t.slice(11, 13) === "12") snow[t.slice(0, 10)] = hourly.snow_depth[i];
+  });
+  return (daily?.time || [])
+    .map((date, i) => ({ date, temp: daily.temperature_2m_mean[i], precip: daily.precipitation_sum[i] ?? 0, snow: snow[date] ?? null, forecast: false }))
+    .filter((d) => d.temp != null);
+}
+
+// One daily series: ERA5, then the recent Open-Meteo hours where ERA5 lags, then the MET
+// forecast. Snow on forecast days is carried forward with simple snowfall and melt.
+function soilFrostDays(era5, recent, timeseries) {
+  const days = new Map(era5.map((d) => [d.date, d]));
+  const recentDays = {};
+  for (const h of recent || []) {
+    if (h.temp == null) continue;
+    const d = (recentDays[h.date] ??= { date: h.date, temps: [], precip: 0, snow: null, forecast: false });
+    d.temps.push(h.temp);
+    d.precip += h.precip ?? 0;
+    if (h.hour === 12) d.snow = h.snow;
+  }
+  for (const d of Object.values(recentDays)) {
+    if (!days.has(d.date) && d.temps.length >= 20) days.set(d.date, { ...d, temp: d.temps.reduce((s, t) => s + t, 0) / d.temps.length });
+  }
+  const series = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  let snow = [...series].reverse().find((d) => d.snow != null)?.snow ?? 0;
+  const last = series[series.length - 1]?.date ?? "";
+  for (const f of forecastDailyTemps(timeseries).filter((f) => f.date > last)) {
+    // ~100 kg/m³ new snow; ~4 mm water (1.3 cm settled snow) melted per degree day
+    snow = Math.max(0, snow + (f.mean <= 0.5 ? f.precip * 0.01 : 0) - Math.max(0, f.mean) * 0.013);
+    series.push({ date: f.date, temp: f.mean, precip: f.precip, snow, forecast: true });
+  }
+  return series;
+}
+
+// Frost and thaw depths through the season for one parameter set
+function soilFrostRun(days, { freeze, thaw, snowDamping }) {
+  let fdd = 0, tdd = 0, snow = 0;
+  return days.map((d) => {
+    if (d.snow != null) snow = d.snow;
+    const surface = d.temp < 0 ? d.temp * Math.exp(-snow / snowDamping) : snow >= FROST_SNOW_COVER ? 0 : d.temp;
+    if (surface < 0) {
+      // Refreeze the thawed top before the front goes deeper
+      const refreeze = Math.min(tdd, -surface);
+      tdd -= refreeze;
+      fdd += -surface - refreeze;
+    } else if (fdd > 0) {
+      tdd += surface;
+    }
+    let frostDepth = freeze * Math.sqrt(fdd);
+    let thawDepth = thaw * Math.sqrt(tdd);
+    if (fdd > 0 && thawDepth >= frostDepth) {
+      fdd = tdd = 0;
+      frostDepth = thawDepth = 0;
+    }
+    return { frostDepth, thawDepth };
+  });
+}
+
+function soilFrostState({ frostDepth, thawDepth }, rain7d) {
+  if (frostDepth > 0 && thawDepth >= FROST_THAWED_TOP) return "thawing";
+  if (frostDepth >= FROST_BEARING_DEPTH) return "frozen";
+  if (frostDepth > 0) return "shallow";
+  return rain7d >= FROST_WET_RAIN_MM ? "wet" : "unfrozen";
+}
+
+// Daily frost state with the central estimate, the spread over the parameter sets and a
+// confidence from their agreement, lowered one step beyond three forecast days
+function computeSoilFrost(era5, recent, timeseries) {
+  const days = soilFrostDays(era5, recent, timeseries);
+  const runs = FROST_PARAMS.map((p) => soilFrostRun(days, p));
+  const today = osloDate(Date.now());
+  return days.map((d, i) => {
+    const rain7d = days.slice(Math.max(0, i - 6), i + 1).reduce((s, x) => s + x.precip, 0);
+    const states = runs.map((r) => soilFrostState(r[i], rain7d));
+    const passabilities = states.map((s) => FROST_STATES[s].passability);
+    const central = runs[1][i];
+    const state = states[1];
+    const agree = passabilities.filter((p) => p === FROST_STATES[state].passability).length;
+    const lead = d.forecast ? (new Date(d.date) - new Date(today)) / 86400000 : 0;
+    return {
+      ...d,
+      rain7d,
+      ...central,
+      frostRange: [Math.min(...runs.map((r) => r[i].frostDepth)), Math.max(...runs.map((r) => r[i].frostDepth))],
+      state,
+      passability: FROST_STATES[state].passability,
+      confidence: Math.max(0, agree - 1 - (lead > 3 ? 1 : 0)),
+    };
+  });
+}
+
+// ── Snow break risk ──
+// Snow break depends on the snow held in the crowns, not on the snow on the ground. Each
+// day's snowfall is partly intercepted: sticky wet snow near 0 °C far more than cold
+// powder. The load is shed by thaw and by wind, and wet snow that freezes onto the branches
+// stays put. Spruce and pine crowns start to break at roughly 20–30 kg/m² (Peltola et al.
+// 1999; Nykänen et al. 1997). Snowfall is in mm water equivalent (= kg/m²).
+const SNOW_RAIN_T = [0, 2]; // °C: all snow at or below, all rain at or above
+const SNOW_WET_RANGE = [-2, 1.5]; // °C, sticky snow
+const SNOW_INTERCEPTION = { dry: 0.3, wet: 0.7 };
+const SNOW_CROWN_MAX = 60; // kg/m² the crowns can hold before it slides off
+const SNOW_SHED_GUST = 12; // m/s
+const SNOW_THAW_TMAX = 2; // °C, daily max that melts the load off
+const SNOW_LEVELS = [
+  { max: 10, no: "Lav", en: "Low", color: "#52b788" },
+  { max: 20, no: "Moderat", en: "Moderate", color: "#e9c46a" },
+  { max: 35, no: "Høy", en: "High", color: "#e07a5f" },
+  { max: Infinity, no: "Svært høy", en: "Very high", color: "#c0392b" },
+];
+
+// Snow share of precipitation at an air temperature
+const snowFraction = (t) => Math.min(1, Math.max(0, (SNOW_RAIN_T[1] - t) / (SNOW_RAIN_T[1] - SNOW_RAIN_T[0])));
+const isWetSnowTemp = (t) => t >= SNOW_WET_RANGE[0] && t <= SNOW_WET_RANGE[1];
+
+// Daily snowfall, wet snowfall, max temperature and max gust from hourly or 6-hourly steps
+// [{date, temp, precip, gust}]
+function snowDaysFromSteps(steps) {
+  const days = {};
+  for (const s of steps) {
+    if (s.temp == null) continue;
+    const d = (days[s.date] ??= { date: s.date, temps: [], tmax: -Infinity, snow: 0, wetSnow: 0, gust: 0, forecast: s.forecast });
+    d.temps.push(s.temp);
+    d.tmax = Math.max(d.tmax, s.tmax ?? s.temp);
+    const snow = (s.precip ?? 0) * snowFraction(s.temp);
+    d.snow += snow;
+    if (isWetSnowTemp(s.temp)) d.wetSnow += snow;
+    d.gust = Math.max(d.gust, s.gust ?? 0);
+  }
+  return Object.values(days).map(({ temps, ...d }) => ({ ...d, temp: temps.reduce((a, b) => a + b, 0) / temps.length, hours: temps.length }));
+}
+
+// One daily series from the start of the frost season: ERA5, the recent Open-Meteo hours
+// where ERA5 lags, then the MET forecast. Ground snow depth comes from the soil frost series.
+function snowBreakDays(era5, recent, timeseries, groundSnow) {
+  const start = frostSeasonStart();
+  const days = new Map();
+  era5.dates.forEach((date, i) => {
+    const temp = era5.temps[i];
+    if (date < start || temp == null) return;
+    const snow = (era5.snowfall[i] ?? 0) * 10 / 7; // cm of snow → mm water
+    days.set(date, { date, temp, tmax: era5.maxTemps[i], snow, wetSnow: isWetSnowTemp(temp) ? snow : 0, gust: era5.gusts[i] ?? 0, forecast: false });
+  });
+  const recentDays = snowDaysFromSteps((recent || []).map((h) => ({ date: h.date, temp: h.temp, precip: h.precip, gust: (h.wind / 3.6) * WIND_GUST_FACTOR, forecast: false })));
+  for (const d of recentDays) if (!days.has(d.date) && d.hours >= 20) days.set(d.date, d);
+  const last = [...days.keys()].sort().pop() ?? "";
+  const forecastDays = snowDaysFromSteps(
+    (timeseries || []).map((ts) => {
+      const d = ts.data.instant.details;
+      const next = ts.data.next_1_hours ?? ts.data.next_6_hours;
+      return {
+        date: osloDate(ts.time),
+        temp: d.air_temperature,
+        tmax: ts.data.next_6_hours?.details?.air_temperature_max,
+        precip: next?.details?.precipitation_amount,
+        gust: d.wind_speed_of_gust ?? (d.wind_speed ?? 0) * WIND_GUST_FACTOR,
+        forecast: true,
+      };
+    })
+  );
+  for (const d of forecastDays) if (d.date > last) days.set(d.date, d);
+  const depth = new Map((groundSnow || []).map((d) => [d.date, d.snow]));
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map((d) => ({ ...d, depth: depth.get(d.date) ?? null }));
+}
+
+// Crown snow load (kg/m²) and risk level per day
+function computeSnowBreak(era5, recent, timeseries, groundSnow) {
+  let load = 0, frozen = false, wetYesterday = false;
+  return snowBreakDays(era5, recent, timeseries, groundSnow).map((d) => {
+    if (d.tmax >= SNOW_THAW_TMAX) {
+      load *= 0.4;
+      frozen = false;
+    } else {
+      if (wetYesterday && d.tmax < -1) frozen = true;
+      if (!frozen && d.gust >= SNOW_SHED_GUST) load *= 0.5;
+      else load *= frozen ? 0.97 : 0.9;
+    }
+    load = Math.min(SNOW_CROWN_MAX, load + (d.snow - d.wetSnow) * SNOW_INTERCEPTION.dry + d.wetSnow * SNOW_INTERCEPTION.wet);
+    wetYesterday = d.wetSnow >= 1;
+    // Frozen-on snow won't shed, so it counts one level higher
+    const base = SNOW_LEVELS.findIndex((l) => load < l.max);
+    const level = Math.min(SNOW_LEVELS.length - 1, base + (frozen && base > 0 ? 1 : 0));
+    return { ...d, load, frozen, level };
+  });
+}
+
+// ── NIBIO WMS tile URL builder ──
+// bbox is [minX, minY, maxX, maxY] in `crs`. WMS 1.3.0 uses lat/lon axis order for
+// EPSG:4326 and easting/northing for projected CRSs.
+function nibioWMSTile(layer, bbox, width = 512, height = 512, crs = "EPSG:4326") {
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    VERSION: "1.3.0",
+    REQUEST: "GetMap",
+    LAYERS: layer,
+    CRS: crs,
+    BBOX: crs === "EPSG:4326" ? `${bbox[1]},${bbox[0]},${bbox[3]},${bbox[2]}` : bbox.join(","),
+    WIDTH: width,
+    HEIGHT: height,
+    FORMAT: "image/png",
+    TRANSPARENT: "true",
+  });
+  return `${NIBIO_WMS}?${params}`;
+}
+
+// ── SR16 point query (WMS GetFeatureInfo) ──
+// Unlike GetMap tiles (plain <img>), GetFeatureInfo is read with fetch and needs CORS;
+// like MET it goes through the Vite proxy in dev and the Cloudflare worker in production.
+const NIBIO_WMS_QUERY = import.meta.env.DEV
+  ? "/api/nibio/cgi-bin/sr16"
+  : "https://met-proxy.janschill.workers.dev/nibio/cgi-bin/sr16";
+
+const SR16_TRESLAG = { 1: "Gran", 2: "Furu", 3: "Lauv" };
+// SR16 layers offered under the NDVI map for comparison
+const SR16_COMPARE_LAYERS = { SRRVOLUB: "Standing volume", SRRTRESLAG: "Tree species", SRRBMO: "Biomass" };
+
+const SR16_QUERY_LAYERS = [
+  { layer: "SRRVOLUB", label: "Volume", unit: "m³/ha", format: (v) => v.toFixed(0) },
+  { layer: "SRRBMO", label: "Biomass", unit: "t/ha", format: (v) => v.toFixed(0) },
+  { layer: "SRRTRESLAG", label: "Tree species", unit: "", format: (v) => SR16_TRESLAG[v] ?? `Class ${v}` },
+  { layer: "SRRHOYDEM", label: "Mean height", unit: "m", format: (v) => v.toFixed(1) },
+  { layer: "SRRBONITET", label: "Site index", unit: "H40", format: (v) => v.toFixed(0) },
+];
+
+// Raster GetFeatureInfo answers carry the pixel in `value_0`. MapServer returns
+// GML when it can and plain text ("value_0 = '123'") otherwise; both are handled.
+function parseFeatureInfo(text) {
+  const values = {};
+  if (text.trimStart().startsWith("<")) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    for (const layerEl of doc.documentElement.children) {
+      const layer = layerEl.tagName.replace(/_layer$/, "");
+      const value = layerEl.getElementsByTagName("value_0")[0]?.textContent;
+      if (value != null) values[layer] = value.trim();
+    }
+    return values;
+  }
+  let layer = null;
+  for (const line of text.split("\n")) {
+    const layerMatch = line.match(/^Layer '([^']+)'/);
+    if (layerMatch) layer = layerMatch[1];
+    const valueMatch = line.match(/^\s*value_0\s*=\s*'([^']*)'/);
+    if (layer && valueMatch) values[layer] = valueMatch[1];
+  }
+  return values;
+}
+
+// SR16 values at one point; layers without data (outside forest, no-data) are null
+async function fetchSR16Point(lon, lat) {
+  const d = 0.0002;
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    VERSION: "1.3.0",
+    REQUEST: "GetFeatureInfo",
+    LAYERS: SR16_QUERY_LAYERS.map((l) => l.layer).join(","),
+    QUERY_LAYERS: SR16_QUERY_LAYERS.map((l) => l.layer).join(","),
+    CRS: "EPSG:4326",
+    BBOX: `${lat - d},${lon - d},${lat + d},${lon + d}`,
+    WIDTH: 3,
+    HEIGHT: 3,
+    I: 1,
+    J: 1,
+    INFO_FORMAT: "application/vnd.ogc.gml",
+    FEATURE_COUNT: 1,
+  });
+  const res = await fetchWithTimeout(`${NIBIO_WMS_QUERY}?${params}`, {}, 15000);
+  if (!res.ok) throw new Error(`GetFeatureInfo HTTP ${res.status}`);
+  const raw = parseFeatureInfo(await res.text());
+  const values = {};
+  for (const { layer } of SR16_QUERY_LAYERS) {
+    const v = parseFloat(raw[layer]);
+    // SR16 uses 0 / negative sentinels for non-forest and no-data
+    values[layer] = Number.isFinite(v) && v > 0 ? v : null;
+  }
+  return values;
+}
+
+function formatSR16Value(layer, value) {
+  if (value == null) return "–";
+  const def = SR16_QUERY_LAYERS.find((l) => l.layer === layer);
+  return def.format(value);
+}
+
+function downloadCSV(fileName, header, rows) {
+  const escape = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const csv = [header, ...rows].map((row) => row.map((v) => escape(v ?? "")).join(",")).join("\n");
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function nibioLegendUrl(layer) {
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    VERSION: "1.3.0",
+    REQUEST: "GetLegendGraphic",
+    LAYER: layer,
+    FORMAT: "image/png",
+    SLD_VERSION: "1.1.0",
+  });
+  return `${NIBIO_WMS}?${params}`;
+}
+
+// ── SR16 layer catalog (WMS GetCapabilities) ──
+// Used until GetCapabilities answers, and if it fails
+const SR16_FALLBACK_LAYERS = [
+  { layer: "SRRVOLUB", title: "Volume (m³/ha)" },
+  { layer: "SRRBMO", title: "Biomass (tons/ha)" },
+  { layer: "SRRTRESLAG", title: "Tree species" },
+  { layer: "SRRHOYDEM", title: "Lorey's mean height" },
+  { layer: "SRRBONITET", title: "Site index" },
+  { layer: "SRRKRONEDEK", title: "Crown cover" },
+  { layer: "SRRGRFLATE", title: "Basal area" },
+].map((l) => ({ ...l, abstract: "", legendUrl: nibioLegendUrl(l.layer) }));
+
+// Short Norwegian names for simple mode; other layers keep their WMS title
+const SR16_LAYER_NO = {
+  SRRVOLUB: "Volum",
+  SRRBMO: "Biomasse",
+  SRRTRESLAG: "Treslag",
+  SRRHOYDEM: "Trehøyde",
+  SRRBONITET: "Bonitet",
+  SRRKRONEDEK: "Kronedekning",
+  SRRGRFLATE: "Grunnflate",
+};
+
+// Named leaf layers with title, abstract and legend URL from a WMS 1.3.0 capabilities document
+function parseWMSCapabilities(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("Invalid capabilities XML");
+  const child = (el, name) => [...el.children].find((c) => c.localName === name);
+  return [...doc.getElementsByTagNameNS("*", "Layer")]
+    .filter((el) => child(el, "Name") && !child(el, "Layer"))
+    .map((el) => {
+      const layer = child(el, "Name").textContent.trim();
+      const legend = el.getElementsByTagNameNS("*", "LegendURL")[0]?.getElementsByTagNameNS("*", "OnlineResource")[0];
+      return {
+        layer,
+        title: child(el, "Title")?.textContent.trim() || layer,
+        abstract: child(el, "Abstract")?.textContent.trim() || "",
+        legendUrl: legend?.getAttributeNS("http://www.w3.org/1999/xlink", "href") || nibioLegendUrl(layer),
+      };
+    });
+}
+
+async function fetchSR16Capabilities() {
+  const params = new URLSearchParams({ SERVICE: "WMS", VERSION: "1.3.0", REQUEST: "GetCapabilities" });
+  const res = await fetchWithTimeout(`${NIBIO_WMS_QUERY}?${params}`, {}, 20000);
+  if (!res.ok) throw new Error(`GetCapabilities HTTP ${res.status}`);
+  const layers = parseWMSCapabilities(await res.text());
+  if (layers.length === 0) throw new Error("No layers in capabilities");
+  return layers;
+}
+
+// ── SR16 zonal statistics (WCS GetCoverage) ──
+// SR16 pixel values are per-hectare densities (m³/ha, t/ha); totals multiply by pixel area.
+// GetCoverage is read with fetch, so like GetFeatureInfo it goes through the dev proxy or the worker.
+const NIBIO_WCS = import.meta.env.DEV
+  ? "/api/nibio-wcs/cgi-bin/sr16"
+  : "https://met-proxy.janschill.workers.dev/nibio-wcs/cgi-bin/sr16";
+const SR16_STATS_EPSG = 25833;
+const SR16_RESOLUTION = 16;
+const SR16_MAX_PIXELS = 1500000;
+
+const SR16_STATS_LAYERS = {
+  volume: { coverage: "SRRVOLUB", unit: "m³", binWidth: 50, binCount: 12 },
+  biomass: { coverage: "SRRBMO", unit: "t", binWidth: 25, binCount: 12 },
+  height: { coverage: "SRRHOYDEM", unit: "m", binWidth: 3, binCount: 12 },
+};
+
+async function fetchSR16Coverage(coverage, extent, width, height) {
+  const params = new URLSearchParams({
+    SERVICE: "WCS",
+    VERSION: "1.0.0",
+    REQUEST: "GetCoverage",
+    COVERAGE: coverage,
+    CRS: `EPSG:${SR16_STATS_EPSG}`,
+    BBOX: extent.join(","),
+    WIDTH: width,
+    HEIGHT: height,
+    FORMAT: "GTiff",
+  });
+  const res = await fetchWithTimeout(`${NIBIO_WCS}?${params}`, {}, 60000);
+  if (!res.ok) throw new Error(`WCS ${coverage} HTTP ${res.status}`);
+  const buffer = await res.arrayBuffer();
+  // Service exceptions come back as XML with status 200
+  if (new Uint8Array(buffer, 0, 1)[0] === 0x3c) throw new Error(`WCS ${coverage} returned an exception`);
+  const image = await (await fromArrayBuffer(buffer)).getImage();
+  const [values] = await image.readRasters();
+  return { values, nodata: image.getGDALNoData() };
+}
+
+// Totals, means and a histogram of one SR16 raster inside the AOI mask (totals only mean
+// something for the per-hectare layers). No-data and zero pixels count as non-forest:
+// they add AOI area but no volume/biomass.
+function zonalStats(values, nodata, mask, pixelHa, { binWidth, binCount }) {
+  const histogram = Array.from({ length: binCount }, (_, i) => ({ from: i * binWidth, to: (i + 1) * binWidth, count: 0 }));
+  const forest = [];
+  let aoiPixels = 0, sum = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    aoiPixels++;
+    const v = values[i];
+    if (v === nodata || !(v > 0)) continue;
+    forest.push(v);
+    sum += v;
+    histogram[Math.min(binCount - 1, Math.floor(v / binWidth))].count++;
+  }
+  forest.sort((a, b) => a - b);
+  const pct = (q) => (forest.length ? forest[Math.floor(q * (forest.length - 1))] : null);
+  return {
+    total: sum * pixelHa,
+    meanForest: forest.length ? sum / forest.length : null,
+    meanAOI: aoiPixels ? sum / aoiPixels : null,
+    p10: pct(0.1),
+    median: pct(0.5),
+    p90: pct(0.9),
+    forestHa: forest.length * pixelHa,
+    aoiHa: aoiPixels * pixelHa,
+    histogram,
+  };
+}
+
+async function fetchSR16ZonalStats(geometry) {
+  const projected = projectGeometry(geometry, projectionForEPSG(SR16_STATS_EPSG));
+  const xs = projected.flat(2).map((p) => p[0]), ys = projected.flat(2).map((p) => p[1]);
+  // Native 16 m grid, coarsened in whole multiples for large areas
+  const nativePixels = ((Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys))) / SR16_RESOLUTION ** 2;
+  const res = SR16_RESOLUTION * Math.max(1, Math.ceil(Math.sqrt(nativePixels / SR16_MAX_PIXELS)));
+  const extent = [
+    Math.floor(Math.min(...xs) / res) * res,
+    Math.floor(Math.min(...ys) / res) * res,
+    Math.ceil(Math.max(...xs) / res) * res,
+    Math.ceil(Math.max(...ys) / res) * res,
+  ];
+  const width = (extent[2] - extent[0]) / res, height = (extent[3] - extent[1]) / res;
+  const mask = rasterizeGeometry(projected, { originX: extent[0], originY: extent[3], resX: res, resY: -res, col0: 0, row0: 0, width, height });
+  const pixelHa = (res * res) / 10000;
+
+  const stats = { resolution: res, pixelCount: width * height };
+  const rasters = {};
+  for (const [key, def] of Object.entries(SR16_STATS_LAYERS)) {
+    rasters[key] = await fetchSR16Coverage(def.coverage, extent, width, height);
+    stats[key] = zonalStats(rasters[key].values, rasters[key].nodata, mask, pixelHa, def);
+  }
+  // Species and site index only feed the growth model, so the totals stand without them
+  try {
+    for (const [key, coverage] of Object.entries(SR16_STRATA_LAYERS)) rasters[key] = await fetchSR16Coverage(coverage, extent, width, height);
+    stats.strata = growthStrata(rasters, mask, pixelHa);
+  } catch (e) {
+    console.warn("SR16 species/site index failed:", e);
+    stats.strata = null;
+  }
+  return stats;
+}
+
+// ── Stand growth (site-index yield curves) ──
+// Volume over age follows a Chapman–Richards curve V(t) = A·(1 − e^(−kt))³ per species and
+// site index (H40, dominant height in metres at 40 years), fitted so that its mean annual
+// increment peaks at the yield-table maximum at the table's culmination age. Each SR16 stratum
+// (species × site index) gets an age from its mean height on the species' height curve through
+// the site index (SR16 mean height stands in for dominant height, so stands read a little young);
+// the curve's increment from that age is scaled by the stratum's stocking
+// against the curve and by a growing-season factor. Biomass follows volume at the stratum's
+// own SR16 biomass/volume ratio.
+const SR16_STRATA_LAYERS = { species: "SRRTRESLAG", siteIndex: "SRRBONITET" };
+const GROWTH_SPECIES = {
+  // yield: [site index, max mean annual increment m³/ha/yr, culmination age], approximated from
+  // the Norwegian yield tables (Tveite 1977 spruce, Brantseg 1967 pine, Braastad 1977 birch)
+  1: {
+    en: "Spruce", no: "Gran", color: "#2d6a4f", height: { k: 0.03, p: 1.5 }, biomassPerM3: 0.75,
+    yield: [[6, 1.0, 130], [8, 1.7, 120], [11, 2.9, 105], [14, 4.4, 90], [17, 6.1, 80], [20, 8.1, 70], [23, 10.3, 65], [26, 12.8, 60]],
+  },
+  2: {
+    en: "Pine", no: "Furu", color: "#e9c46a", height: { k: 0.035, p: 1.3 }, biomassPerM3: 0.6,
+    yield: [[6, 1.0, 140], [8, 1.6, 125], [11, 2.6, 110], [14, 3.8, 95], [17, 5.1, 85], [20, 6.6, 75], [23, 8.2, 70]],
+  },
+  3: {
+    en: "Broadleaf", no: "Lauv", color: "#95d5b2", height: { k: 0.05, p: 1.1 }, biomassPerM3: 0.8,
+    yield: [[6, 1.0, 80], [8, 1.5, 75], [11, 2.4, 65], [14, 3.4, 60], [17, 4.5, 55], [20, 5.7, 50], [23, 7.0, 45]],
+  },
+};
+const GROWTH_YEARS = 10;
+const GROWTH_SI_ERROR = 3; // m H40, about one site-index class (SR16's mapping error)
+const GROWTH_GDD_ELASTICITY = 0.5; // % increment change per % change in growing degree days
+const GROWTH_CLIMATE_RANGE = [0.8, 1.25];
+const GROWTH_STOCKING_RANGE = [0.3, 1.5];
+const GROWTH_MAX_AGE = 200;
+const CR_CULMINATION = 1.9038; // k·t where V(t)/t peaks for the cubic Chapman–Richards curve
+
+// Mean volume, biomass and height per species × site index over forest pixels in the AOI
+function growthStrata(rasters, mask, pixelHa) {
+  const value = (key, i) => {
+    const v = rasters[key].values[i];
+    return v === rasters[key].nodata || !(v > 0) ? null : v;
+  };
+  const strata = {};
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    const species = value("species", i), siteIndex = value("siteIndex", i), volume = value("volume", i);
+    if (!GROWTH_SPECIES[species] || siteIndex == null || volume == null) continue;
+    const s = (strata[`${species}-${Math.round(siteIndex)}`] ??= { species, siteIndex: Math.round(siteIndex), pixels: 0, volume: 0, biomass: 0, height: 0 });
+    s.pixels++;
+    s.volume += volume;
+    s.biomass += value("biomass", i) ?? 0;
+    s.height += value("height", i) ?? 0;
+  }
+  return Object.values(strata).map((s) => ({
+    species: s.species,
+    siteIndex: s.siteIndex,
+    ha: s.pixels * pixelHa,
+    volume: s.volume / s.pixels,
+    biomass: s.biomass / s.pixels,
+    height: s.height / s.pixels,
+  }));
+}
+
+// Chapman–Richards parameters for a species at a site index (interpolated in the yield table)
+function yieldParams(species, siteIndex) {
+  const table = GROWTH_SPECIES[species].yield;
+  const si = Math.min(table[table.length - 1][0], Math.max(table[0][0], siteIndex));
+  const j = Math.max(1, table.findIndex((r) => r[0] >= si));
+  const [s0, mai0, t0] = table[j - 1], [s1, mai1, t1] = table[j];
+  const f = (si - s0) / (s1 - s0);
+  const mai = mai0 + f * (mai1 - mai0), culmination = t0 + f * (t1 - t0);
+  return { k: CR_CULMINATION / culmination, A: (mai * culmination) / (1 - Math.exp(-CR_CULMINATION)) ** 3 };
+}
+
+const yieldVolume = ({ k, A }, age) => A * (1 - Math.exp(-k * age)) ** 3;
+
+// Age at which the species' height curve through H(40) = site index reaches `height`
+function standAge(species, siteIndex, height) {
+  const { k, p } = GROWTH_SPECIES[species].height;
+  const x = (height / siteIndex) ** (1 / p) * (1 - Math.exp(-40 * k));
+  return x >= 1 ? GROWTH_MAX_AGE : Math.min(GROWTH_MAX_AGE, -Math.log(1 - x) / k);
+}
+
+// Yearly volume and biomass per hectare of each stratum, for a site-index offset and climate factor
+function growStrata(strata, siOffset, climate) {
+  return strata.map((s) => {
+    const siteIndex = Math.max(1, s.siteIndex + siOffset);
+    const params = yieldParams(s.species, siteIndex);
+    const age = standAge(s.species, siteIndex, s.height);
+    const onCurve = yieldVolume(params, age);
+    const stocking = onCurve > 1 ? Math.min(GROWTH_STOCKING_RANGE[1], Math.max(GROWTH_STOCKING_RANGE[0], s.volume / onCurve)) : 1;
+    const perM3 = s.biomass > 0 ? s.biomass / s.volume : GROWTH_SPECIES[s.species].biomassPerM3;
+    const volume = [s.volume];
+    for (let n = 1; n <= GROWTH_YEARS; n++) {
+      volume.push(volume[n - 1] + stocking * climate * (yieldVolume(params, age + n) - yieldVolume(params, age + n - 1)));
+    }
+    return { ...s, age, volume, biomass: volume.map((v) => v * perM3) };
+  });
+}
+
+// Growth multiplier from the growing season: mean GDD over the next GROWTH_YEARS (CMIP6 median
+// and model range) against the ERA5 mean the site index was grown under. Without projections the
+// recent ERA5 years stand in and the band comes from the site index alone.
+function growthClimate(historical, projected) {
+  const neutral = { mid: 1, low: 1, high: 1, source: null };
+  if (!historical?.length) return neutral;
+  const avg = (rows, key) => rows.reduce((s, r) => s + r[key], 0) / rows.length;
+  const year = new Date().getFullYear();
+  const next = (projected || []).filter((p) => p.year >= year && p.year < year + GROWTH_YEARS);
+  const refGDD = avg(historical, "gdd");
+  if (!(refGDD > 0)) return neutral;
+  const factor = (gdd) => Math.min(GROWTH_CLIMATE_RANGE[1], Math.max(GROWTH_CLIMATE_RANGE[0], (gdd / refGDD) ** GROWTH_GDD_ELASTICITY));
+  const base = { refGDD, refLength: avg(historical, "length"), refYears: [historical[0].year, historical[historical.length - 1].year] };
+  if (next.length) {
+    const gdd = avg(next, "gdd");
+    return { ...base, mid: factor(gdd), low: factor(avg(next, "gddMin")), high: factor(avg(next, "gddMax")), gdd, length: avg(next, "length"), source: "CMIP6" };
+  }
+  const recent = historical.slice(-GROWTH_YEARS);
+  const gdd = avg(recent, "gdd"), f = factor(gdd);
+  return { ...base, mid: f, low: f, high: f, gdd, length: avg(recent, "length"), source: "ERA5" };
+}
+
+// Volume (m³) and biomass (t) per year for each species and in total, with a band spanning
+// ±GROWTH_SI_ERROR site index and the climate factor's range
+function projectGrowth(strata, climate) {
+  if (!strata?.length) return null;
+  const runs = [growStrata(strata, 0, climate.mid), growStrata(strata, -GROWTH_SI_ERROR, climate.low), growStrata(strata, GROWTH_SI_ERROR, climate.high)];
+  const series = (filter) => Array.from({ length: GROWTH_YEARS + 1 }, (_, n) => {
+    const [mid, ...alt] = runs.map((run) => {
+      const rows = run.filter(filter);
+      return ["volume", "biomass"].map((key) => rows.reduce((s, r) => s + r[key][n] * r.ha, 0));
+    });
+    const all = [mid, ...alt];
+    return {
+      n,
+      volume: mid[0],
+      volumeLow: Math.min(...all.map((r) => r[0])),
+      volumeHigh: Math.max(...all.map((r) => r[0])),
+      biomass: mid[1],
+      biomassLow: Math.min(...all.map((r) => r[1])),
+      biomassHigh: Math.max(...all.map((r) => r[1])),
+    };
+  });
+  const species = Object.keys(GROWTH_SPECIES).map(Number)
+    .map((code) => {
+      const rows = strata.filter((s) => s.species === code);
+      if (!rows.length) return null;
+      const ha = rows.reduce((s, r) => s + r.ha, 0);
+      return { code, ha, siteIndex: rows.reduce((s, r) => s + r.siteIndex * r.ha, 0) / ha, years: series((r) => r.species === code) };
+    })
+    .filter(Boolean);
+  return { species, total: series(() => true), forestHa: strata.reduce((s, r) => s + r.ha, 0) };
+}
+
+// ── Web Mercator tiling (slippy map) ──
+const TILE_SIZE = 256;
+const MERCATOR_HALF = 20037508.342789244;
+const MIN_ZOOM = 4;
+const MAX_ZOOM = 18;
+
+const BASEMAPS = {
+  topograatone: {
+    label: "Kartverket gråtone",
+    url: (z, x, y) => `https://cache.kartverket.no/v1/wmts/1.0.0/topograatone/default/webmercator/${z}/${y}/${x}.png`,
+    attribution: "© Kartverket",
+  },
+  topo: {
+    label: "Kartverket topo",
+    url: (z, x, y) => `https://cache.kartverket.no/v1/wmts/1.0.0/topo/default/webmercator/${z}/${y}/${x}.png`,
+    attribution: "© Kartverket",
+  },
+  osm: {
+    label: "OpenStreetMap",
+    url: (z, x, y) => `https://tile.openstreetmap.org/${z}/${x}/${y}.png`,
+    attribution: "© OpenStreetMap contributors",
+  },
+};
+
+// Lon/lat → global pixel coordinates at `zoom`
+function lonLatToWorld(lon, lat, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85.05, Math.min(85.05, lat)) * Math.PI) / 180);
+  return [
+    ((lon + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  ];
+}
+
+function worldToLonLat(x, y, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return [(x / scale) * 360 - 180, (Math.atan(Math.sinh(n)) * 180) / Math.PI];
+}
+
+// EPSG:3857 bbox of tile x/y/z, for WMS GetMap requests
+function tileMercatorBBox(x, y, zoom) {
+  const size = (2 * MERCATOR_HALF) / 2 ** zoom;
+  return [x * size - MERCATOR_HALF, MERCATOR_HALF - (y + 1) * size, (x + 1) * size - MERCATOR_HALF, MERCATOR_HALF - y * size];
+}
+
+function metersPerPixel(lat, zoom) {
+  return (Math.cos((lat * Math.PI) / 180) * 2 * MERCATOR_HALF) / (TILE_SIZE * 2 ** zoom);
+}
+
+// Largest integer zoom at which the bbox fits in a width × height viewport
+function fitView(bbox, width, height) {
+  const center = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+  let zoom = MAX_ZOOM;
+  while (zoom > MIN_ZOOM) {
+    const [x0, y0] = lonLatToWorld(bbox[0], bbox[3], zoom);
+    const [x1, y1] = lonLatToWorld(bbox[2], bbox[1], zoom);
+    if (x1 - x0 <= width && y1 - y0 <= height) break;
+    zoom--;
+  }
+  return { zoom, center };
+}
+
+// Round scale-bar length (1/2/5 × 10ⁿ m) that fits in maxPx
+function scaleBar(mpp, maxPx = 110) {
+  const maxMeters = mpp * maxPx;
+  const pow = 10 ** Math.floor(Math.log10(maxMeters));
+  const meters = [5, 2, 1].map((f) => f * pow).find((m) => m <= maxMeters);
+  return { px: meters / mpp, label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m` };
+}
+
+// ── NDVI raster rendering ──
+// Colour ramp stops [value, [r, g, b]], brown (bare) → green (dense canopy)
+const NDVI_RAMP = [
+  [-0.2, [140, 81, 10]],
+  [0.1, [216, 179, 101]],
+  [0.3, [246, 232, 195]],
+  [0.5, [199, 233, 192]],
+  [0.7, [65, 171, 93]],
+  [0.9, [0, 68, 27]],
+];
+
+function rampColor(value, ramp) {
+  if (value <= ramp[0][0]) return ramp[0][1];
+  for (let i = 1; i < ramp.length; i++) {
+    const [v1, c1] = ramp[i];
+    if (value <= v1) {
+      const [v0, c0] = ramp[i - 1];
+      const t = (value - v0) / (v1 - v0);
+      return c0.map((c, k) => Math.round(c + (c1[k] - c) * t));
+    }
+  }
+  return ramp[ramp.length - 1][1];
+}
+
+// ═══ UI Components ═══
 
 const LoadingDot = () => (
   <span className="loading-dot">
@@ -385,20 +2866,418 @@ const StatBlock = ({ label, value, unit, sub, accent, small }) => (
   </div>
 );
 
-const ProgressBar = ({ value, max = 100, color = "var(--green)", label, showVal }) => (
-  <div style={{ marginBottom: 8 }}>
-    {label && (
-      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
-        <span style={{ fontSize: 12, color: "var(--t2)" }}>{label}</span>
-        {showVal && <span style={{ fontSize: 11, fontFamily: "var(--fm)", color }}>{value.toFixed?.(1) ?? value}</span>}
+const ProgressBar = ({ value, max = 100, color = "var(--green)", label, showVal }) => (
+  <div style={{ marginBottom: 8 }}>
+    {label && (
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+        <span style={{ fontSize: 12, color: "var(--t2)" }}>{label}</span>
+        {showVal && <span style={{ fontSize: 11, fontFamily: "var(--fm)", color }}>{value.toFixed?.(1) ?? value}</span>}
+      </div>
+    )}
+    <div style={{ height: 6, background: "var(--bg2)", borderRadius: 3 }}>
+      <div style={{ width: `${Math.min((value / max) * 100, 100)}%`, height: "100%", background: color, borderRadius: 3, transition: "width 0.8s ease" }} />
+    </div>
+  </div>
+);
+
+const AreaPicker = ({ area, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(area.custom ? area.name : "");
+  const [bboxText, setBboxText] = useState(area.bbox.join(", "));
+  const [uploadError, setUploadError] = useState(null);
+  const bbox = parseBBox(bboxText);
+  const storedAreas = Object.values(loadStoredAreas());
+
+  const handleSelect = (e) => {
+    if (e.target.value === "__new") {
+      setEditing(true);
+      return;
+    }
+    const known = [...AREAS, ...storedAreas].find((a) => a.id === e.target.value);
+    if (known) onChange(known);
+    setEditing(false);
+  };
+
+  const apply = () => {
+    if (!bbox) return;
+    onChange(makeCustomArea(name.trim(), bbox));
+    setEditing(false);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    // Clear the input so picking the same file again fires onChange
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const uploaded = parseBoundaryFile(file.name, await file.text());
+      storeArea(uploaded);
+      setUploadError(null);
+      setEditing(false);
+      onChange(uploaded);
+    } catch (err) {
+      setUploadError(err.message);
+    }
+  };
+
+  return (
+    <div className="area-picker">
+      <select className="area-select" value={editing ? "__new" : area.id} onChange={handleSelect}>
+        {AREAS.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+        {storedAreas.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+        {area.custom && !area.geometry && <option value={area.id}>{area.name}</option>}
+        <option value="__new">Eget område…</option>
+      </select>
+      {editing && (
+        <div className="area-form">
+          <input className="area-input" placeholder="Navn" value={name} onChange={(e) => setName(e.target.value)} />
+          <input
+            className={`area-input${bbox ? "" : " invalid"}`}
+            placeholder="vest, sør, øst, nord"
+            value={bboxText}
+            onChange={(e) => setBboxText(e.target.value)}
+            title="Bbox i grader (EPSG:4326): vest, sør, øst, nord"
+          />
+          <button className="area-btn" disabled={!bbox} onClick={apply}>Bruk</button>
+          <label className="area-btn secondary" title="Eiendomsgrense som GeoJSON eller KML (EPSG:4326)">
+            Last opp grense…
+            <input type="file" accept=".geojson,.json,.kml" onChange={handleUpload} style={{ display: "none" }} />
+          </label>
+          <button className="area-btn secondary" onClick={() => setEditing(false)}>Avbryt</button>
+          {uploadError && <span className="area-error">{uploadError}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Date range, cloud limit and season for the STAC searches; applied on "Search"
+const SearchSettings = ({ value, onChange }) => {
+  const [draft, setDraft] = useState(value);
+  const range = resolveSearchRange(draft);
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const toggleMonth = (m) => set({ months: draft.months.includes(m) ? draft.months.filter((x) => x !== m) : [...draft.months, m].sort((a, b) => a - b) });
+  const valid = range.start <= range.end;
+
+  return (
+    <div className="search-settings">
+      <div className="raster-controls">
+        <label>
+          From{" "}
+          <input type="date" className="area-input" value={range.start} max={range.end} onChange={(e) => set({ start: e.target.value || null })} />
+        </label>
+        <label>
+          To{" "}
+          <input type="date" className="area-input" value={range.end} disabled={!draft.end} onChange={(e) => set({ end: e.target.value || null })} />
+        </label>
+        <label>
+          <input type="checkbox" checked={!draft.end} onChange={(e) => set({ end: e.target.checked ? null : range.end })} /> up to today
+        </label>
+        <label>
+          Max cloud {draft.maxCloud}%{" "}
+          <input type="range" min="5" max="100" step="5" value={draft.maxCloud} onChange={(e) => set({ maxCloud: +e.target.value })} />
+        </label>
+      </div>
+      <div className="raster-controls">
+        <span>Season</span>
+        <div className="month-toggles">
+          {MONTH_NAMES.map((name, i) => (
+            <button key={name} className={`month-btn${draft.months.includes(i + 1) ? " active" : ""}`} onClick={() => toggleMonth(i + 1)}>{name}</button>
+          ))}
+        </div>
+        <button className="area-btn secondary" onClick={() => set({ months: [6, 7, 8] })}>Jun–Aug</button>
+        <button className="area-btn secondary" onClick={() => set({ months: [] })}>All year</button>
+        <button className="area-btn" disabled={!valid} onClick={() => onChange(draft)}>Search</button>
+        <button className="area-btn secondary" onClick={() => { setDraft(DEFAULT_SEARCH); onChange(DEFAULT_SEARCH); }}>Reset</button>
+      </div>
+    </div>
+  );
+};
+
+// Short description of the active search, for source tags
+function describeSearch(search) {
+  const { start, end } = resolveSearchRange(search);
+  const season = search.months.length === 0 || search.months.length === 12
+    ? "all months"
+    : search.months.map((m) => MONTH_NAMES[m - 1]).join(", ");
+  return `${start} → ${end} · ${season} · cloud < ${search.maxCloud}%`;
+}
+
+// Colour-ramped grid drawn into a SlippyMap viewport; NaN pixels stay transparent. The grid
+// is in its own projected CRS (UTM), so it is drawn in RASTER_BLOCKS × RASTER_BLOCKS pieces,
+// each with the affine transform through its corners. That keeps the warp to Web Mercator
+// within a raster pixel at any zoom; one transform for the whole grid is off by tens of pixels.
+const RASTER_BLOCKS = 8;
+
+const RasterOverlay = ({ raster, zoom, origin, size, opacity }) => {
+  const canvasRef = useRef(null);
+  const { values, width, height, ramp, extent, epsg } = raster;
+  // Pixel-for-pixel image of the grid, redrawn only when the data changes
+  const image = useMemo(() => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    const data = ctx.createImageData(width, height);
+    for (let i = 0; i < values.length; i++) {
+      if (Number.isNaN(values[i])) continue;
+      const [r, g, b] = rampColor(values[i], ramp);
+      data.data[i * 4] = r;
+      data.data[i * 4 + 1] = g;
+      data.data[i * 4 + 2] = b;
+      data.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(data, 0, 0);
+    return canvas;
+  }, [values, width, height, ramp]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    const toLonLat = inverseProjectionForEPSG(epsg);
+    const resX = (extent[2] - extent[0]) / width, resY = (extent[3] - extent[1]) / height;
+    // Screen position of the grid corner at (col, row)
+    const screen = (col, row) => {
+      const [wx, wy] = lonLatToWorld(...toLonLat(extent[0] + col * resX, extent[3] - row * resY), zoom);
+      return [wx - origin[0], wy - origin[1]];
+    };
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, size.width, size.height);
+    ctx.imageSmoothingEnabled = false;
+    const bw = Math.ceil(width / RASTER_BLOCKS), bh = Math.ceil(height / RASTER_BLOCKS);
+    for (let r0 = 0; r0 < height; r0 += bh) {
+      for (let c0 = 0; c0 < width; c0 += bw) {
+        const c1 = Math.min(width, c0 + bw), r1 = Math.min(height, r0 + bh);
+        const [tl, tr, bl] = [screen(c0, r0), screen(c1, r0), screen(c0, r1)];
+        const a = (tr[0] - tl[0]) / (c1 - c0), b = (tr[1] - tl[1]) / (c1 - c0);
+        const c = (bl[0] - tl[0]) / (r1 - r0), d = (bl[1] - tl[1]) / (r1 - r0);
+        ctx.setTransform(a, b, c, d, tl[0] - a * c0 - c * r0, tl[1] - b * c0 - d * r0);
+        // One pixel of overlap hides seams between the pieces
+        const w = Math.min(width - c0, c1 - c0 + 1), h = Math.min(height - r0, r1 - r0 + 1);
+        ctx.drawImage(image, c0, r0, w, h, c0, r0, w, h);
+      }
+    }
+  }, [image, zoom, origin[0], origin[1], size.width, size.height, extent, epsg, width, height]);
+
+  return <canvas ref={canvasRef} width={size.width} height={size.height} className="slippy-layer" style={{ opacity }} />;
+};
+
+const RampLegend = ({ ramp, title, format = (v) => v.toFixed(1) }) => {
+  const min = ramp[0][0], max = ramp[ramp.length - 1][0];
+  const stops = ramp.map(([v, c]) => `rgb(${c.join(",")}) ${((v - min) / (max - min)) * 100}%`);
+  return (
+    <div className="map-legend">
+      <div className="legend-title">{title}</div>
+      <div className="ramp-bar" style={{ background: `linear-gradient(to right, ${stops.join(", ")})` }} />
+      <div className="ramp-labels">
+        {ramp.map(([v]) => <span key={v}>{format(v)}</span>)}
+      </div>
+    </div>
+  );
+};
+
+// Legend image from the WMS; hidden if the server has none for the layer
+const SR16Legend = ({ entry, title }) => (
+  <div className="map-legend">
+    {title && <div className="legend-title">{title}</div>}
+    <img src={entry.legendUrl} alt={`Legend ${entry.title}`} className="legend-img" onError={(e) => { e.target.style.display = "none"; }} />
+  </div>
+);
+
+// Tiled, pannable map: basemap + NIBIO WMS layers requested per 256 px tile in EPSG:3857.
+// `layers` is [{ id, layer, label, opacity? }]; `rasters` are scene grids drawn above them,
+// [{ id, label, values, width, height, extent, epsg, ramp, opacity? }] with the extent in the
+// grid's own CRS. The AOI outline is drawn on top.
+// Clicks (not drags) call onMapClick(lon, lat); `markers` are [{ id, lon, lat, label, color? }]
+// and `popup` is { lon, lat, content } anchored above its point.
+const SlippyMap = ({ layers = [], rasters = [], bbox, geometry, height = 460, simple, onMapClick, markers = [], popup, onPopupClose }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const lastWheelRef = useRef(0);
+  const [size, setSize] = useState({ width: 0, height });
+  const [view, setView] = useState(null);
+  const [basemap, setBasemap] = useState("topograatone");
+  const [opacity, setOpacity] = useState({});
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // Fit to the area whenever it changes (and once the container has a size)
+  const bboxKey = bbox.join();
+  const hasSize = size.width > 0;
+  useEffect(() => {
+    if (hasSize) setView(fitView(bbox, size.width, size.height));
+  }, [bboxKey, hasSize]);
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const now = Date.now();
+      if (now - lastWheelRef.current < 250) return;
+      lastWheelRef.current = now;
+      const rect = el.getBoundingClientRect();
+      zoomAround(e.deltaY < 0 ? 1 : -1, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  });
+
+  // Change zoom while keeping the point under (px, py) fixed on screen
+  const zoomAround = (delta, px = size.width / 2, py = size.height / 2) => {
+    setView((v) => {
+      if (!v) return v;
+      const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, v.zoom + delta));
+      if (zoom === v.zoom) return v;
+      const [cx, cy] = lonLatToWorld(...v.center, v.zoom);
+      const anchor = worldToLonLat(cx + px - size.width / 2, cy + py - size.height / 2, v.zoom);
+      const [ax, ay] = lonLatToWorld(...anchor, zoom);
+      return { zoom, center: worldToLonLat(ax - px + size.width / 2, ay - py + size.height / 2, zoom) };
+    });
+  };
+
+  const onPointerDown = (e) => {
+    if (!view || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, world: lonLatToWorld(...view.center, view.zoom), moved: false };
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) > 4) drag.moved = true;
+    setView((v) => ({ ...v, center: worldToLonLat(drag.world[0] - (e.clientX - drag.x), drag.world[1] - (e.clientY - drag.y), v.zoom) }));
+  };
+  const onPointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !onMapClick || e.type !== "pointerup") return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const [wx, wy] = [drag.world[0] + e.clientX - rect.left - size.width / 2, drag.world[1] + e.clientY - rect.top - size.height / 2];
+    onMapClick(...worldToLonLat(wx, wy, view.zoom));
+  };
+
+  let tiles = [], origin = [0, 0], outline = "", scale = null;
+  if (view && hasSize) {
+    const [cx, cy] = lonLatToWorld(...view.center, view.zoom);
+    origin = [cx - size.width / 2, cy - size.height / 2];
+    const n = 2 ** view.zoom;
+    const x0 = Math.floor(origin[0] / TILE_SIZE), x1 = Math.floor((origin[0] + size.width) / TILE_SIZE);
+    const y0 = Math.max(0, Math.floor(origin[1] / TILE_SIZE)), y1 = Math.min(n - 1, Math.floor((origin[1] + size.height) / TILE_SIZE));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        tiles.push({ key: `${view.zoom}/${x}/${y}`, x: ((x % n) + n) % n, y, left: x * TILE_SIZE - origin[0], top: y * TILE_SIZE - origin[1] });
+      }
+    }
+    outline = (geometry || []).flat().map((ring) =>
+      "M" + ring.map(([lon, lat]) => {
+        const [wx, wy] = lonLatToWorld(lon, lat, view.zoom);
+        return `${(wx - origin[0]).toFixed(1)},${(wy - origin[1]).toFixed(1)}`;
+      }).join("L") + "Z"
+    ).join("");
+    scale = scaleBar(metersPerPixel(view.center[1], view.zoom));
+  }
+  const toScreen = (lon, lat) => {
+    const [wx, wy] = lonLatToWorld(lon, lat, view.zoom);
+    return { left: wx - origin[0], top: wy - origin[1] };
+  };
+
+  const tileStyle = (t) => ({ left: t.left, top: t.top, width: TILE_SIZE, height: TILE_SIZE });
+  // Tile elements are keyed per source, and a later load clears the flag anyway
+  const hideBroken = (e) => { e.target.style.visibility = "hidden"; };
+  const showLoaded = (e) => { e.target.style.visibility = ""; };
+  const overlays = [...layers, ...rasters];
+
+  return (
+    <div className="slippy">
+      <div
+        ref={containerRef}
+        className={`slippy-viewport${onMapClick ? " queryable" : ""}`}
+        style={{ height }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onDoubleClick={(e) => {
+          const rect = e.currentTarget.getBoundingClientRect();
+          zoomAround(1, e.clientX - rect.left, e.clientY - rect.top);
+        }}
+      >
+        {view && (
+          <>
+            <div className="slippy-layer">
+              {tiles.map((t) => (
+                <img key={`${basemap}/${t.key}`} src={BASEMAPS[basemap].url(view.zoom, t.x, t.y)} alt="" className="slippy-tile" style={tileStyle(t)} draggable={false} onLoad={showLoaded} onError={hideBroken} />
+              ))}
+            </div>
+            {layers.map((l) => (
+              <div key={l.id} className="slippy-layer" style={{ opacity: opacity[l.id] ?? l.opacity ?? 0.75 }}>
+                {tiles.map((t) => (
+                  <img key={`${l.layer}/${t.key}`} src={nibioWMSTile(l.layer, tileMercatorBBox(t.x, t.y, view.zoom), TILE_SIZE, TILE_SIZE, "EPSG:3857")}
+                    alt="" className="slippy-tile" style={tileStyle(t)} draggable={false} onLoad={showLoaded} onError={hideBroken} />
+                ))}
+              </div>
+            ))}
+            {hasSize && rasters.map((r) => (
+              <RasterOverlay key={r.id} raster={r} zoom={view.zoom} origin={origin} size={size} opacity={opacity[r.id] ?? r.opacity ?? 0.85} />
+            ))}
+            {outline && (
+              <svg className="slippy-layer" width={size.width} height={size.height}>
+                <path d={outline} className="slippy-aoi" fillRule="evenodd" />
+              </svg>
+            )}
+            {markers.map((m) => (
+              <span key={m.id} className="slippy-marker" style={{ ...toScreen(m.lon, m.lat), background: m.color }}>{m.label}</span>
+            ))}
+            {popup && (
+              <div className="slippy-popup" style={toScreen(popup.lon, popup.lat)}
+                onPointerDown={(e) => e.stopPropagation()} onDoubleClick={(e) => e.stopPropagation()}>
+                {onPopupClose && <button className="slippy-popup-close" onClick={onPopupClose}>×</button>}
+                {popup.content}
+              </div>
+            )}
+          </>
+        )}
+        <div className="slippy-zoom" onPointerDown={(e) => e.stopPropagation()} onDoubleClick={(e) => e.stopPropagation()}>
+          <button onClick={() => zoomAround(1)} title={simple ? "Zoom inn" : "Zoom in"}>+</button>
+          <button onClick={() => zoomAround(-1)} title={simple ? "Zoom ut" : "Zoom out"}>−</button>
+          <button onClick={() => setView(fitView(bbox, size.width, size.height))} title={simple ? "Vis hele området" : "Fit to area"}>⌂</button>
+        </div>
+        {scale && (
+          <div className="slippy-scale">
+            <div className="slippy-scale-bar" style={{ width: scale.px }} />
+            {scale.label}
+          </div>
+        )}
+        <div className="slippy-attribution">{BASEMAPS[basemap].attribution} · NIBIO SR16</div>
+      </div>
+      <div className="raster-controls slippy-controls">
+        <label>
+          {simple ? "Bakgrunnskart" : "Basemap"}{" "}
+          <select className="area-select" value={basemap} onChange={(e) => setBasemap(e.target.value)}>
+            {Object.entries(BASEMAPS).map(([id, b]) => <option key={id} value={id}>{b.label}</option>)}
+          </select>
+        </label>
+        {overlays.map((l) => (
+          <label key={l.id}>
+            {l.label}{" "}
+            <input type="range" min="0" max="1" step="0.05" value={opacity[l.id] ?? l.opacity ?? (l.values ? 0.85 : 0.75)}
+              onChange={(e) => setOpacity((o) => ({ ...o, [l.id]: +e.target.value }))} />
+          </label>
+        ))}
+        {view && <span style={{ fontFamily: "var(--fm)" }}>z{view.zoom}</span>}
       </div>
-    )}
-    <div style={{ height: 6, background: "var(--bg2)", borderRadius: 3 }}>
-      <div style={{ width: `${Math.min((value / max) * 100, 100)}%`, height: "100%", background: color, borderRadius: 3, transition: "width 0.8s ease" }} />
     </div>
-  </div>
-);
-
+  );
+};
 
 // ═══ Interpretation Functions (Simple Mode) ═══
 
@@ -410,6 +3289,17 @@ function interpretNDVI(ndvi) {
   return { level: 0, label: "Lite vegetasjon", color: "#e07a5f", description: "Området har lite grønn vegetasjon — mulig hogstfelt eller snødekke." };
 }
 
+// Anomaly wording for the health hero — "low for October" rather than "low"
+function interpretNDVIAnomaly(anomaly, date) {
+  const month = new Date(date).toLocaleString("no-NO", { month: "long" });
+  const period = `${anomaly.years[0]}–${anomaly.years[anomaly.years.length - 1]}`;
+  const rank = `${anomaly.percentile.toFixed(0)} av 100 klare bilder fra samme tid på året (${period}) var mindre grønne.`;
+  if (anomaly.z <= -2) return { level: 0, label: `Uvanlig lav for ${month}`, color: "#e07a5f", description: `Skogen er mye mindre grønn enn den pleier å være nå — kan tyde på tørke, skade eller hogst. ${rank}` };
+  if (anomaly.z <= -1) return { level: 1, label: `Litt lav for ${month}`, color: "#e9c46a", description: `Skogen er noe mindre grønn enn vanlig for årstiden. Følg med på de neste bildene. ${rank}` };
+  if (anomaly.z < 1) return { level: 3, label: `Normal for ${month}`, color: "#2d6a4f", description: `Skogen er like grønn som den pleier å være på denne tiden av året. ${rank}` };
+  return { level: 3, label: `Grønnere enn vanlig for ${month}`, color: "#2d6a4f", description: `Skogen er grønnere enn den pleier å være nå. ${rank}` };
+}
+
 function interpretLAI(lai) {
   if (lai == null) return { label: "Ingen data", description: "Venter på satellittdata" };
   if (lai >= 4.0) return { label: "Tett kronetak", description: "God skygge og jordbeskyttelse — typisk for eldre granskog." };
@@ -426,13 +3316,26 @@ function interpretGrowingConditions(tempVal, growing) {
   return { status: "frost", headline: "Frost — trærne er i vinterdvale" };
 }
 
-function interpretWeatherRisk(tempVal, wind, humidityVal, precip) {
+function interpretWeatherRisk(tempVal, windWindows, humidityVal, precip, fireOutlook) {
   const alerts = [];
-  if (tempVal != null && tempVal > 25 && humidityVal != null && humidityVal < 30) {
-    alerts.push({ type: "fire", label: "Skogbrannfare", color: "#e07a5f", description: "Høy temperatur og lav luftfuktighet gir brannfare." });
+  // Worst fire danger over the next 48 hours, from moderate upwards
+  const worstFire = (fireOutlook || []).filter((d) => d.level != null).reduce((a, b) => (!a || b.fwi > a.fwi ? b : a), null);
+  if (worstFire && worstFire.level >= 2) {
+    const cls = FWI_CLASSES[worstFire.level];
+    const day = new Date(worstFire.date).toLocaleDateString("no-NO", { weekday: "long" });
+    alerts.push({ type: "fire", label: `Skogbrannfare: ${cls.no.toLowerCase()}`, color: cls.color, description: `Brannindeks ${worstFire.fwi.toFixed(0)} på ${day}. Tørr skogbunn tar lett fyr — vær forsiktig med åpen ild.` });
   }
-  if (wind != null && wind > 15) {
-    alerts.push({ type: "storm", label: "Sterk vind", color: "#457b9d", description: "Vindstyrke " + wind.toFixed(0) + " m/s — fare for vindfall." });
+  // Windthrow windows from moderate upwards, the first two in the forecast
+  for (const w of (windWindows || []).filter((w) => w.level >= 2).slice(0, 2)) {
+    const lvl = WIND_LEVELS[w.level];
+    const when = (t, opts) => new Date(t).toLocaleString("no-NO", { timeZone: "Europe/Oslo", ...opts });
+    const factors = w.factors.map((f) => WIND_FACTORS[f].no);
+    alerts.push({
+      type: "storm",
+      label: `Vindfallfare: ${lvl.no.toLowerCase()}`,
+      color: lvl.color,
+      description: `${when(w.start, { weekday: "long", hour: "2-digit", minute: "2-digit" })}–${when(w.end, { hour: "2-digit", minute: "2-digit" })}: vindkast opptil ${w.maxGust.toFixed(0)} m/s${w.direction != null ? ` fra ${compassPoint(w.direction).no}` : ""}.${factors.length ? ` Økt fare på grunn av ${factors.join(" og ")}.` : ""}`,
+    });
   }
   if (tempVal != null && tempVal <= -10) {
     alerts.push({ type: "frost", label: "Kraftig frost", color: "#a8dadc", description: "Svært kaldt — unngå hogst i frosset treverk." });
@@ -443,6 +3346,22 @@ function interpretWeatherRisk(tempVal, wind, humidityVal, precip) {
   return alerts;
 }
 
+function interpretSoilFrost(day) {
+  const cm = (m) => Math.max(1, Math.round(m * 100));
+  switch (day.state) {
+    case "frozen":
+      return `Marka er frossen ca. ${cm(day.frostDepth)} cm ned — godt tidspunkt for hogst og kjøring med tunge maskiner.`;
+    case "shallow":
+      return `Tynn tele (ca. ${cm(day.frostDepth)} cm) — bærer lette maskiner, men tunge maskiner kan bryte gjennom.`;
+    case "thawing":
+      return `Telen går: de øverste ${cm(day.thawDepth)} cm er tint over frossen mark, og vannet renner ikke unna. Unngå tung kjøring.`;
+    case "wet":
+      return `Marka er ikke frossen, og ${day.rain7d.toFixed(0)} mm regn siste uke har gjort den bløt. Vent med tung kjøring.`;
+    default:
+      return "Marka er ikke frossen. Bæreevnen avhenger av jordtypen — kjør på fastmark og unngå myr.";
+  }
+}
+
 function getSeasonalAdvice(month, tempVal) {
   const tips = [];
   if (month >= 11 || month <= 2) {
@@ -488,15 +3407,48 @@ function getLAITrend(history) {
 
 export default function NordmarkaForest() {
   const [tab, setTab] = useState(() => (localStorage.getItem("skogkontroll-mode") || "simple") === "simple" ? "minskog" : "overview");
+  const [area, setArea] = useState(areaFromURL);
   const [stacData, setStacData] = useState({ sentinel: null, landsat: null, loading: true, error: null });
   const [weather, setWeather] = useState({ data: null, loading: true, error: null });
-  const [laiHistory, setLaiHistory] = useState([]);
-  const [nibioLayers, setNibioLayers] = useState({
-    volume: true, species: false, biomass: false,
-  });
+  const [search, setSearch] = useState(loadSearchSettings);
+  // Scenes with a computed LAI, per sensor; merged into one series below
+  const [sentinelLAI, setSentinelLAI] = useState([]);
+  const [landsatLAI, setLandsatLAI] = useState([]);
+  const laiHistory = useMemo(() => buildLAIHistory([...sentinelLAI, ...landsatLAI]), [sentinelLAI, landsatLAI]);
+  const phenology = useMemo(() => computePhenology(laiHistory), [laiHistory]);
+  const ndviAnomalies = useMemo(
+    () => laiHistory.filter((h) => h.source === "pixels").map((h) => ({ ...h, anomaly: seasonalAnomaly(laiHistory, h) })),
+    [laiHistory]
+  );
+  const [landsatRecord, setLandsatRecord] = useState({ loading: true, error: null, total: 0, done: 0 });
+  const [sr16Catalog, setSr16Catalog] = useState({ loading: true, error: null, layers: SR16_FALLBACK_LAYERS });
+  const [nibioLayers, setNibioLayers] = useState({ SRRVOLUB: true });
+  const [simpleLayers, setSimpleLayers] = useState({ SRRTRESLAG: true });
+  const [sr16Stats, setSr16Stats] = useState({ loading: true, error: null, data: null });
   const [selectedScene, setSelectedScene] = useState(null);
-  const [growingSeason, setGrowingSeason] = useState({ historical: null, projected: null, loading: true, error: null });
+  const [growingSeason, setGrowingSeason] = useState({ hist: null, loading: true, error: null });
+  const [climateProjections, setClimateProjections] = useState({ loading: true, error: null, data: null });
+  const [historySpan, setHistorySpan] = useState(HISTORY_DEFAULT_SPAN);
+  const [spanDraft, setSpanDraft] = useState(HISTORY_DEFAULT_SPAN);
+  const [speiScale, setSpeiScale] = useState(3);
+  const [seasonSettings, setSeasonSettings] = useState(GROWING_SEASON_DEFAULTS);
+  const [projectionMode, setProjectionMode] = useState("corrected"); // "corrected" | "raw"
   const [diversityData, setDiversityData] = useState({ loading: false, error: null, scenes: [], initialized: false });
+  const [diversitySensor, setDiversitySensor] = useState("sentinel");
+  const [diversityIndex, setDiversityIndex] = useState("ndvi");
+  const [laiIndex, setLaiIndex] = useState("ndvi");
+  const [indexSeries, setIndexSeries] = useState({ loading: false, error: null, points: [] });
+  const [seasonWeather, setSeasonWeather] = useState({ loading: true, error: null, data: null });
+  const [canopyMoisture, setCanopyMoisture] = useState({ loading: false, error: null, data: null });
+  const [fireHistory, setFireHistory] = useState({ loading: true, error: null, data: null });
+  const [soilFrostHistory, setSoilFrostHistory] = useState({ loading: true, error: null, data: null });
+  const [sceneRaster, setSceneRaster] = useState({ loading: false, error: null, data: null });
+  const [rasterView, setRasterView] = useState({ showNDVI: true, sr16: "none" });
+  const [changePair, setChangePair] = useState({ before: null, after: null });
+  const [changeSettings, setChangeSettings] = useState({ threshold: -0.15, minPatchPixels: 2 });
+  const [changeData, setChangeData] = useState({ loading: false, error: null, data: null });
+  const [pointQuery, setPointQuery] = useState(null);
+  const [queriedPoints, setQueriedPoints] = useState([]);
   const [viewMode, setViewMode] = useState(
     () => localStorage.getItem("skogkontroll-mode") || "simple"
   );
@@ -505,95 +3457,326 @@ export default function NordmarkaForest() {
     localStorage.setItem("skogkontroll-mode", viewMode);
   }, [viewMode]);
 
-  // ── Load real data on mount ──
   useEffect(() => {
+    writeAreaToURL(area);
+  }, [area]);
+
+  useEffect(() => {
+    localStorage.setItem(SEARCH_SETTINGS_KEY, JSON.stringify(search));
+  }, [search]);
+
+  // SR16 layer titles and legends (area-independent, loaded once)
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const layers = await fetchSR16Capabilities();
+        if (!cancelled) setSr16Catalog({ loading: false, error: null, layers });
+      } catch (e) {
+        console.warn("SR16 GetCapabilities failed, using built-in layer list:", e);
+        if (!cancelled) setSr16Catalog({ loading: false, error: e.message, layers: SR16_FALLBACK_LAYERS });
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  // Latest area, so long-running loaders can tell if their results are stale
+  const areaRef = useRef(area);
+  areaRef.current = area;
+
+  // ── STAC scene search for the selected area and search settings ──
+  useEffect(() => {
+    let cancelled = false;
+    setStacData({ sentinel: null, landsat: null, loading: true, error: null });
+    setSentinelLAI([]);
+    setSelectedScene(null);
+    setDiversityData({ loading: false, error: null, scenes: [], initialized: false });
+    setChangePair({ before: null, after: null });
+    setChangeData({ loading: false, error: null, data: null });
+
+    const windows = searchWindows(search);
     // Fetch Sentinel-2 scenes
     const loadSentinel = async () => {
       try {
-        const data = await searchSTAC("sentinel-2-l2a", "2024-05-01T00:00:00Z/2025-10-01T00:00:00Z", 25);
-        const items = data.features || [];
-        // Calculate NDVI/LAI for each scene
-        const withLAI = await Promise.all(
-          items.map(async (item) => {
-            const ndvi = await fetchNDVIFromScene(item);
-            return { ...item, _ndvi: ndvi, _lai: ndvi ? ndviToLAI(ndvi) : null };
-          })
-        );
-        setStacData((s) => ({ ...s, sentinel: withLAI, loading: false }));
-        // Build LAI history
-        const history = withLAI
-          .filter((i) => i._lai !== null)
-          .map((i) => ({
-            date: i.properties.datetime?.slice(0, 10),
-            month: new Date(i.properties.datetime).toLocaleString("no-NO", { month: "short" }),
-            ndvi: i._ndvi,
-            lai: i._lai,
-            cloud: i.properties["eo:cloud_cover"],
-            id: i.id,
-          }))
-          .sort((a, b) => a.date.localeCompare(b.date));
-        setLaiHistory(history);
-        if (withLAI.length > 0) setSelectedScene(withLAI[0]);
+        const data = await searchSTACWindows("sentinel-2-l2a", area.bbox, windows, search.maxCloud);
+        const items = data.features;
+        if (cancelled) return;
+        setStacData((s) => ({ ...s, sentinel: items, loading: false }));
+        if (items.length > 0) setSelectedScene(items[0]);
+        // NDVI/LAI per scene: STAC statistics for the whole list at once, then COG pixels for a
+        // bounded sample, one scene at a time
+        const geometry = areaGeometry(area);
+        const sample = pixelNDVISample(items);
+        const results = new Map();
+        const publish = () => {
+          const withLAI = items.map((item) => {
+            if (!results.has(item.id)) return item;
+            const result = results.get(item.id);
+            return { ...item, _ndvi: result?.ndvi ?? null, _ndviSource: result?.source ?? null, _lai: result ? ndviToLAI(result.ndvi) : null };
+          });
+          setStacData((s) => ({ ...s, sentinel: withLAI }));
+          setSentinelLAI(withLAI.filter((item) => results.has(item.id)));
+        };
+        for (const item of items) {
+          if (!sample.has(item.id)) results.set(item.id, await fetchNDVIFromScene(item, geometry, { readPixels: false }));
+        }
+        if (cancelled) return;
+        publish();
+        for (const item of items) {
+          if (!sample.has(item.id)) continue;
+          const result = await fetchNDVIFromScene(item, geometry);
+          if (cancelled) return;
+          results.set(item.id, result);
+          publish();
+        }
       } catch (e) {
-        setStacData((s) => ({ ...s, error: e.message, loading: false }));
+        if (!cancelled) setStacData((s) => ({ ...s, error: e.message, loading: false }));
       }
     };
 
-    // Fetch Landsat scenes
+    // Fetch recent Landsat scenes for the scene list
     const loadLandsat = async () => {
       try {
-        const data = await searchSTAC("landsat-c2-l2", "2024-01-01T00:00:00Z/2025-12-01T00:00:00Z", 30);
-        setStacData((s) => ({ ...s, landsat: data.features || [] }));
+        const data = await searchSTACWindows("landsat-c2-l2", area.bbox, windows, search.maxCloud);
+        if (!cancelled) setStacData((s) => ({ ...s, landsat: data.features }));
       } catch (e) {
         console.warn("Landsat fetch failed:", e);
       }
     };
 
+    loadSentinel();
+    loadLandsat();
+    return () => { cancelled = true; };
+  }, [area, search]);
+
+  // ── Load real data for the selected area ──
+  useEffect(() => {
+    let cancelled = false;
+    setWeather({ data: null, loading: true, error: null });
+    setLandsatLAI([]);
+    setLandsatRecord({ loading: true, error: null, total: 0, done: 0 });
+    setClimateProjections({ loading: true, error: null, data: null });
+    setPointQuery(null);
+    setSr16Stats({ loading: true, error: null, data: null });
+    setSeasonWeather({ loading: true, error: null, data: null });
+    setCanopyMoisture({ loading: false, error: null, data: null });
+    setFireHistory({ loading: true, error: null, data: null });
+    setSoilFrostHistory({ loading: true, error: null, data: null });
+
+    // Landsat summer record back to the 1980s for the LAI series (one scene per summer, so the
+    // pixel pass is bounded); runs alongside the Sentinel-2 pass
+    const loadLandsatRecord = async () => {
+      try {
+        const series = await searchLandsatSummers(area.bbox, LANDSAT_FIRST_YEAR, new Date().getFullYear());
+        if (cancelled) return;
+        setLandsatRecord({ loading: true, error: null, total: series.length, done: 0 });
+        const geometry = areaGeometry(area);
+        const withLAI = [];
+        for (const [i, item] of series.entries()) {
+          const result = await fetchNDVIFromScene(item, geometry);
+          if (cancelled) return;
+          if (result) {
+            withLAI.push({ ...item, _ndvi: result.ndvi, _ndviSource: result.source, _lai: ndviToLAI(result.ndvi) });
+            setLandsatLAI([...withLAI]);
+          }
+          setLandsatRecord((r) => ({ ...r, done: i + 1 }));
+        }
+        setLandsatRecord((r) => ({ ...r, loading: false }));
+      } catch (e) {
+        if (!cancelled) setLandsatRecord((r) => ({ ...r, loading: false, error: e.message }));
+      }
+    };
+
     // Fetch weather
     const loadWeather = async () => {
       try {
-        const data = await fetchWeather();
-        setWeather({ data, loading: false, error: null });
+        const data = await fetchWeather(area);
+        if (!cancelled) setWeather({ data, loading: false, error: null });
       } catch (e) {
-        setWeather({ data: null, loading: false, error: e.message });
+        if (!cancelled) setWeather({ data: null, loading: false, error: e.message });
       }
     };
 
-    // Fetch growing season data (ERA5 reanalysis + CMIP6 projections)
-    const loadGrowingSeason = async () => {
+    // CMIP6 projections; seasons are derived in render so the definition can be changed
+    const loadClimateProjections = async () => {
       try {
-        const [hist, proj] = await Promise.all([
-          fetchHistoricalTemps(2015, 2025),
-          fetchClimateProjections(),
-        ]);
-        const historical = calculateGrowingSeason(
-          hist.dates.filter((_, i) => hist.temps[i] != null),
-          hist.temps.filter(t => t != null)
-        );
-        const projected = calculateGrowingSeason(
-          proj.dates.filter((_, i) => proj.temps[i] != null),
-          proj.temps.filter(t => t != null)
-        );
-        setGrowingSeason({ historical, projected, loading: false, error: null });
+        const data = await fetchClimateProjections(area);
+        if (!cancelled) setClimateProjections({ loading: false, error: null, data });
       } catch (e) {
-        setGrowingSeason({ historical: null, projected: null, loading: false, error: e.message });
+        if (!cancelled) setClimateProjections({ loading: false, error: e.message, data: null });
       }
     };
 
-    loadSentinel();
-    loadLandsat();
+    // SR16 volume/biomass rasters over the AOI (WCS)
+    const loadSR16Stats = async () => {
+      try {
+        const data = await fetchSR16ZonalStats(areaGeometry(area));
+        if (!cancelled) setSr16Stats({ loading: false, error: null, data });
+      } catch (e) {
+        console.warn("SR16 zonal statistics failed:", e);
+        if (!cancelled) setSr16Stats({ loading: false, error: e.message, data: null });
+      }
+    };
+
+    // Last and this year's ERA5 weather: bark beetle degree days and crown snow load over the winter
+    const loadSeasonWeather = async () => {
+      try {
+        const year = new Date().getFullYear();
+        const data = await fetchHistoricalTemps(area, year - 1, year);
+        if (!cancelled) setSeasonWeather({ loading: false, error: null, data });
+      } catch (e) {
+        if (!cancelled) setSeasonWeather({ loading: false, error: e.message, data: null });
+      }
+    };
+
+    // Recent hourly weather to spin up the fire weather index
+    const loadFireHistory = async () => {
+      try {
+        const data = await fetchFireWeatherHistory(area);
+        if (!cancelled) setFireHistory({ loading: false, error: null, data });
+      } catch (e) {
+        if (!cancelled) setFireHistory({ loading: false, error: e.message, data: null });
+      }
+    };
+
+    // This frost season's ERA5 weather for the soil frost model
+    const loadSoilFrost = async () => {
+      try {
+        const data = await fetchSoilFrostHistory(area);
+        if (!cancelled) setSoilFrostHistory({ loading: false, error: null, data });
+      } catch (e) {
+        if (!cancelled) setSoilFrostHistory({ loading: false, error: e.message, data: null });
+      }
+    };
+
+    loadLandsatRecord();
     loadWeather();
-    loadGrowingSeason();
-  }, []);
+    loadClimateProjections();
+    loadSR16Stats();
+    loadSeasonWeather();
+    loadFireHistory();
+    loadSoilFrost();
+    return () => { cancelled = true; };
+  }, [area]);
+
+  // ── ERA5 history for the growing season, climate indices and water balance (chosen span) ──
+  useEffect(() => {
+    let cancelled = false;
+    setGrowingSeason({ hist: null, loading: true, error: null });
+    fetchHistoricalTemps(area, historySpan[0], historySpan[1])
+      .then((hist) => { if (!cancelled) setGrowingSeason({ hist, loading: false, error: null }); })
+      .catch((e) => { if (!cancelled) setGrowingSeason({ hist: null, loading: false, error: e.message }); });
+    return () => { cancelled = true; };
+  }, [area, historySpan]);
+
+  // ── Index series for the LAI tab (NDVI comes with the LAI pass; others are read on demand) ──
+  // Values are kept per area, index and scene, so scenes arriving during the LAI pass and
+  // switching back to an index don't re-read pixels.
+  const indexCacheRef = useRef(new Map());
+  const indexCacheKey = (index, item) => `${area.id}|${area.bbox.join()}|${index.id}|${item.id}`;
+  useEffect(() => {
+    if (tab !== "lai" || laiIndex === "ndvi") return;
+    let cancelled = false;
+    const index = SPECTRAL_INDICES[laiIndex];
+    const geometry = areaGeometry(area);
+    const items = [...sentinelLAI, ...landsatLAI].filter((i) => i._ndviSource === "pixels" && indexSupported(index, sensorForItem(i)));
+    const keyOf = (item) => indexCacheKey(index, item);
+    const collect = () => items
+      .filter((item) => indexCacheRef.current.get(keyOf(item)))
+      .map((item) => ({
+        date: item.properties.datetime?.slice(0, 10),
+        sensor: sensorForItem(item).label,
+        value: indexCacheRef.current.get(keyOf(item)).value,
+        id: item.id,
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const loadIndex = async () => {
+      setIndexSeries({ loading: true, error: null, points: collect() });
+      for (const item of items) {
+        if (indexCacheRef.current.has(keyOf(item))) continue;
+        try {
+          indexCacheRef.current.set(keyOf(item), await fetchIndexFromScene(item, geometry, index));
+        } catch (e) {
+          console.warn(`${index.label} failed for ${item.id}:`, e.message);
+          indexCacheRef.current.set(keyOf(item), null);
+        }
+        if (cancelled) return;
+        setIndexSeries({ loading: true, error: null, points: collect() });
+      }
+      const points = collect();
+      setIndexSeries({ loading: false, error: points.length === 0 && items.length > 0 ? "No scene could be read" : null, points });
+    };
+
+    loadIndex();
+    return () => { cancelled = true; };
+  }, [tab, laiIndex, area, sentinelLAI, landsatLAI]);
+
+  // ── Canopy moisture for the bark beetle risk ──
+  // NDMI of the latest clear in-season Sentinel-2 scene against scenes from the same time of
+  // year in earlier years (Landsat summers included). Runs after the LAI passes are done.
+  useEffect(() => {
+    if (landsatRecord.loading) return;
+    let cancelled = false;
+    const index = SPECTRAL_INDICES.ndmi;
+    const clear = [...sentinelLAI, ...landsatLAI].filter((i) => i._ndviSource === "pixels" && indexSupported(index, sensorForItem(i)));
+    const dateOf = (item) => item.properties.datetime.slice(0, 10);
+    const latest = sentinelLAI.filter((i) => i._ndviSource === "pixels").sort((a, b) => dateOf(b).localeCompare(dateOf(a)))[0];
+    const month = latest ? +dateOf(latest).slice(5, 7) : 0;
+    // Only a recent growing-season scene says anything about drought now
+    if (!latest || month < 5 || month > 9 || Date.now() - new Date(dateOf(latest)) > 45 * 86400000) {
+      setCanopyMoisture({ loading: false, error: null, data: null });
+      return;
+    }
+    const doy = dayOfYear(dateOf(latest));
+    const distance = (item) => {
+      const d = Math.abs(dayOfYear(dateOf(item)) - doy);
+      return Math.min(d, 365 - d);
+    };
+    const baseline = clear
+      .filter((i) => dateOf(i).slice(0, 4) !== dateOf(latest).slice(0, 4) && distance(i) <= BASELINE_WINDOW_DAYS)
+      .sort((a, b) => distance(a) - distance(b))
+      .slice(0, 12);
+
+    const loadMoisture = async () => {
+      setCanopyMoisture((m) => ({ ...m, loading: true, error: null }));
+      const points = [];
+      for (const item of [latest, ...baseline]) {
+        const key = indexCacheKey(index, item);
+        if (!indexCacheRef.current.has(key)) {
+          try {
+            indexCacheRef.current.set(key, await fetchIndexFromScene(item, areaGeometry(area), index));
+          } catch (e) {
+            console.warn(`NDMI failed for ${item.id}:`, e.message);
+            indexCacheRef.current.set(key, null);
+          }
+          if (cancelled) return;
+        }
+        const result = indexCacheRef.current.get(key);
+        if (result) points.push({ date: dateOf(item), ndmi: result.value, source: "pixels" });
+      }
+      const current = points[0]?.date === dateOf(latest) ? points[0] : null;
+      setCanopyMoisture({
+        loading: false,
+        error: current ? null : "Latest scene could not be read",
+        data: current && { date: current.date, value: current.ndmi, anomaly: seasonalAnomaly(points, current, "ndmi") },
+      });
+    };
+
+    loadMoisture();
+    return () => { cancelled = true; };
+  }, [area, sentinelLAI, landsatLAI, landsatRecord.loading]);
 
   // ── Lazy-load diversity data when tab is selected ──
   useEffect(() => {
-    if (tab !== "diversity" || diversityData.initialized || !stacData.sentinel || stacData.sentinel.length === 0) return;
+    const pool = diversitySensor === "landsat" ? stacData.landsat : stacData.sentinel;
+    if (tab !== "diversity" || diversityData.initialized || !pool || pool.length === 0) return;
 
     const loadDiversity = async () => {
+      const forArea = area;
       setDiversityData(d => ({ ...d, loading: true, initialized: true }));
       // Pick up to 6 lowest-cloud scenes
-      const sorted = [...stacData.sentinel]
+      const sorted = [...pool]
         .filter(s => s.properties?.["eo:cloud_cover"] != null)
         .sort((a, b) => (a.properties["eo:cloud_cover"] || 0) - (b.properties["eo:cloud_cover"] || 0))
         .slice(0, 6);
@@ -603,19 +3786,97 @@ export default function NordmarkaForest() {
         try {
           const controller = new AbortController();
           const timeoutId = setTimeout(() => controller.abort(), 30000);
-          const result = await analyzeDiversityForScene(scene);
+          const result = await analyzeDiversityForScene(scene, areaGeometry(forArea), SPECTRAL_INDICES[diversityIndex]);
           clearTimeout(timeoutId);
+          if (areaRef.current !== forArea) return;
           results.push(result);
           setDiversityData(d => ({ ...d, scenes: [...results] }));
         } catch (e) {
           console.warn(`Diversity analysis failed for ${scene.id}:`, e.message);
         }
       }
+      if (areaRef.current !== forArea) return;
       setDiversityData(d => ({ ...d, loading: false, error: results.length === 0 ? "No scenes could be analyzed" : null }));
     };
 
     loadDiversity();
-  }, [tab, stacData.sentinel, diversityData.initialized]);
+  }, [tab, area, stacData.sentinel, stacData.landsat, diversitySensor, diversityIndex, diversityData.initialized]);
+
+  // ── Load the NDVI raster for the selected scene when the Satellite tab is open ──
+  useEffect(() => {
+    if (tab !== "scenes" || !selectedScene) return;
+    let cancelled = false;
+
+    const loadRaster = async () => {
+      setSceneRaster({ loading: true, error: null, data: null });
+      try {
+        const { rasters, valid, sensor, width, height, epsg, extent, resolution, maskStats } =
+          await readMaskedScene(selectedScene, areaGeometry(area), ["red", "nir"]);
+        if (cancelled) return;
+        const values = computeIndexGrid(rasters, valid, sensor);
+        setSceneRaster({
+          loading: false,
+          error: null,
+          data: {
+            sceneId: selectedScene.id,
+            date: selectedScene.properties.datetime?.slice(0, 10),
+            values,
+            width, height, epsg, extent, resolution,
+            maskStats: withValidCount(maskStats, values.reduce((n, v) => n + !Number.isNaN(v), 0)),
+          },
+        });
+      } catch (e) {
+        if (!cancelled) setSceneRaster({ loading: false, error: e.message, data: null });
+      }
+    };
+
+    loadRaster();
+    return () => { cancelled = true; };
+  }, [tab, selectedScene, area]);
+
+  // ── Change detection between two Sentinel-2 scenes (run on demand) ──
+  const sentinelById = (id) => stacData.sentinel?.find((s) => s.id === id);
+  // Default pair: oldest vs newest scene
+  const changeBefore = sentinelById(changePair.before) ?? stacData.sentinel?.[stacData.sentinel.length - 1];
+  const changeAfter = sentinelById(changePair.after) ?? stacData.sentinel?.[0];
+
+  const runChangeDetection = async () => {
+    if (!changeBefore || !changeAfter || changeBefore.id === changeAfter.id) return;
+    const forArea = area;
+    setChangeData({ loading: true, error: null, data: null });
+    try {
+      const data = await computeSceneChange(changeBefore, changeAfter, areaGeometry(forArea));
+      if (areaRef.current === forArea) setChangeData({ loading: false, error: null, data });
+    } catch (e) {
+      if (areaRef.current === forArea) setChangeData({ loading: false, error: e.message, data: null });
+    }
+  };
+
+  const changePatches = useMemo(
+    () => changeData.data ? clusterChangePatches(changeData.data, changeSettings.threshold, changeSettings.minPatchPixels) : [],
+    [changeData.data, changeSettings]
+  );
+
+  // ── SR16 point query: popup for the latest click, every answered click is kept for export ──
+  const querySR16Point = async (lon, lat) => {
+    const isCurrent = (q) => q && q.lon === lon && q.lat === lat;
+    setPointQuery({ lon, lat, loading: true, error: null, values: null });
+    try {
+      const values = await fetchSR16Point(lon, lat);
+      setPointQuery((q) => (isCurrent(q) ? { ...q, loading: false, values } : q));
+      setQueriedPoints((pts) => [...pts, { id: (pts[pts.length - 1]?.id ?? 0) + 1, lon, lat, values, time: new Date().toISOString() }]);
+    } catch (e) {
+      setPointQuery((q) => (isCurrent(q) ? { ...q, loading: false, error: e.message } : q));
+    }
+  };
+
+  const exportQueriedPoints = () => {
+    downloadCSV(
+      `sr16-points-${new Date().toISOString().slice(0, 10)}.csv`,
+      ["id", "lat", "lon", "time", ...SR16_QUERY_LAYERS.map((l) => l.layer)],
+      queriedPoints.map((p) => [p.id, p.lat.toFixed(6), p.lon.toFixed(6), p.time, ...SR16_QUERY_LAYERS.map((l) => p.values[l.layer])])
+    );
+  };
 
   // ── Derived data ──
   const currentWeather = weather.data?.properties?.timeseries?.[0]?.data;
@@ -624,16 +3885,17 @@ export default function NordmarkaForest() {
   const humidity = currentWeather?.instant?.details?.relative_humidity;
   const precipitation = currentWeather?.next_1_hours?.details?.precipitation_amount ?? currentWeather?.next_6_hours?.details?.precipitation_amount;
 
-  const latestLAI = laiHistory.length > 0 ? laiHistory[laiHistory.length - 1] : null;
-  const avgLAI = laiHistory.length > 0 ? laiHistory.reduce((s, l) => s + l.lai, 0) / laiHistory.length : null;
+  // Prefer the newest point computed from real pixels over fallback estimates
+  const latestLAI = [...laiHistory].reverse().find((h) => h.source === "pixels") ?? laiHistory[laiHistory.length - 1] ?? null;
+  const latestAnomaly = latestLAI?.source === "pixels" ? ndviAnomalies.find((h) => h.id === latestLAI.id)?.anomaly ?? null : null;
+  // Averages, trend and the overview chart use the Sentinel-2 scenes; the Landsat record is in the LAI tab
+  const recentLAI = laiHistory.filter((h) => h.sensor === SENSORS["sentinel-2"].label);
+  const avgLAI = recentLAI.length > 0 ? recentLAI.reduce((s, l) => s + l.lai, 0) / recentLAI.length : null;
 
   const sentinelScenes = stacData.sentinel || [];
   const landsatScenes = stacData.landsat || [];
 
-  // ── NIBIO WMS URLs ──
-  const volumeUrl = nibioWMSTile("SRRVOLUB", NORDMARKA.bbox, 600, 500);
-  const speciesUrl = nibioWMSTile("SRRTRESLAG", NORDMARKA.bbox, 600, 500);
-  const biomassUrl = nibioWMSTile("SRRBMO", NORDMARKA.bbox, 600, 500);
+  const aoiGeometry = areaGeometry(area);
 
   const simpleTabs = [
     { id: "minskog", label: "Min skog", icon: "🌲" },
@@ -656,15 +3918,89 @@ export default function NordmarkaForest() {
   };
 
   const isSimple = viewMode === "simple";
-  const laiTrend = getLAITrend(laiHistory);
+  const sr16MapLayers = (selection) => sr16Catalog.layers
+    .filter((l) => selection[l.layer])
+    .map((l) => ({ id: l.layer, layer: l.layer, label: isSimple ? SR16_LAYER_NO[l.layer] ?? l.title : l.title }));
+  const divIndex = SPECTRAL_INDICES[diversityIndex];
+  const divSensor = diversitySensor === "landsat" ? SENSORS.oli : SENSORS["sentinel-2"];
+  const laiTrend = getLAITrend(recentLAI);
   const trendArrow = laiTrend === "improving" ? "↗" : laiTrend === "declining" ? "↘" : "→";
   const trendLabel = laiTrend === "improving" ? "Bedre" : laiTrend === "declining" ? "Svakere" : "Stabil";
-  const ndviInterpret = interpretNDVI(latestLAI?.ndvi);
+  // Judge the latest scene against the same time of year when there is a baseline, else fixed levels
+  const ndviInterpret = latestAnomaly ? interpretNDVIAnomaly(latestAnomaly, latestLAI.date) : interpretNDVI(latestLAI?.ndvi);
   const laiInterpret = interpretLAI(latestLAI?.lai);
   const growingStatus = interpretGrowingConditions(temp, temp >= 5);
-  const weatherRisks = interpretWeatherRisk(temp, windSpeed, humidity, precipitation);
-  const biomassPerHa = latestLAI ? latestLAI.lai * 28.5 : 120;
-  const totalBiomassMt = biomassPerHa * NORDMARKA.area_km2 * 100 / 1e6;
+  // Bias-corrected model series; only depends on the data, so changing the season definition doesn't redo it
+  const correctedProjections = useMemo(() => {
+    const { hist } = growingSeason, proj = climateProjections.data;
+    if (projectionMode !== "corrected" || !hist || !proj) return {};
+    return Object.fromEntries(proj.models.map((m) => [m.id, quantileDeltaMapping(hist, proj.dates, m.temps)]));
+  }, [growingSeason, climateProjections.data, projectionMode]);
+  const seasonResults = useMemo(() => {
+    const { hist } = growingSeason, proj = climateProjections.data;
+    if (!hist) return { historical: null, projected: null, models: [], indices: [], coverage: [] };
+    const valid = (dates, temps) => [dates.filter((_, i) => temps[i] != null), temps.filter((t) => t != null)];
+    const historical = calculateGrowingSeason(...valid(hist.dates, hist.temps), seasonSettings);
+    const models = (proj?.models || []).map((m) => {
+      const corrected = correctedProjections[m.id] ?? null;
+      const temps = corrected ?? m.temps;
+      const model = { ...m, temps, corrected: corrected != null, dates: proj.dates, seasons: calculateGrowingSeason(...valid(proj.dates, temps), seasonSettings) || [] };
+      return { ...model, bias: historical ? modelBias(historical, hist, model) : null };
+    });
+    return {
+      historical,
+      projected: models.length ? ensembleSeasons(models) : null,
+      models,
+      indices: calculateClimateIndices(hist.dates, hist.temps, hist.minTemps, hist.maxTemps, seasonSettings),
+      coverage: yearCoverage(hist.dates, hist.temps),
+    };
+  }, [growingSeason, climateProjections.data, seasonSettings, correctedProjections]);
+  const waterBalance = useMemo(() => {
+    const { hist } = growingSeason;
+    if (!hist) return null;
+    const monthly = monthlyWaterBalance(hist);
+    return { monthly, annual: annualClimate(hist, seasonSettings.minCoverage), spei: computeSPEI(monthly, speiScale) };
+  }, [growingSeason, seasonSettings.minCoverage, speiScale]);
+  const growthFactor = useMemo(() => growthClimate(seasonResults.historical, seasonResults.projected), [seasonResults]);
+  const growth = useMemo(() => projectGrowth(sr16Stats.data?.strata, growthFactor), [sr16Stats.data, growthFactor]);
+  // Mean yearly biomass gain (t) over the projection, with its band
+  const growthPerYear = growth && {
+    mid: (growth.total[GROWTH_YEARS].biomass - growth.total[0].biomass) / GROWTH_YEARS,
+    low: (growth.total[GROWTH_YEARS].biomassLow - growth.total[0].biomass) / GROWTH_YEARS,
+    high: (growth.total[GROWTH_YEARS].biomassHigh - growth.total[0].biomass) / GROWTH_YEARS,
+  };
+  const fireWeather = useMemo(
+    () => (fireHistory.data ? computeFireWeather(fireHistory.data, weather.data?.properties?.timeseries) : null),
+    [fireHistory.data, weather.data]
+  );
+  // Today and the next two days
+  const fireOutlook = fireWeather?.filter((d) => d.date >= osloDate(Date.now())).slice(0, 3);
+  const tallShare = sr16Stats.data?.height ? tallStandShare(sr16Stats.data.height) : null;
+  const windSteps = useMemo(
+    () => windRiskSteps(weather.data?.properties?.timeseries, { tallShare, pastRain: fireHistory.data }),
+    [weather.data, tallShare, fireHistory.data]
+  );
+  const windWindows = windRiskWindows(windSteps);
+  const weatherRisks = interpretWeatherRisk(temp, windWindows, humidity, precipitation, fireOutlook);
+  const soilFrost = useMemo(
+    () => (soilFrostHistory.data ? computeSoilFrost(soilFrostHistory.data, fireHistory.data, weather.data?.properties?.timeseries) : null),
+    [soilFrostHistory.data, fireHistory.data, weather.data]
+  );
+  const soilToday = soilFrost?.filter((d) => d.date <= osloDate(Date.now())).pop() ?? null;
+  const snowBreak = useMemo(
+    () => (seasonWeather.data ? computeSnowBreak(seasonWeather.data, fireHistory.data, weather.data?.properties?.timeseries, soilFrost) : null),
+    [seasonWeather.data, fireHistory.data, weather.data, soilFrost]
+  );
+  const snowToday = snowBreak?.filter((d) => d.date <= osloDate(Date.now())).pop() ?? null;
+  const beetleRisk = seasonWeather.data
+    ? assessBarkBeetleRisk(seasonWeather.data, forecastDailyTemps(weather.data?.properties?.timeseries), canopyMoisture.data)
+    : null;
+  // Biomass from SR16 zonal statistics when available, otherwise the LAI × 28.5 estimate
+  const sr16Biomass = sr16Stats.data?.biomass.meanAOI != null ? sr16Stats.data.biomass : null;
+  const laiBiomassPerHa = latestLAI ? latestLAI.lai * 28.5 : null;
+  const biomassPerHa = sr16Biomass ? sr16Biomass.meanAOI : laiBiomassPerHa;
+  const totalBiomassMt = sr16Biomass ? sr16Biomass.total / 1e6 : (biomassPerHa ?? 120) * area.area_km2 * 100 / 1e6;
+  const biomassSourceLabel = sr16Biomass ? "NIBIO SR16" : latestLAI ? `LAI ${latestLAI.lai.toFixed(2)} × 28.5` : null;
   const carbonStory = carbonEquivalent(totalBiomassMt);
   const currentMonth = new Date().getMonth() + 1;
   const seasonalTips = getSeasonalAdvice(currentMonth, temp);
@@ -683,10 +4019,11 @@ export default function NordmarkaForest() {
           </svg>
           <div>
             <div className="header-title">Skogkontroll</div>
-            <div className="header-sub">Nordmarka · {NORDMARKA.municipality}</div>
+            <div className="header-sub">{area.name} · {area.municipality}</div>
           </div>
         </div>
         <div className="header-right">
+          <AreaPicker key={area.id + area.bbox.join()} area={area} onChange={setArea} />
           <div className="mode-toggle">
             <button className={`mode-btn${isSimple ? " active" : ""}`} onClick={() => handleModeSwitch("simple")}>Enkel</button>
             <button className={`mode-btn${!isSimple ? " active" : ""}`} onClick={() => handleModeSwitch("advanced")}>Avansert</button>
@@ -728,6 +4065,9 @@ export default function NordmarkaForest() {
                   <p className="hero-desc">{ndviInterpret.description}</p>
                   <div className="hero-details">
                     <span className="hero-detail">{laiInterpret.label} — {laiInterpret.description}</span>
+                    {latestLAI && !latestAnomaly && (
+                      <span className="hero-detail">For få tidligere år med bilder fra denne årstiden — vurdert mot faste nivåer.</span>
+                    )}
                     <span className="hero-trend" style={{ color: laiTrend === "improving" ? "#2d6a4f" : laiTrend === "declining" ? "#e07a5f" : "#6b6560" }}>
                       {trendArrow} Trend: {trendLabel}
                     </span>
@@ -740,10 +4080,15 @@ export default function NordmarkaForest() {
             <section className="card carbon-card">
               <h2 className="card-title">Skogens karbonlager</h2>
               <div className="carbon-big">{(totalBiomassMt * 0.47).toFixed(1)} Mt</div>
-              <div className="carbon-label">karbon lagret i Nordmarka</div>
+              <div className="carbon-label">karbon lagret i {area.name}</div>
               <div className="carbon-equiv">{carbonStory}</div>
               <div style={{ marginTop: 16, fontSize: 13, color: "var(--t2)", lineHeight: 1.6 }}>
-                Hvert år absorberer skogen rundt {(totalBiomassMt * 0.02 * 0.47 * 3.67).toFixed(0)} tusen tonn CO₂ gjennom vekst.
+                {growthPerYear
+                  ? <>Hvert år binder skogen rundt {(growthPerYear.mid * 0.47 * 3.67 / 1000).toFixed(0)} tusen tonn CO₂ gjennom vekst (trolig mellom {(growthPerYear.low * 0.47 * 3.67 / 1000).toFixed(0)} og {(growthPerYear.high * 0.47 * 3.67 / 1000).toFixed(0)}), ut fra treslag, bonitet og vekstsesong.</>
+                  : sr16Stats.loading ? "Beregner tilveksten fra skogkartet…" : "Tilveksten kan ikke beregnes uten treslag og bonitet fra skogkartet."}
+              </div>
+              <div className="source-tag">
+                {sr16Biomass ? "Beregnet fra NIBIO sitt skogkart (SR16) for hele området" : sr16Stats.loading ? "Henter skogkart… foreløpig anslag fra satellitt" : "Anslag fra satellitt (SR16 utilgjengelig)"}
               </div>
             </section>
 
@@ -777,9 +4122,7 @@ export default function NordmarkaForest() {
             <section className="card wide">
               <h2 className="card-title">Hvor skogen er tykest</h2>
               <p className="card-desc">Kartet viser stående volum — altså hvor mye tømmer som finnes per dekar. Mørke farger betyr tett, gammel skog.</p>
-              <div className="wms-preview large">
-                <img src={volumeUrl} alt="Stående volum Nordmarka" className="wms-img" onError={(e) => { e.target.style.display = "none"; }} />
-              </div>
+              <SlippyMap layers={sr16MapLayers({ SRRVOLUB: true })} bbox={area.bbox} geometry={aoiGeometry} simple />
               <div className="simple-legend">
                 <span className="legend-item"><span className="legend-dot" style={{ background: "#1b4332" }} /> Tett skog</span>
                 <span className="legend-item"><span className="legend-dot" style={{ background: "#52b788" }} /> Middels</span>
@@ -789,10 +4132,21 @@ export default function NordmarkaForest() {
             </section>
 
             <section className="card wide">
-              <h2 className="card-title">Hva som vokser hvor</h2>
-              <p className="card-desc">Kartet viser treslag — gran, furu og lauvtrær fordelt over Nordmarka.</p>
-              <div className="wms-preview large">
-                <img src={speciesUrl} alt="Treslag Nordmarka" className="wms-img" onError={(e) => { e.target.style.display = "none"; }} />
+              <h2 className="card-title">Flere skogkart</h2>
+              <p className="card-desc">Velg hva du vil se — for eksempel treslag (gran, furu og lauv), trehøyde eller bonitet i {area.name}.</p>
+              <div className="layer-toggles" style={{ marginBottom: 12 }}>
+                {sr16Catalog.layers.map((l) => (
+                  <button key={l.layer} className={`layer-btn ${simpleLayers[l.layer] ? "active" : ""}`} title={l.title}
+                    onClick={() => setSimpleLayers((p) => ({ ...p, [l.layer]: !p[l.layer] }))}>
+                    {SR16_LAYER_NO[l.layer] ?? l.title}
+                  </button>
+                ))}
+              </div>
+              <SlippyMap layers={sr16MapLayers(simpleLayers)} bbox={area.bbox} geometry={aoiGeometry} simple />
+              <div className="legend-row">
+                {sr16Catalog.layers.filter((l) => simpleLayers[l.layer]).map((l) => (
+                  <SR16Legend key={l.layer} entry={l} title={SR16_LAYER_NO[l.layer] ?? l.title} />
+                ))}
               </div>
             </section>
 
@@ -848,7 +4202,7 @@ export default function NordmarkaForest() {
             )}
 
             {/* Risk alerts */}
-            {weatherRisks.length > 0 && (
+            {(weatherRisks.length > 0 || fireOutlook?.length > 0) && (
               <section className="card">
                 <h2 className="card-title">Varsler</h2>
                 <div className="risk-alerts">
@@ -859,6 +4213,102 @@ export default function NordmarkaForest() {
                     </div>
                   ))}
                 </div>
+                {fireOutlook?.length > 0 && (
+                  <>
+                    <div className="condition-label" style={{ margin: "14px 0 8px", fontSize: 13 }}>Skogbrannfare neste 48 timer</div>
+                    <div className="simple-forecast">
+                      {fireOutlook.map((d) => (
+                        <div key={d.date} className="simple-forecast-slot" style={{ minWidth: 80, padding: "10px 8px" }}>
+                          <div className="forecast-slot-time">{new Date(d.date).toLocaleDateString("no-NO", { weekday: "short" })}</div>
+                          <div className="risk-label" style={{ color: d.level != null ? FWI_CLASSES[d.level].color : "var(--t2)", margin: 0 }}>
+                            {d.level != null ? FWI_CLASSES[d.level].no : "Snødekke"}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </section>
+            )}
+
+            {/* Bark beetle risk */}
+            {beetleRisk && (
+              <section className="card">
+                <h2 className="card-title">Granbarkbille</h2>
+                <div className="risk-alert" style={{ borderLeftColor: beetleRisk.color }}>
+                  <div className="risk-label" style={{ color: beetleRisk.color }}>{beetleRisk.no} risiko</div>
+                  <div className="risk-desc">
+                    {beetleRisk.reasons.map((r, i) => <div key={i}>{r.no}</div>)}
+                  </div>
+                </div>
+                <div className="source-tag">Vurdert {new Date(beetleRisk.date).toLocaleDateString("no-NO", { day: "numeric", month: "long" })} · ERA5, MET og Sentinel-2</div>
+              </section>
+            )}
+
+            {/* Snow break risk */}
+            {snowToday && (snowBreak.some((d) => d.date >= snowToday.date && d.load > 0.5) || snowToday.depth > 0) && (() => {
+              const lvl = SNOW_LEVELS[snowToday.level];
+              const ahead = snowBreak.filter((d) => d.date > snowToday.date);
+              const peak = ahead.reduce((a, b) => (!a || b.load > a.load ? b : a), null);
+              const past3 = snowBreak.filter((d) => d.date <= snowToday.date).slice(-3).reduce((s, d) => s + d.snow, 0);
+              const next3 = ahead.slice(0, 3).reduce((s, d) => s + d.snow, 0);
+              return (
+                <section className="card">
+                  <h2 className="card-title">Snøbrekk</h2>
+                  <div className="risk-alert" style={{ borderLeftColor: lvl.color }}>
+                    <div className="risk-label" style={{ color: lvl.color }}>{lvl.no} fare for snøbrekk</div>
+                    <div className="risk-desc">
+                      Omtrent {snowToday.load.toFixed(0)} kg snø per m² i trekronene{snowToday.frozen ? ", fastfrosset etter våt snø" : ""}.
+                      {peak && peak.level > snowToday.level && ` Ventes opp mot ${peak.load.toFixed(0)} kg/m² ${new Date(peak.date).toLocaleDateString("no-NO", { weekday: "long" })}.`}
+                    </div>
+                  </div>
+                  <div className="simple-conditions">
+                    <div className="condition-row">
+                      <span className="condition-label">Snødybde</span>
+                      <span className="condition-value">{snowToday.depth != null ? `${(snowToday.depth * 100).toFixed(0)} cm` : "—"}</span>
+                    </div>
+                    <div className="condition-row">
+                      <span className="condition-label">Nysnø siste 3 døgn</span>
+                      <span className="condition-value">{(past3 * 0.7).toFixed(0)} cm</span>
+                    </div>
+                    <div className="condition-row">
+                      <span className="condition-label">Nysnø neste 3 døgn</span>
+                      <span className="condition-value">{(next3 * 0.7).toFixed(0)} cm</span>
+                    </div>
+                  </div>
+                  <div className="simple-forecast" style={{ marginTop: 12 }}>
+                    {ahead.slice(0, 6).map((d) => (
+                      <div key={d.date} className="simple-forecast-slot" style={{ minWidth: 70, padding: "10px 8px" }}>
+                        <div className="forecast-slot-time">{new Date(d.date).toLocaleDateString("no-NO", { weekday: "short" })}</div>
+                        <div className="risk-label" style={{ color: SNOW_LEVELS[d.level].color, margin: 0 }}>{SNOW_LEVELS[d.level].no}</div>
+                        <div className="forecast-slot-time">{d.load.toFixed(0)} kg/m²</div>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="source-tag">Snølast i kronene beregnet fra snøfall, temperatur og vind (ERA5 og MET)</div>
+                </section>
+              );
+            })()}
+
+            {/* Ground bearing capacity */}
+            {soilToday && (
+              <section className="card">
+                <h2 className="card-title">Kjøring i skogen</h2>
+                <div className="risk-alert" style={{ borderLeftColor: PASSABILITY[soilToday.passability].color }}>
+                  <div className="risk-label" style={{ color: PASSABILITY[soilToday.passability].color }}>{PASSABILITY[soilToday.passability].no} — {FROST_STATES[soilToday.state].no.toLowerCase()}</div>
+                  <div className="risk-desc">{interpretSoilFrost(soilToday)}</div>
+                </div>
+                <div className="condition-label" style={{ margin: "14px 0 8px", fontSize: 13 }}>Neste dager · sikkerhet i dag: {CONFIDENCE[soilToday.confidence].no}</div>
+                <div className="simple-forecast">
+                  {soilFrost.filter((d) => d.date > soilToday.date).slice(0, 6).map((d) => (
+                    <div key={d.date} className="simple-forecast-slot" style={{ minWidth: 70, padding: "10px 8px" }}>
+                      <div className="forecast-slot-time">{new Date(d.date).toLocaleDateString("no-NO", { weekday: "short" })}</div>
+                      <div className="legend-dot" style={{ background: PASSABILITY[d.passability].color, width: 14, height: 14, margin: "6px auto" }} title={FROST_STATES[d.state].no} />
+                      <div className="forecast-slot-time">{CONFIDENCE[d.confidence].no}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="source-tag">Beregnet fra lufttemperatur og snødybde (ERA5 og MET) — ikke målt i bakken</div>
               </section>
             )}
 
@@ -905,30 +4355,31 @@ export default function NordmarkaForest() {
         {!isSimple && tab === "overview" && (
           <div className="grid">
             <section className="card wide">
-              <h2 className="card-title">Nordmarka — Key Metrics</h2>
+              <h2 className="card-title">{area.name} — Key Metrics</h2>
               <p className="card-desc">Real-time data from Sentinel-2, Landsat, NIBIO SR16 and MET Norway.</p>
               <div className="stats-grid">
-                <StatBlock label="Area" value={NORDMARKA.area_km2} unit="km²" sub={NORDMARKA.elevation} />
-                <StatBlock label="Latest LAI" value={latestLAI ? latestLAI.lai.toFixed(2) : "—"} sub={latestLAI ? `NDVI: ${latestLAI.ndvi.toFixed(3)} · ${latestLAI.date}` : "Loading…"} accent="var(--green)" />
-                <StatBlock label="Avg LAI" value={avgLAI ? avgLAI.toFixed(2) : "—"} sub={`${laiHistory.length} observations`} accent="var(--green)" />
-                <StatBlock label="Biomass" value={latestLAI ? (latestLAI.lai * 28.5).toFixed(0) : "—"} unit="t/ha" sub={latestLAI ? `From LAI ${latestLAI.lai.toFixed(2)}` : "Loading…"} accent="var(--green)" />
-                <StatBlock label="Total Biomass" value={latestLAI ? (latestLAI.lai * 28.5 * NORDMARKA.area_km2 * 100 / 1000000).toFixed(2) : "—"} unit="Mt" sub={`For ${NORDMARKA.area_km2} km²`} accent="var(--green)" />
+                <StatBlock label="Area" value={area.area_km2} unit="km²" sub={area.elevation ?? (area.geometry ? "From uploaded boundary" : area.municipality)} />
+                <StatBlock label="Latest LAI" value={latestLAI ? latestLAI.lai.toFixed(2) : "—"} sub={latestLAI ? `NDVI: ${latestLAI.ndvi.toFixed(3)} · ${latestLAI.date}${latestLAI.source !== "pixels" ? ` · ${NDVI_SOURCES[latestLAI.source]?.label}` : ""}` : "Loading…"} accent="var(--green)" />
+                <StatBlock label="NDVI Anomaly" value={latestAnomaly ? `${latestAnomaly.z > 0 ? "+" : ""}${latestAnomaly.z.toFixed(1)}` : "—"} unit={latestAnomaly ? "σ" : undefined} sub={latestAnomaly ? `${latestAnomaly.percentile.toFixed(0)}th percentile for ${new Date(latestLAI.date).toLocaleString("en-US", { month: "long" })}` : "No same-season baseline yet"} accent={latestAnomaly && latestAnomaly.z <= -1 ? "#e07a5f" : "var(--green)"} />
+                <StatBlock label="Avg LAI" value={avgLAI ? avgLAI.toFixed(2) : "—"} sub={`${recentLAI.length} Sentinel-2 observations`} accent="var(--green)" />
+                <StatBlock label="Biomass" value={biomassPerHa != null ? biomassPerHa.toFixed(0) : "—"} unit="t/ha" sub={biomassSourceLabel ? `From ${biomassSourceLabel}` : "Loading…"} accent="var(--green)" />
+                <StatBlock label="Total Biomass" value={biomassPerHa != null ? totalBiomassMt.toFixed(2) : "—"} unit="Mt" sub={sr16Biomass ? `${(sr16Biomass.forestHa / 100).toFixed(0)} km² forest of ${area.area_km2} km²` : `For ${area.area_km2} km²`} accent="var(--green)" />
                 <StatBlock label="Temperature" value={temp != null ? temp.toFixed(1) : "—"} unit="°C" sub={weather.data ? "MET Norway — now" : "Loading…"} />
-                <StatBlock label="Sentinel-2" value={sentinelScenes.length} unit="scenes" sub="< 25% cloud cover" />
-                <StatBlock label="Landsat" value={landsatScenes.length} unit="scenes" sub="Landsat 8/9 C2L2" />
+                <StatBlock label="Sentinel-2" value={sentinelScenes.length} unit="scenes" sub={`< ${search.maxCloud}% cloud cover`} />
+                <StatBlock label="Landsat" value={landsatScenes.length} unit="scenes" sub="Landsat C2L2" />
               </div>
             </section>
 
             <section className="card">
               <h2 className="card-title">LAI Time Series</h2>
               <p className="card-desc">Leaf Area Index calculated from NDVI:<br/><code>LAI = 0.57 × e^(2.33 × NDVI)</code></p>
-              {laiHistory.length > 0 ? (
+              {recentLAI.length > 0 ? (
                 <div className="bar-chart">
-                  {laiHistory.map((h, i) => {
-                    const max = Math.max(...laiHistory.map((l) => l.lai), 5);
+                  {recentLAI.slice(-24).map((h, i) => {
+                    const max = Math.max(...recentLAI.map((l) => l.lai), 5);
                     return (
-                      <div key={i} className="bar-col" title={`${h.date}\nNDVI: ${h.ndvi.toFixed(3)}\nLAI: ${h.lai.toFixed(2)}\nCloud: ${h.cloud?.toFixed(0)}%`}>
-                        <div className="bar" style={{ height: `${(h.lai / max) * 100}%`, background: h.lai > 3 ? "var(--green)" : h.lai > 1.5 ? "#52b788" : "#b7e4c7", animationDelay: `${i * 60}ms` }} />
+                      <div key={i} className="bar-col" title={`${h.date}\nNDVI: ${h.ndvi.toFixed(3)}\nLAI: ${h.lai.toFixed(2)}\nCloud: ${h.cloud?.toFixed(0)}%\nSource: ${NDVI_SOURCES[h.source]?.description}`}>
+                        <div className={`bar${h.source !== "pixels" ? " fallback" : ""}`} style={{ height: `${(h.lai / max) * 100}%`, background: h.lai > 3 ? "var(--green)" : h.lai > 1.5 ? "#52b788" : "#b7e4c7", animationDelay: `${i * 60}ms` }} />
                         <div className="bar-label">{h.month}</div>
                         <div className="bar-val">{h.lai.toFixed(1)}</div>
                       </div>
@@ -941,39 +4392,93 @@ export default function NordmarkaForest() {
             </section>
 
             <section className="card">
-              <h2 className="card-title">10-Year Biomass Growth Projection</h2>
+              <h2 className="card-title">10-Year Growth Projection</h2>
               <p className="card-desc">
-                Accumulated growth over baseline. Norwegian forests grow ~2-4% biomass annually (3% projection).
+                Volume and biomass increment per species from SR16 site index and height on Norwegian yield curves, scaled by the
+                growing season ({growthFactor.source === "CMIP6" ? "CMIP6 GDD for the next decade" : growthFactor.source === "ERA5" ? "recent ERA5 GDD" : "waiting for ERA5"} against ERA5).
+                The band spans ±{GROWTH_SI_ERROR} m site index{growthFactor.source === "CMIP6" ? " and the model range" : ""}.
               </p>
-              {latestLAI ? (
-                <>
-                  <div className="bar-chart">
-                    {[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((year) => {
-                      const currentBiomass = latestLAI.lai * 28.5;
-                      const cumulativeBiomass = currentBiomass * Math.pow(1.03, year);
-                      const growthFromBaseline = cumulativeBiomass - currentBiomass;
-                      const maxGrowth = currentBiomass * (Math.pow(1.03, 10) - 1);
-                      const currentYear = new Date().getFullYear();
-                      const growthPercent = year === 0 ? 0 : ((cumulativeBiomass - currentBiomass) / currentBiomass * 100);
-                      return (
-                        <div key={year} className="bar-col" title={`${currentYear + year}\nTotal: ${cumulativeBiomass.toFixed(1)} t/ha\nGrowth from baseline: +${growthFromBaseline.toFixed(1)} t/ha (+${growthPercent.toFixed(1)}%)`}>
-                          <div className="bar" style={{ height: `${year === 0 ? 5 : (growthFromBaseline / maxGrowth) * 100}%`, background: year === 0 ? "#adb5bd" : "var(--green)", animationDelay: `${year * 60}ms` }} />
-                          <div className="bar-label">{currentYear + year}</div>
-                          <div className="bar-val">{year === 0 ? 'baseline' : `+${growthFromBaseline.toFixed(1)}`}</div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                  <div style={{ marginTop: 16, fontSize: 12, color: "var(--t2)", lineHeight: 1.6 }}>
-                    <strong>Baseline (current):</strong> {(latestLAI.lai * 28.5).toFixed(1)} t/ha<br/>
-                    <strong>Projected in 10 years:</strong> {(latestLAI.lai * 28.5 * Math.pow(1.03, 10)).toFixed(1)} t/ha 
-                    (+{((latestLAI.lai * 28.5 * (Math.pow(1.03, 10) - 1))).toFixed(1)} t/ha, +{((Math.pow(1.03, 10) - 1) * 100).toFixed(1)}%)<br/>
-                    <strong>Total area growth:</strong> {((latestLAI.lai * 28.5 * Math.pow(1.03, 10) - latestLAI.lai * 28.5) * NORDMARKA.area_km2 * 100 / 1000000).toFixed(2)} Mt additional biomass
-                  </div>
-                </>
-              ) : (
-                <div className="empty">Waiting for LAI data…</div>
+              {growth ? (() => {
+                const W = 800, H = 240, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const aoiHa = sr16Stats.data.biomass.aoiHa;
+                // Biomass gained since now, t/ha over the whole area (the baseline's unit)
+                const gain = (row, key = "biomass") => (row[key] - growth.total[0].biomass) / aoiHa;
+                const maxG = Math.max(1, gain(growth.total[GROWTH_YEARS], "biomassHigh"));
+                const xP = (n) => PAD.l + (n / GROWTH_YEARS) * (W - PAD.l - PAD.r);
+                const yP = (v) => H - PAD.b - (v / maxG) * (H - PAD.t - PAD.b);
+                const speciesGain = (sp, n) => (sp.years[n].biomass - sp.years[0].biomass) / aoiHa;
+                const end = growth.total[GROWTH_YEARS];
+                const currentYear = new Date().getFullYear();
+                return (
+                  <>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)" }}>
+                      {[0, 0.5, 1].map((f) => (
+                        <g key={f}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yP(f * maxG)} y2={yP(f * maxG)} stroke="var(--border)" />
+                          <text x={PAD.l - 8} y={yP(f * maxG) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">+{(f * maxG).toFixed(f ? 1 : 0)}</text>
+                        </g>
+                      ))}
+                      <path
+                        d={`M${growth.total.map((r) => `${xP(r.n)},${yP(gain(r, "biomassHigh"))}`).join("L")}L${[...growth.total].reverse().map((r) => `${xP(r.n)},${yP(gain(r, "biomassLow"))}`).join("L")}Z`}
+                        fill="var(--green)" opacity="0.15"
+                      />
+                      {growth.species.map((sp) => (
+                        <path key={sp.code} d={`M${sp.years.map((r) => `${xP(r.n)},${yP(speciesGain(sp, r.n))}`).join("L")}`} fill="none" stroke={GROWTH_SPECIES[sp.code].color} strokeWidth="1.5">
+                          <title>{`${GROWTH_SPECIES[sp.code].en}: +${speciesGain(sp, GROWTH_YEARS).toFixed(1)} t/ha over ${GROWTH_YEARS} years`}</title>
+                        </path>
+                      ))}
+                      <path d={`M${growth.total.map((r) => `${xP(r.n)},${yP(gain(r))}`).join("L")}`} fill="none" stroke="var(--green)" strokeWidth="2.5" />
+                      {growth.total.map((r) => (
+                        <g key={r.n}>
+                          <circle cx={xP(r.n)} cy={yP(gain(r))} r="3" fill="var(--card)" stroke="var(--green)" strokeWidth="2">
+                            <title>{`${currentYear + r.n}\n+${gain(r).toFixed(1)} t/ha (${gain(r, "biomassLow").toFixed(1)}–${gain(r, "biomassHigh").toFixed(1)})\nVolume +${((r.volume - growth.total[0].volume) / aoiHa).toFixed(1)} m³/ha`}</title>
+                          </circle>
+                          <text x={xP(r.n)} y={H - 10} textAnchor="middle" fontSize="10" fill="var(--t2)">{currentYear + r.n}</text>
+                        </g>
+                      ))}
+                    </svg>
+                    <div className="simple-legend">
+                      <span className="legend-item"><span className="legend-dot" style={{ background: "var(--green)" }} /> All species (band shaded)</span>
+                      {growth.species.map((sp) => (
+                        <span key={sp.code} className="legend-item"><span className="legend-dot" style={{ background: GROWTH_SPECIES[sp.code].color }} /> {GROWTH_SPECIES[sp.code].en}</span>
+                      ))}
+                    </div>
+                    <div className="scene-table" style={{ marginTop: 12 }}>
+                      <div className="data-table-header growth-cols">
+                        <span>Species</span><span>Forest</span><span>H40</span><span>Volume/yr</span><span>Biomass/yr</span>
+                      </div>
+                      {growth.species.map((sp) => {
+                        const last = sp.years[GROWTH_YEARS], first = sp.years[0];
+                        return (
+                          <div key={sp.code} className="data-table-row growth-cols">
+                            <span style={{ fontWeight: 600, color: GROWTH_SPECIES[sp.code].color }}>{GROWTH_SPECIES[sp.code].en}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{(sp.ha / 100).toFixed(1)} km²</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{sp.siteIndex.toFixed(0)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }} title={`${((last.volumeLow - first.volume) / sp.ha / GROWTH_YEARS).toFixed(1)}–${((last.volumeHigh - first.volume) / sp.ha / GROWTH_YEARS).toFixed(1)}`}>{((last.volume - first.volume) / sp.ha / GROWTH_YEARS).toFixed(1)} m³/ha</span>
+                            <span style={{ fontFamily: "var(--fm)" }} title={`${((last.biomassLow - first.biomass) / sp.ha / GROWTH_YEARS).toFixed(1)}–${((last.biomassHigh - first.biomass) / sp.ha / GROWTH_YEARS).toFixed(1)}`}>{((last.biomass - first.biomass) / sp.ha / GROWTH_YEARS).toFixed(1)} t/ha</span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <div style={{ marginTop: 16, fontSize: 12, color: "var(--t2)", lineHeight: 1.6 }}>
+                      <strong>Baseline (current):</strong> {biomassPerHa.toFixed(1)} t/ha · {biomassSourceLabel}<br/>
+                      <strong>Projected in {GROWTH_YEARS} years:</strong> {(biomassPerHa + gain(end)).toFixed(1)} t/ha
+                      (+{gain(end).toFixed(1)} t/ha, range +{gain(end, "biomassLow").toFixed(1)} to +{gain(end, "biomassHigh").toFixed(1)}; +{((gain(end) / biomassPerHa) * 100).toFixed(1)}%)<br/>
+                      <strong>Total area growth:</strong> {((end.biomass - growth.total[0].biomass) / 1e6).toFixed(2)} Mt additional biomass
+                      ({((end.volume - growth.total[0].volume) / 1e6).toFixed(2)} mill. m³)<br/>
+                      <strong>Growing season:</strong>{" "}
+                      {growthFactor.source
+                        ? `${Math.round(growthFactor.gdd)} °C·d over ${Math.round(growthFactor.length)} days vs ${Math.round(growthFactor.refGDD)} °C·d over ${Math.round(growthFactor.refLength)} days in ERA5 ${growthFactor.refYears[0]}–${growthFactor.refYears[1]} → increment × ${growthFactor.mid.toFixed(2)}`
+                        : "not loaded yet, increment unscaled"}
+                    </div>
+                  </>
+                );
+              })() : (
+                <div className="empty">
+                  {sr16Stats.loading ? <>Reading SR16 species, site index and height… <LoadingDot /></> : "Growth needs SR16 species and site index, which are unavailable for this area"}
+                </div>
               )}
+              <div className="source-tag">Sources: NIBIO SR16 (SRRTRESLAG, SRRBONITET, SRRHOYDEM, SRRVOLUB, SRRBMO) · yield tables after Tveite, Brantseg, Braastad · ERA5/CMIP6 growing season</div>
             </section>
 
             <section className="card">
@@ -998,43 +4503,302 @@ export default function NordmarkaForest() {
                     <div className="weather-label">Precip. (1h)</div>
                   </div>
                 </div>
-              ) : (
-                <div className="empty">{weather.error ? `Error: ${weather.error}` : "Loading…"} <LoadingDot /></div>
+              ) : (
+                <div className="empty">{weather.error ? `Error: ${weather.error}` : "Loading…"} <LoadingDot /></div>
+              )}
+              <div className="source-tag">Source: api.met.no · {new Date().toLocaleString("en-US")}</div>
+            </section>
+
+            {/* NIBIO SR16 preview */}
+            <section className="card wide">
+              <h2 className="card-title">NIBIO SR16 — Forest Resource Map</h2>
+              <p className="card-desc">Standing volume (m³/ha) for the {area.name} area. Data: NIBIO via WMS.</p>
+              <SlippyMap layers={sr16MapLayers({ SRRVOLUB: true })} bbox={area.bbox} geometry={aoiGeometry} height={340} />
+              <div className="source-tag">Source: wms.nibio.no/cgi-bin/sr16 · Layer: SRRVOLUB · CRS: EPSG:3857</div>
+            </section>
+          </div>
+        )}
+
+        {/* ════════ LAI / NDVI ════════ */}
+        {!isSimple && tab === "lai" && (
+          <div className="grid">
+            <section className="card wide">
+              <h2 className="card-title">Leaf Area Index (LAI) — {area.name}</h2>
+              <p className="card-desc">
+                LAI calculated from Sentinel-2 NDVI values using the empirical forest formula:
+                <code style={{ display: "block", margin: "8px 0", fontSize: 14, color: "var(--green)" }}>LAI = 0.57 × exp(2.33 × NDVI)</code>
+                Formula validated for boreal forests (R² ≈ 0.55, RMSE ≈ 0.8). Source: Gao et al. / Landsat-LAI (GitHub).
+                <br/>NDVI per scene is the mean of the red/NIR COG pixels inside the area. Scenes whose pixels could not be read
+                fall back to STAC band statistics or a cloud-cover estimate, and are marked in the Source column.
+                <br/>Landsat (Collection 2, scale 0.0000275, offset −0.2) extends the series back to the 1980s. TM/ETM+ and OLI
+                reflectances are harmonised to Sentinel-2 MSI (Roy et al. 2016; HLS, Claverie et al. 2018) before NDVI is computed.
+              </p>
+            </section>
+
+            <section className="card wide">
+              <h2 className="card-title">Long-term LAI — Landsat + Sentinel-2</h2>
+              <p className="card-desc">One clear July–August Landsat scene per year, plus all Sentinel-2 scenes. Line: mean July–August LAI per year.</p>
+              {laiHistory.length > 0 ? (() => {
+                const W = 800, H = 260, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const yearOf = (h) => +h.date.slice(0, 4) + (new Date(h.date) - new Date(h.date.slice(0, 4))) / 31557600000;
+                const minYear = Math.min(LANDSAT_FIRST_YEAR, ...laiHistory.map((h) => +h.date.slice(0, 4)));
+                const maxYear = new Date().getFullYear() + 1;
+                const maxLAI = Math.max(6, ...laiHistory.map((h) => h.lai));
+                const xP = (y) => PAD.l + ((y - minYear) / (maxYear - minYear)) * (W - PAD.l - PAD.r);
+                const yP = (v) => H - PAD.b - (v / maxLAI) * (H - PAD.t - PAD.b);
+                const sensorColors = { [SENSORS["sentinel-2"].label]: "var(--green)", [SENSORS.oli.label]: "#457b9d", [SENSORS.etm.label]: "#e07a5f" };
+                const summer = {};
+                for (const h of laiHistory) {
+                  const month = +h.date.slice(5, 7);
+                  if (month >= 7 && month <= 8) (summer[h.date.slice(0, 4)] ??= []).push(h.lai);
+                }
+                const summerLine = Object.entries(summer).sort().map(([y, v]) => `${xP(+y + 0.55).toFixed(1)},${yP(v.reduce((a, b) => a + b, 0) / v.length).toFixed(1)}`).join(" ");
+                return (
+                  <>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)" }}>
+                      {[0, 2, 4, 6].filter((v) => v <= maxLAI).map((v) => (
+                        <g key={v}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yP(v)} y2={yP(v)} stroke="var(--border)" />
+                          <text x={PAD.l - 8} y={yP(v) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">{v}</text>
+                        </g>
+                      ))}
+                      {Array.from({ length: maxYear - minYear + 1 }, (_, i) => minYear + i).filter((y) => y % 5 === 0).map((y) => (
+                        <text key={y} x={xP(y)} y={H - 10} textAnchor="middle" fontSize="10" fill="var(--t2)">{y}</text>
+                      ))}
+                      <polyline points={summerLine} fill="none" stroke="var(--t2)" strokeWidth="1.5" strokeDasharray="4 3" />
+                      {laiHistory.map((h, i) => (
+                        <circle key={i} cx={xP(yearOf(h))} cy={yP(h.lai)} r="3.5" fill={sensorColors[h.sensor]} opacity={h.source === "pixels" ? 0.9 : 0.4}>
+                          <title>{`${h.date} · ${h.sensor}\nNDVI ${h.ndvi.toFixed(3)} · LAI ${h.lai.toFixed(2)}`}</title>
+                        </circle>
+                      ))}
+                    </svg>
+                    <div className="simple-legend">
+                      {Object.entries(sensorColors).map(([label, color]) => (
+                        <span key={label} className="legend-item"><span className="legend-dot" style={{ background: color }} /> {label}</span>
+                      ))}
+                    </div>
+                  </>
+                );
+              })() : (
+                <div className="empty">Fetching data from Earth Search STAC API… <LoadingDot /></div>
+              )}
+              <div className="source-tag">
+                Landsat record: {landsatRecord.error ? `failed (${landsatRecord.error})` : landsatRecord.loading
+                  ? <>{landsatRecord.total ? `${landsatRecord.done} of ${landsatRecord.total} summer scenes analysed` : "searching summers since " + LANDSAT_FIRST_YEAR}… <LoadingDot /></>
+                  : `${laiHistory.length - recentLAI.length} of ${landsatRecord.total} summer scenes usable`}
+                {" "}· assets via landsatlook.usgs.gov
+              </div>
+            </section>
+
+            <section className="card wide">
+              <h2 className="card-title">Spectral Index — {SPECTRAL_INDICES[laiIndex].name}</h2>
+              <div className="raster-controls">
+                <label>
+                  Index{" "}
+                  <select className="area-select" value={laiIndex} onChange={(e) => setLaiIndex(e.target.value)}>
+                    {Object.values(SPECTRAL_INDICES).map((idx) => (
+                      <option key={idx.id} value={idx.id}>{idx.label} — {idx.name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <p className="card-desc">
+                <code>{SPECTRAL_INDICES[laiIndex].label} = {SPECTRAL_INDICES[laiIndex].formula}</code> — {SPECTRAL_INDICES[laiIndex].description}.
+                Mean over the clear pixels of each scene, on harmonised reflectance.
+              </p>
+              {(() => {
+                const index = SPECTRAL_INDICES[laiIndex];
+                const points = laiIndex === "ndvi"
+                  ? laiHistory.filter((h) => h.source === "pixels").map((h) => ({ date: h.date, sensor: h.sensor, value: h.ndvi, id: h.id }))
+                  : indexSeries.points;
+                if (points.length === 0) {
+                  return indexSeries.error && laiIndex !== "ndvi"
+                    ? <div className="empty">Could not compute {index.label}: {indexSeries.error}</div>
+                    : <div className="empty">Reading {index.bands.join(", ")} bands… <LoadingDot /></div>;
+                }
+                const W = 800, H = 220, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const t = (d) => new Date(d).getTime();
+                const t0 = t(points[0].date), t1 = Math.max(t(points[points.length - 1].date), t0 + 86400000);
+                const vals = points.map((p) => p.value);
+                const lo = Math.floor(Math.min(...vals) * 10) / 10, hi = Math.max(lo + 0.1, Math.ceil(Math.max(...vals) * 10) / 10);
+                const xP = (d) => PAD.l + ((t(d) - t0) / (t1 - t0)) * (W - PAD.l - PAD.r);
+                const yP = (v) => H - PAD.b - ((v - lo) / (hi - lo || 1)) * (H - PAD.t - PAD.b);
+                const ticks = Array.from({ length: 5 }, (_, i) => lo + ((hi - lo) * i) / 4);
+                const years = [];
+                for (let y = new Date(t0).getFullYear() + 1; y <= new Date(t1).getFullYear(); y++) years.push(y);
+                const sensorColors = { [SENSORS["sentinel-2"].label]: "var(--green)", [SENSORS.oli.label]: "#457b9d", [SENSORS.etm.label]: "#e07a5f" };
+                return (
+                  <>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)" }}>
+                      {ticks.map((v) => (
+                        <g key={v}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yP(v)} y2={yP(v)} stroke="var(--border)" />
+                          <text x={PAD.l - 8} y={yP(v) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">{v.toFixed(2)}</text>
+                        </g>
+                      ))}
+                      {years.filter((y, i) => years.length <= 12 || i % 5 === 0).map((y) => (
+                        <text key={y} x={xP(`${y}-01-01`)} y={H - 10} textAnchor="middle" fontSize="10" fill="var(--t2)">{y}</text>
+                      ))}
+                      <polyline points={points.map((p) => `${xP(p.date).toFixed(1)},${yP(p.value).toFixed(1)}`).join(" ")} fill="none" stroke="var(--t2)" strokeWidth="1" opacity="0.4" />
+                      {points.map((p) => (
+                        <circle key={p.id} cx={xP(p.date)} cy={yP(p.value)} r="3.5" fill={sensorColors[p.sensor]} opacity="0.9">
+                          <title>{`${p.date} · ${p.sensor}\n${index.label} ${p.value.toFixed(3)}`}</title>
+                        </circle>
+                      ))}
+                    </svg>
+                    <div className="simple-legend">
+                      {Object.entries(sensorColors).map(([label, color]) => (
+                        <span key={label} className="legend-item"><span className="legend-dot" style={{ background: color }} /> {label}</span>
+                      ))}
+                    </div>
+                  </>
+                );
+              })()}
+              <div className="source-tag">
+                {laiIndex !== "ndvi" && indexSeries.loading && <>Reading scenes… {indexSeries.points.length} done <LoadingDot /> · </>}
+                {laiIndex === "cire" ? "Red edge is Sentinel-2 only; Landsat scenes are left out" : "Landsat TM/ETM+ and OLI bands harmonised to Sentinel-2 MSI (Roy et al. 2016; HLS)"}
+              </div>
+            </section>
+
+            <section className="card wide">
+              <h2 className="card-title">NDVI Phenology — Start, Peak & End of Greenness</h2>
+              <p className="card-desc">
+                Clear pixel-based NDVI per year, interpolated daily and smoothed with a Savitzky-Golay filter ({SG_WINDOW}-day window, order {SG_ORDER}).
+                Start and end of the green season are where the curve crosses {PHENO_THRESHOLD * 100}% of its seasonal amplitude; years need ≥ {PHENO_MIN_OBS} clear dates.
+                Widen the Scene Search date range on the Satellite tab to fit more years.
+              </p>
+              {phenology.composite ? (() => {
+                const W = 800, H = 260, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const curves = [...phenology.years, { ...phenology.composite, year: "all" }];
+                const ndvis = curves.flatMap((c) => c.obs.map((o) => o.ndvi));
+                const minN = Math.max(0, Math.floor(Math.min(...ndvis) * 10) / 10);
+                const maxN = Math.min(1, Math.ceil(Math.max(...ndvis) * 10) / 10);
+                const xP = (doy) => PAD.l + ((doy - 1) / 365) * (W - PAD.l - PAD.r);
+                const yP = (v) => H - PAD.b - ((v - minN) / (maxN - minN || 1)) * (H - PAD.t - PAD.b);
+                const palette = ["#457b9d", "#e07a5f", "#8e44ad", "#e9c46a", "#2a9d8f", "#6c757d"];
+                const colorOf = (c, i) => (c.year === "all" ? "var(--green)" : palette[i % palette.length]);
+                const monthStarts = [1, 32, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+                const c = phenology.composite;
+                return (
+                  <>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)" }}>
+                      {Array.from({ length: Math.round((maxN - minN) * 10) + 1 }, (_, i) => +(minN + i * 0.1).toFixed(1)).map((v) => (
+                        <g key={v}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yP(v)} y2={yP(v)} stroke="var(--border)" />
+                          <text x={PAD.l - 8} y={yP(v) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">{v.toFixed(1)}</text>
+                        </g>
+                      ))}
+                      {monthStarts.map((doy, i) => (
+                        <text key={doy} x={xP(doy + 15)} y={H - 10} textAnchor="middle" fontSize="10" fill="var(--t2)">{MONTH_NAMES[i]}</text>
+                      ))}
+                      {[["SOS", c.sosDOY], ["Peak", c.posDOY], ["EOS", c.eosDOY]].filter(([, doy]) => doy != null).map(([label, doy]) => (
+                        <g key={label}>
+                          <line x1={xP(doy)} x2={xP(doy)} y1={PAD.t} y2={H - PAD.b} stroke="var(--green)" strokeDasharray="3 3" opacity="0.6" />
+                          <text x={xP(doy) + 4} y={PAD.t + 10} fontSize="10" fill="var(--green)">{label}</text>
+                        </g>
+                      ))}
+                      {curves.map((cv, i) => (
+                        <g key={cv.year}>
+                          <polyline
+                            points={cv.curve.map((p) => `${xP(p.doy).toFixed(1)},${yP(p.ndvi).toFixed(1)}`).join(" ")}
+                            fill="none" stroke={colorOf(cv, i)} strokeWidth={cv.year === "all" ? 3 : 1.5}
+                            strokeDasharray={cv.year === "all" ? "6 3" : undefined}
+                          />
+                          {cv.year !== "all" && cv.obs.map((o) => (
+                            <circle key={o.doy} cx={xP(o.doy)} cy={yP(o.ndvi)} r="3" fill={colorOf(cv, i)} opacity="0.7">
+                              <title>{`${cv.year}-${doyToDate(cv.year, o.doy)} · NDVI ${o.ndvi.toFixed(3)}`}</title>
+                            </circle>
+                          ))}
+                        </g>
+                      ))}
+                    </svg>
+                    <div className="simple-legend">
+                      {curves.map((cv, i) => (
+                        <span key={cv.year} className="legend-item">
+                          <span className="legend-dot" style={{ background: colorOf(cv, i) }} /> {cv.year === "all" ? "All years (composite)" : cv.year}
+                        </span>
+                      ))}
+                    </div>
+                    <div className="scene-table" style={{ marginTop: 12 }}>
+                      <div className="data-table-header pheno-cols">
+                        <span>Year</span><span>Start</span><span>Peak</span><span>End</span><span>Length</span><span>Peak NDVI</span><span>Scenes</span>
+                      </div>
+                      {curves.map((cv) => {
+                        const y = cv.year === "all" ? 2001 : cv.year; // any non-leap year for the composite
+                        return (
+                          <div key={cv.year} className="data-table-row pheno-cols">
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{cv.year === "all" ? "All" : cv.year}</span>
+                            <span style={{ fontFamily: "var(--fm)", color: "var(--green)" }}>{cv.sosDOY ? doyToDate(y, cv.sosDOY) : "—"}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{doyToDate(y, cv.posDOY)}</span>
+                            <span style={{ fontFamily: "var(--fm)", color: "#c0392b" }}>{cv.eosDOY ? doyToDate(y, cv.eosDOY) : "—"}</span>
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{cv.length ? `${cv.length} days` : "—"}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{cv.peakNDVI.toFixed(3)}</span>
+                            <span style={{ fontFamily: "var(--fm)", color: "var(--t2)" }}>{cv.obs.length}</span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </>
+                );
+              })() : (
+                <div className="empty">
+                  {laiHistory.length > 0
+                    ? `Not enough clear observations yet (${phenology.observations} pixel-based dates, need ${PHENO_MIN_OBS} spread over the season).`
+                    : <>Fetching data from Earth Search STAC API… <LoadingDot /></>}
+                </div>
               )}
-              <div className="source-tag">Source: api.met.no · {new Date().toLocaleString("en-US")}</div>
-            </section>
-
-            {/* NIBIO SR16 preview */}
-            <section className="card wide">
-              <h2 className="card-title">NIBIO SR16 — Forest Resource Map</h2>
-              <p className="card-desc">Standing volume (m³/ha) for Nordmarka area. Data: NIBIO via WMS.</p>
-              <div className="wms-preview">
-                <img
-                  src={volumeUrl}
-                  alt="SR16 Volum Nordmarka"
-                  className="wms-img"
-                  onError={(e) => { e.target.style.display = "none"; e.target.nextSibling.style.display = "block"; }}
-                />
-                <div className="wms-fallback" style={{ display: "none" }}>
-                  WMS failed — NIBIO service may be temporarily unavailable.
-                  <br />URL: {volumeUrl.slice(0, 80)}…
-                </div>
-              </div>
-              <div className="source-tag">Source: wms.nibio.no/cgi-bin/sr16 · Layer: SRRVOLUB · CRS: EPSG:4326</div>
+              <div className="source-tag">"—" means the season start or end fell outside the observed dates of that year</div>
             </section>
-          </div>
-        )}
 
-        {/* ════════ LAI / NDVI ════════ */}
-        {!isSimple && tab === "lai" && (
-          <div className="grid">
             <section className="card wide">
-              <h2 className="card-title">Leaf Area Index (LAI) — Nordmarka</h2>
+              <h2 className="card-title">NDVI Anomaly — Against the Same Time of Year</h2>
               <p className="card-desc">
-                LAI calculated from Sentinel-2 NDVI values using the empirical forest formula:
-                <code style={{ display: "block", margin: "8px 0", fontSize: 14, color: "var(--green)" }}>LAI = 0.57 × exp(2.33 × NDVI)</code>
-                Formula validated for boreal forests (R² ≈ 0.55, RMSE ≈ 0.8). Source: Gao et al. / Landsat-LAI (GitHub).
+                Each clear scene compared with clear scenes within ±{BASELINE_WINDOW_DAYS} days of the same date in other years
+                (≥ {BASELINE_MIN_OBS} scenes from ≥ {BASELINE_MIN_YEARS} years). Bars show the z-score; below −1σ is an early stress signal,
+                below −2σ is unusual. The Landsat summer record makes July–August baselines the most robust.
               </p>
+              {(() => {
+                const scored = ndviAnomalies.filter((h) => h.anomaly).slice(-40);
+                if (scored.length === 0) {
+                  return laiHistory.length > 0
+                    ? <div className="empty">No same-season baseline yet — widen the Scene Search date range to include earlier years.</div>
+                    : <div className="empty">Fetching data from Earth Search STAC API… <LoadingDot /></div>;
+                }
+                const W = 800, H = 220, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const zMax = Math.max(3, ...scored.map((h) => Math.abs(h.anomaly.z)));
+                const step = (W - PAD.l - PAD.r) / scored.length;
+                const yP = (z) => PAD.t + ((zMax - z) / (2 * zMax)) * (H - PAD.t - PAD.b);
+                const color = (z) => (z <= -2 ? "#e07a5f" : z <= -1 ? "#e9c46a" : "var(--green)");
+                const last = scored[scored.length - 1];
+                return (
+                  <>
+                    <div className="stats-grid" style={{ marginBottom: 12 }}>
+                      <StatBlock label="Latest z-score" value={`${last.anomaly.z > 0 ? "+" : ""}${last.anomaly.z.toFixed(2)}`} unit="σ" sub={last.date} accent={color(last.anomaly.z)} small />
+                      <StatBlock label="Percentile" value={last.anomaly.percentile.toFixed(0)} unit="%" sub={`NDVI ${last.ndvi.toFixed(3)}`} small />
+                      <StatBlock label="Baseline" value={last.anomaly.mean.toFixed(3)} sub={`± ${last.anomaly.sd.toFixed(3)} (1σ)`} small />
+                      <StatBlock label="Baseline scenes" value={last.anomaly.n} sub={`${last.anomaly.years.length} years, ${last.anomaly.years[0]}–${last.anomaly.years[last.anomaly.years.length - 1]}`} small />
+                    </div>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)" }}>
+                      {[-2, -1, 0, 1, 2].map((z) => (
+                        <g key={z}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yP(z)} y2={yP(z)} stroke="var(--border)" strokeDasharray={z === 0 ? undefined : "3 3"} />
+                          <text x={PAD.l - 8} y={yP(z) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">{z > 0 ? `+${z}` : z}σ</text>
+                        </g>
+                      ))}
+                      {scored.map((h, i) => (
+                        <rect key={h.id} x={PAD.l + i * step + step * 0.15} width={step * 0.7}
+                          y={Math.min(yP(h.anomaly.z), yP(0))} height={Math.max(1, Math.abs(yP(h.anomaly.z) - yP(0)))}
+                          fill={color(h.anomaly.z)} rx="1">
+                          <title>{`${h.date} · ${h.sensor}\nNDVI ${h.ndvi.toFixed(3)} vs ${h.anomaly.mean.toFixed(3)} ± ${h.anomaly.sd.toFixed(3)}\nz ${h.anomaly.z.toFixed(2)} · ${h.anomaly.percentile.toFixed(0)}th percentile`}</title>
+                        </rect>
+                      ))}
+                      {scored.map((h, i) => (i % Math.ceil(scored.length / 10) === 0 ? (
+                        <text key={h.id} x={PAD.l + (i + 0.5) * step} y={H - 10} textAnchor="middle" fontSize="10" fill="var(--t2)">{h.date.slice(0, 7)}</text>
+                      ) : null))}
+                    </svg>
+                  </>
+                );
+              })()}
             </section>
 
             <section className="card wide">
@@ -1042,24 +4806,25 @@ export default function NordmarkaForest() {
               {laiHistory.length > 0 ? (
                 <div className="scene-table">
                   <div className="scene-header">
-                    <span>Date</span><span>Scene ID</span><span>NDVI</span><span>LAI</span><span>Cloud Cover</span>
+                    <span>Date</span><span>Sensor · Scene ID</span><span>NDVI</span><span>LAI</span><span>Cloud Cover</span><span>Source</span>
                   </div>
                   {laiHistory.map((h, i) => (
                     <div key={i} className="scene-row">
                       <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{h.date}</span>
-                      <span style={{ fontSize: 11, fontFamily: "var(--fm)", color: "var(--t2)", maxWidth: 180, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{h.id}</span>
+                      <span style={{ fontSize: 11, fontFamily: "var(--fm)", color: "var(--t2)", maxWidth: 180, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={h.id}>{h.sensor} · {h.id}</span>
                       <span>
                         <span className="ndvi-badge">{h.ndvi.toFixed(3)}</span>
                       </span>
                       <span style={{ fontWeight: 700, color: "var(--green)", fontFamily: "var(--fm)" }}>{h.lai.toFixed(2)}</span>
                       <span style={{ fontFamily: "var(--fm)", color: "var(--t2)" }}>{h.cloud?.toFixed(1)}%</span>
+                      <span className="source-badge" style={{ color: NDVI_SOURCES[h.source]?.color }} title={NDVI_SOURCES[h.source]?.description}>{NDVI_SOURCES[h.source]?.label}</span>
                     </div>
                   ))}
                 </div>
               ) : (
                 <div className="empty">Fetching data from Earth Search STAC API… <LoadingDot /></div>
               )}
-              <div className="source-tag">Source: earth-search.aws.element84.com/v1 · Collection: sentinel-2-l2a</div>
+              <div className="source-tag">Source: earth-search.aws.element84.com/v1 · Collections: sentinel-2-l2a, landsat-c2-l2 · Sentinel-2: {describeSearch(search)}</div>
             </section>
 
             <section className="card">
@@ -1086,16 +4851,27 @@ export default function NordmarkaForest() {
 
             <section className="card">
               <h2 className="card-title">Biomass Estimate</h2>
-              <p className="card-desc">Biomass calculated from LAI via allometric relations for boreal forest.</p>
-              {latestLAI ? (
-                <div className="stats-grid" style={{ gridTemplateColumns: "1fr 1fr" }}>
-                  <StatBlock label="Biomass (aboveground)" value={(latestLAI.lai * 28.5).toFixed(0)} unit="t/ha" accent="var(--green)" small />
-                  <StatBlock label="Carbon storage" value={(latestLAI.lai * 28.5 * 0.47).toFixed(0)} unit="tC/ha" accent="var(--green)" small />
-                  <StatBlock label="CO₂ equivalent" value={(latestLAI.lai * 28.5 * 0.47 * 3.67).toFixed(0)} unit="tCO₂/ha" accent="var(--green)" small />
-                  <StatBlock label="For all Nordmarka" value={((latestLAI.lai * 28.5 * 0.47 * 3.67 * NORDMARKA.area_km2 * 100) / 1e6).toFixed(1)} unit="Mt CO₂" accent="var(--green)" small />
-                </div>
+              <p className="card-desc">
+                {sr16Biomass
+                  ? "Aboveground biomass summed from NIBIO SR16 pixels inside the area."
+                  : "Biomass calculated from LAI via allometric relations for boreal forest."}
+              </p>
+              {biomassPerHa != null ? (
+                <>
+                  <div className="stats-grid" style={{ gridTemplateColumns: "1fr 1fr" }}>
+                    <StatBlock label="Biomass (aboveground)" value={biomassPerHa.toFixed(0)} unit="t/ha" sub={biomassSourceLabel} accent="var(--green)" small />
+                    <StatBlock label="Carbon storage" value={(biomassPerHa * 0.47).toFixed(0)} unit="tC/ha" accent="var(--green)" small />
+                    <StatBlock label="CO₂ equivalent" value={(biomassPerHa * 0.47 * 3.67).toFixed(0)} unit="tCO₂/ha" accent="var(--green)" small />
+                    <StatBlock label={`For all ${area.name}`} value={(totalBiomassMt * 0.47 * 3.67).toFixed(1)} unit="Mt CO₂" accent="var(--green)" small />
+                  </div>
+                  {sr16Biomass && laiBiomassPerHa != null && (
+                    <div style={{ marginTop: 12, fontSize: 12, color: "var(--t2)" }}>
+                      LAI-based estimate for comparison: {laiBiomassPerHa.toFixed(0)} t/ha (LAI {latestLAI.lai.toFixed(2)} × 28.5)
+                    </div>
+                  )}
+                </>
               ) : (
-                <div className="empty">Waiting for LAI data…</div>
+                <div className="empty">Waiting for biomass data…</div>
               )}
             </section>
           </div>
@@ -1105,129 +4881,137 @@ export default function NordmarkaForest() {
         {!isSimple && tab === "map" && (
           <div className="grid">
             <section className="card wide">
-              <h2 className="card-title">NIBIO SR16 Forest Resource Map — Nordmarka</h2>
+              <h2 className="card-title">NIBIO SR16 Forest Resource Map — {area.name}</h2>
               <p className="card-desc">
                 Real-time WMS map from NIBIO (Norwegian Institute of Bioeconomy). SR16 combines data from
                 the National Forest Inventory, laser scanning and Sentinel-2 satellite imagery. Resolution: 16×16 m.
               </p>
               <div className="layer-toggles">
-                {[
-                  { id: "volume", label: "Standing volume (m³/ha)", layer: "SRRVOLUB" },
-                  { id: "species", label: "Tree species", layer: "SRRTRESLAG" },
-                  { id: "biomass", label: "Biomass (t/ha)", layer: "SRRBMO" },
-                ].map((l) => (
-                  <button key={l.id} className={`layer-btn ${nibioLayers[l.id] ? "active" : ""}`}
-                    onClick={() => setNibioLayers((p) => ({ ...p, [l.id]: !p[l.id] }))}>
-                    {l.label}
+                {sr16Catalog.layers.map((l) => (
+                  <button key={l.layer} className={`layer-btn ${nibioLayers[l.layer] ? "active" : ""}`} title={l.layer}
+                    onClick={() => setNibioLayers((p) => ({ ...p, [l.layer]: !p[l.layer] }))}>
+                    {l.title}
                   </button>
                 ))}
               </div>
+              <SlippyMap
+                layers={sr16MapLayers(nibioLayers)}
+                bbox={area.bbox}
+                geometry={aoiGeometry}
+                height={520}
+                onMapClick={querySR16Point}
+                markers={queriedPoints.map((p) => ({ id: p.id, lon: p.lon, lat: p.lat, label: p.id }))}
+                onPopupClose={() => setPointQuery(null)}
+                popup={pointQuery && {
+                  lon: pointQuery.lon,
+                  lat: pointQuery.lat,
+                  content: (
+                    <>
+                      <div style={{ fontFamily: "var(--fm)", fontSize: 11, color: "var(--t2)" }}>
+                        {pointQuery.lat.toFixed(5)}, {pointQuery.lon.toFixed(5)}
+                      </div>
+                      {pointQuery.loading ? (
+                        <div style={{ marginTop: 6 }}>Querying SR16… <LoadingDot /></div>
+                      ) : pointQuery.error ? (
+                        <div style={{ marginTop: 6, color: "#c0392b" }}>Query failed: {pointQuery.error}</div>
+                      ) : (
+                        <div className="point-values">
+                          {SR16_QUERY_LAYERS.map((l) => (
+                            <Fragment key={l.layer}>
+                              <span>{l.label}</span>
+                              <span>{formatSR16Value(l.layer, pointQuery.values[l.layer])} {pointQuery.values[l.layer] != null && l.unit}</span>
+                            </Fragment>
+                          ))}
+                        </div>
+                      )}
+                    </>
+                  ),
+                }}
+              />
+              <div className="source-tag">Drag to pan · scroll or double-click to zoom · click to read SR16 values (WMS GetFeatureInfo)</div>
             </section>
 
-            {nibioLayers.volume && (
-              <section className="card wide">
-                <h3 className="card-subtitle">Standing Volume (m³/ha)</h3>
-                <div className="wms-preview large">
-                  <img src={volumeUrl} alt="SR16 Volum" className="wms-img" onError={(e) => { e.target.style.display = "none"; }} />
-                </div>
-                <div className="map-legend">
-                  <div className="legend-title">Legend (m³/ha)</div>
-                  <div className="legend-items">
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#f7fcf5" }} />
-                      <span className="legend-label">0 – 100</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#c7e9c0" }} />
-                      <span className="legend-label">100 – 200</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#74c476" }} />
-                      <span className="legend-label">200 – 300</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#31a354" }} />
-                      <span className="legend-label">300 – 400</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#006d2c" }} />
-                      <span className="legend-label">&gt; 400</span>
+            <section className="card wide">
+              <h2 className="card-title">Queried Points</h2>
+              {queriedPoints.length === 0 ? (
+                <div className="empty">Click the map to read volume, biomass, species, height and site index at a point</div>
+              ) : (
+                <>
+                  <div className="scene-table">
+                    <div className="point-table-header">
+                      <span>#</span><span>Lat, lon</span>
+                      {SR16_QUERY_LAYERS.map((l) => <span key={l.layer}>{l.label}{l.unit && ` (${l.unit})`}</span>)}
                     </div>
+                    {queriedPoints.map((p) => (
+                      <div key={p.id} className="point-table-row">
+                        <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{p.id}</span>
+                        <span style={{ fontFamily: "var(--fm)", fontSize: 11 }}>{p.lat.toFixed(5)}, {p.lon.toFixed(5)}</span>
+                        {SR16_QUERY_LAYERS.map((l) => (
+                          <span key={l.layer} style={{ fontFamily: "var(--fm)" }}>{formatSR16Value(l.layer, p.values[l.layer])}</span>
+                        ))}
+                      </div>
+                    ))}
                   </div>
-                </div>
-                <div className="source-tag">WMS Layer: SRRVOLUB · BBOX: {NORDMARKA.bbox.join(", ")}</div>
-              </section>
-            )}
-
-            {nibioLayers.species && (
-              <section className="card wide">
-                <h3 className="card-subtitle">Tree Species</h3>
-                <div className="wms-preview large">
-                  <img src={speciesUrl} alt="SR16 Tree Species" className="wms-img" onError={(e) => { e.target.style.display = "none"; }} />
-                </div>
-                <div className="map-legend">
-                  <div className="legend-title">Legend</div>
-                  <div className="legend-items">
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#7FFF00" }} />
-                      <span className="legend-label">Spruce</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#C4A77D" }} />
-                      <span className="legend-label">Pine</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#F0E68C" }} />
-                      <span className="legend-label">Broadleaf</span>
-                    </div>
+                  <div className="raster-controls" style={{ marginTop: 12 }}>
+                    <button className="area-btn" onClick={exportQueriedPoints}>Export CSV</button>
+                    <button className="area-btn secondary" onClick={() => setQueriedPoints([])}>Clear</button>
                   </div>
-                </div>
-                <div className="source-tag">WMS Layer: SRRTRESLAG · CRS: EPSG:4326</div>
-              </section>
-            )}
+                </>
+              )}
+            </section>
 
-            {nibioLayers.biomass && (
-              <section className="card wide">
-                <h3 className="card-subtitle">Biomass (tons/ha)</h3>
-                <div className="wms-preview large">
-                  <img src={biomassUrl} alt="SR16 Biomass" className="wms-img" onError={(e) => { e.target.style.display = "none"; }} />
-                </div>
-                <div className="map-legend">
-                  <div className="legend-title">Legend (tons/ha)</div>
-                  <div className="legend-items">
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#f7fcf5" }} />
-                      <span className="legend-label">0 – 50</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#ccebc5" }} />
-                      <span className="legend-label">50 – 100</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#a8ddb5" }} />
-                      <span className="legend-label">100 – 150</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#7bccc4" }} />
-                      <span className="legend-label">150 – 200</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#4eb3d3" }} />
-                      <span className="legend-label">200 – 250</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#2b8cbe" }} />
-                      <span className="legend-label">250 – 300</span>
-                    </div>
-                    <div className="legend-item">
-                      <span className="legend-color" style={{ background: "#0868ac" }} />
-                      <span className="legend-label">&gt; 300</span>
-                    </div>
+            <section className="card wide">
+              <h2 className="card-title">Zonal Statistics — {area.name}</h2>
+              <p className="card-desc">
+                SR16 volume, biomass and height rasters read over WCS for the area of interest and masked to its boundary.
+                Means are given per hectare of forest and per hectare of the whole area (non-forest counts as zero).
+              </p>
+              {sr16Stats.loading ? (
+                <div className="empty">Reading SR16 rasters… <LoadingDot /></div>
+              ) : sr16Stats.error ? (
+                <div className="empty">SR16 WCS unavailable: {sr16Stats.error}. Biomass falls back to the LAI estimate.</div>
+              ) : (
+                <>
+                  <div className="stats-grid">
+                    <StatBlock label="Forest area" value={(sr16Stats.data.volume.forestHa / 100).toFixed(1)} unit="km²" sub={`${((sr16Stats.data.volume.forestHa / sr16Stats.data.volume.aoiHa) * 100).toFixed(0)}% of ${(sr16Stats.data.volume.aoiHa / 100).toFixed(1)} km²`} />
+                    <StatBlock label="Total volume" value={(sr16Stats.data.volume.total / 1e6).toFixed(2)} unit="mill. m³" accent="var(--green)" />
+                    <StatBlock label="Mean volume" value={sr16Stats.data.volume.meanForest?.toFixed(0) ?? "—"} unit="m³/ha" sub={`Median ${sr16Stats.data.volume.median?.toFixed(0) ?? "—"} · P10–P90 ${sr16Stats.data.volume.p10?.toFixed(0) ?? "—"}–${sr16Stats.data.volume.p90?.toFixed(0) ?? "—"}`} accent="var(--green)" />
+                    <StatBlock label="Total biomass" value={(sr16Stats.data.biomass.total / 1e6).toFixed(2)} unit="Mt" accent="var(--green)" />
+                    <StatBlock label="Mean biomass" value={sr16Stats.data.biomass.meanForest?.toFixed(0) ?? "—"} unit="t/ha" sub={`${sr16Stats.data.biomass.meanAOI?.toFixed(0) ?? "—"} t/ha over the whole area`} accent="var(--green)" />
+                    <StatBlock label="Mean height" value={sr16Stats.data.height.meanForest?.toFixed(1) ?? "—"} unit="m" sub={`Median ${sr16Stats.data.height.median?.toFixed(0) ?? "—"} · P10–P90 ${sr16Stats.data.height.p10?.toFixed(0) ?? "—"}–${sr16Stats.data.height.p90?.toFixed(0) ?? "—"}`} />
                   </div>
-                </div>
-                <div className="source-tag">WMS Layer: SRRBMO</div>
+                  {[["volume", "Volume distribution (m³/ha)"], ["biomass", "Biomass distribution (t/ha)"], ["height", "Height distribution (m)"]].map(([key, title]) => {
+                    const { histogram } = sr16Stats.data[key];
+                    const max = Math.max(...histogram.map((b) => b.count), 1);
+                    return (
+                      <div key={key} style={{ marginTop: 16 }}>
+                        <h3 className="card-subtitle">{title}</h3>
+                        <div className="bar-chart">
+                          {histogram.map((b, i) => (
+                            <div key={b.from} className="bar-col" title={`${b.from}${i === histogram.length - 1 ? "+" : `–${b.to}`}: ${b.count.toLocaleString()} pixels`}>
+                              <div className="bar" style={{ height: `${(b.count / max) * 100}%`, background: "var(--green)", animationDelay: `${i * 40}ms` }} />
+                              <div className="bar-label">{b.from}{i === histogram.length - 1 ? "+" : ""}</div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                  <div className="source-tag">
+                    WCS GetCoverage · SRRVOLUB, SRRBMO, SRRHOYDEM (species and site index SRRTRESLAG, SRRBONITET for growth) · EPSG:{SR16_STATS_EPSG} · {sr16Stats.data.resolution} m pixels
+                  </div>
+                </>
+              )}
+            </section>
+
+            {sr16Catalog.layers.filter((l) => nibioLayers[l.layer]).map((l) => (
+              <section key={l.layer} className="card">
+                <h3 className="card-subtitle">{l.title}</h3>
+                {l.abstract && <p className="card-desc">{l.abstract}</p>}
+                <SR16Legend entry={l} />
+                <div className="source-tag">WMS Layer: {l.layer} · GetLegendGraphic</div>
               </section>
-            )}
+            ))}
 
             <section className="card">
               <h2 className="card-title">About SR16 Data</h2>
@@ -1245,10 +5029,13 @@ export default function NordmarkaForest() {
             <section className="card">
               <h2 className="card-title">Available WMS Layers</h2>
               <div style={{ fontSize: 12, fontFamily: "var(--fm)", color: "var(--t2)", lineHeight: 2 }}>
-                {["SRRVOLUB – Volume (m³/ha)", "SRRBMO – Biomass (tons/ha)", "SRRTRESLAG – Tree species", "SRRHOYDEM – Lorey's mean height", "SRRBONITET – Site index", "SRRKRONEDEK – Crown cover", "SRRGRFLATE – Basal area"].map((l) => (
-                  <div key={l}>• {l}</div>
+                {sr16Catalog.layers.map((l) => (
+                  <div key={l.layer}>• {l.layer} – {l.title}</div>
                 ))}
               </div>
+              <div className="source-tag">
+                {sr16Catalog.loading ? <>Reading GetCapabilities… <LoadingDot /></> : sr16Catalog.error ? `GetCapabilities failed (${sr16Catalog.error}) — built-in list` : `From GetCapabilities · ${sr16Catalog.layers.length} layers`}
+              </div>
             </section>
           </div>
         )}
@@ -1257,8 +5044,143 @@ export default function NordmarkaForest() {
         {!isSimple && tab === "scenes" && (
           <div className="grid">
             <section className="card wide">
-              <h2 className="card-title">Sentinel-2 L2A Scenes — Nordmarka</h2>
-              <p className="card-desc">Scenes found via Element84 Earth Search STAC API. Bbox: [{NORDMARKA.bbox.join(", ")}]</p>
+              <h2 className="card-title">Scene Search</h2>
+              <p className="card-desc">
+                Date range, maximum cloud cover and season used for the Sentinel-2 and Landsat searches. All matching scenes are
+                fetched page by page (up to {STAC_MAX_ITEMS} per sensor); the LAI series and the tabs below update with the result.
+                NDVI is read from pixels for up to {PIXEL_NDVI_MAX_SCENES} Sentinel-2 scenes spread over the range (clearest per month
+                first); the others use the tile-wide STAC statistics, marked with *.
+              </p>
+              <SearchSettings key={JSON.stringify(search)} value={search} onChange={setSearch} />
+              <div className="source-tag">
+                {stacData.loading ? <>Searching… <LoadingDot /></> : `${sentinelScenes.length} Sentinel-2 + ${landsatScenes.length} Landsat scenes`} · {describeSearch(search)}
+              </div>
+            </section>
+
+            <section className="card wide">
+              <h2 className="card-title">NDVI Map{sceneRaster.data ? ` — ${sceneRaster.data.date}` : ""}</h2>
+              <p className="card-desc">
+                Per-pixel NDVI from the red/NIR COGs of the selected scene — click a scene below to switch.
+                Pixels outside the area or masked by SCL (cloud, shadow, snow, water) are transparent.
+              </p>
+              <div className="raster-controls">
+                <label><input type="checkbox" checked={rasterView.showNDVI} onChange={(e) => setRasterView((v) => ({ ...v, showNDVI: e.target.checked }))} /> NDVI layer</label>
+                <label>
+                  Compare with SR16{" "}
+                  <select className="area-select" value={rasterView.sr16} onChange={(e) => setRasterView((v) => ({ ...v, sr16: e.target.value }))}>
+                    <option value="none">None</option>
+                    {Object.entries(SR16_COMPARE_LAYERS).map(([layer, label]) => <option key={layer} value={layer}>{label}</option>)}
+                  </select>
+                </label>
+              </div>
+              {sceneRaster.loading ? (
+                <div className="empty">Reading red/NIR COG pixels… <LoadingDot /></div>
+              ) : sceneRaster.error ? (
+                <div className="empty">Could not render NDVI: {sceneRaster.error}</div>
+              ) : sceneRaster.data ? (
+                <SlippyMap
+                  layers={rasterView.sr16 !== "none" ? [{ id: rasterView.sr16, layer: rasterView.sr16, label: SR16_COMPARE_LAYERS[rasterView.sr16] }] : []}
+                  rasters={rasterView.showNDVI ? [{ id: "ndvi", label: "NDVI", ramp: NDVI_RAMP, ...sceneRaster.data }] : []}
+                  bbox={area.bbox}
+                  geometry={aoiGeometry}
+                />
+              ) : (
+                <div className="empty">{stacData.loading ? "Searching STAC…" : "Select a scene to render NDVI"}</div>
+              )}
+              <RampLegend ramp={NDVI_RAMP} title="NDVI" />
+              {sceneRaster.data && (
+                <div className="source-tag">
+                  Scene: {sceneRaster.data.sceneId} · CRS: EPSG:{sceneRaster.data.epsg} · Pixel: {Math.abs(sceneRaster.data.resolution[0]).toFixed(0)} m
+                  · {sceneRaster.data.maskStats.valid.toLocaleString()} of {sceneRaster.data.maskStats.aoiPixels.toLocaleString()} pixels valid
+                  {sceneRaster.data.maskStats.invalid > 0 && ` (${sceneRaster.data.maskStats.invalid.toLocaleString()} dropped for fill or invalid reflectance)`}
+                </div>
+              )}
+            </section>
+
+            <section className="card wide">
+              <h2 className="card-title">Change Detection (dNDVI)</h2>
+              <p className="card-desc">
+                Per-pixel NDVI difference between two scenes (after − before). Pixels that drop below the threshold are
+                grouped into patches — typical causes are clear-cuts, windthrow and bark-beetle dieback. Clouds, shadows, snow
+                and water are masked with SCL in both scenes.
+              </p>
+              <div className="raster-controls">
+                <label>
+                  Before{" "}
+                  <select className="area-select" value={changeBefore?.id ?? ""} onChange={(e) => setChangePair((p) => ({ ...p, before: e.target.value }))}>
+                    {sentinelScenes.map((s) => <option key={s.id} value={s.id}>{s.properties.datetime?.slice(0, 10)} · {s.properties["eo:cloud_cover"]?.toFixed(0)}% cloud</option>)}
+                  </select>
+                </label>
+                <label>
+                  After{" "}
+                  <select className="area-select" value={changeAfter?.id ?? ""} onChange={(e) => setChangePair((p) => ({ ...p, after: e.target.value }))}>
+                    {sentinelScenes.map((s) => <option key={s.id} value={s.id}>{s.properties.datetime?.slice(0, 10)} · {s.properties["eo:cloud_cover"]?.toFixed(0)}% cloud</option>)}
+                  </select>
+                </label>
+                <button className="area-btn" disabled={!changeBefore || !changeAfter || changeBefore.id === changeAfter.id || changeData.loading} onClick={runChangeDetection}>
+                  Compare
+                </button>
+              </div>
+              <div className="raster-controls">
+                <label>
+                  Threshold {changeSettings.threshold.toFixed(2)}{" "}
+                  <input type="range" min="-0.6" max="-0.05" step="0.01" value={changeSettings.threshold} onChange={(e) => setChangeSettings((c) => ({ ...c, threshold: +e.target.value }))} />
+                </label>
+                <label>
+                  Min. patch {changeSettings.minPatchPixels} px{" "}
+                  <input type="range" min="1" max="20" step="1" value={changeSettings.minPatchPixels} onChange={(e) => setChangeSettings((c) => ({ ...c, minPatchPixels: +e.target.value }))} />
+                </label>
+              </div>
+              {changeData.loading ? (
+                <div className="empty">Reading both scenes… <LoadingDot /></div>
+              ) : changeData.error ? (
+                <div className="empty">Change detection failed: {changeData.error}</div>
+              ) : changeData.data ? (
+                <>
+                  <SlippyMap
+                    rasters={[{
+                      id: "dndvi", label: "dNDVI", ramp: DNDVI_RAMP, opacity: 1, values: changeData.data.dndvi,
+                      width: changeData.data.width, height: changeData.data.height, extent: changeData.data.extent, epsg: changeData.data.epsg,
+                    }]}
+                    bbox={area.bbox}
+                    geometry={aoiGeometry}
+                    markers={changePatches.slice(0, 30).map((p) => ({
+                      id: p.id, lon: p.centroid[0], lat: p.centroid[1], label: p.id, color: p.severity === "severe" ? "#c0392b" : "#e07a5f",
+                    }))}
+                  />
+                  <RampLegend ramp={DNDVI_RAMP} title={`dNDVI ${changeData.data.beforeDate} → ${changeData.data.afterDate}`} format={(v) => (v > 0 ? "+" : "") + v.toFixed(1)} />
+                  <div className="stats-grid" style={{ marginTop: 12 }}>
+                    <StatBlock label="Patches" value={changePatches.length} sub={`dNDVI < ${changeSettings.threshold.toFixed(2)}`} accent="#c0392b" small />
+                    <StatBlock label="Changed area" value={changePatches.reduce((s, p) => s + p.areaHa, 0).toFixed(1)} unit="ha" accent="#c0392b" small />
+                    <StatBlock label="Pixel size" value={Math.abs(changeData.data.resolution[0]).toFixed(0)} unit="m" sub={`${changeData.data.validPixels.toLocaleString()} valid pixels`} small />
+                  </div>
+                  {changePatches.length > 0 && (
+                    <div className="scene-table" style={{ marginTop: 12 }}>
+                      <div className="patch-table-header">
+                        <span>#</span><span>Area</span><span>Mean dNDVI</span><span>Min dNDVI</span><span>Centroid (lat, lon)</span><span>Severity</span>
+                      </div>
+                      {changePatches.slice(0, 30).map((p) => (
+                        <div key={p.id} className="patch-table-row">
+                          <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{p.id}</span>
+                          <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{p.areaHa.toFixed(1)} ha</span>
+                          <span style={{ fontFamily: "var(--fm)", color: "#c0392b" }}>{p.meanDNDVI.toFixed(2)}</span>
+                          <span style={{ fontFamily: "var(--fm)", color: "var(--t2)" }}>{p.minDNDVI.toFixed(2)}</span>
+                          <span style={{ fontFamily: "var(--fm)", fontSize: 11 }}>{p.centroid[1].toFixed(5)}, {p.centroid[0].toFixed(5)}</span>
+                          <span style={{ fontSize: 11, color: p.severity === "severe" ? "#c0392b" : "#e07a5f" }}>{p.severity === "severe" ? "Severe — likely clear-cut" : "Moderate — thinning / damage"}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {changePatches.length > 30 && <div className="source-tag">Showing the 30 largest of {changePatches.length} patches.</div>}
+                </>
+              ) : (
+                <div className="empty">{sentinelScenes.length < 2 ? "Need at least two Sentinel-2 scenes" : "Pick two scenes and press Compare"}</div>
+              )}
+            </section>
+
+            <section className="card wide">
+              <h2 className="card-title">Sentinel-2 L2A Scenes — {area.name}</h2>
+              <p className="card-desc">Scenes found via Element84 Earth Search STAC API. Bbox: [{area.bbox.join(", ")}]</p>
               {sentinelScenes.length > 0 ? (
                 <div className="scene-table">
                   <div className="scene-header">
@@ -1267,11 +5189,11 @@ export default function NordmarkaForest() {
                   {sentinelScenes.map((s, i) => {
                     const thumb = s.assets?.thumbnail?.href;
                     return (
-                      <div key={i} className="scene-row clickable" onClick={() => setSelectedScene(s)}>
+                      <div key={i} className={`scene-row clickable${selectedScene?.id === s.id ? " selected" : ""}`} onClick={() => setSelectedScene(s)}>
                         <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{s.properties.datetime?.slice(0, 10)}</span>
                         <span style={{ fontSize: 10, fontFamily: "var(--fm)", color: "var(--t2)", maxWidth: 160, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{s.id}</span>
                         <span style={{ fontFamily: "var(--fm)" }}>{s.properties["eo:cloud_cover"]?.toFixed(1)}%</span>
-                        <span className="ndvi-badge">{s._ndvi?.toFixed(3) ?? "—"}</span>
+                        <span className="ndvi-badge" title={NDVI_SOURCES[s._ndviSource]?.description}>{s._ndvi?.toFixed(3) ?? "—"}{s._ndviSource && s._ndviSource !== "pixels" ? "*" : ""}</span>
                         <span style={{ fontWeight: 700, color: "var(--green)", fontFamily: "var(--fm)" }}>{s._lai?.toFixed(2) ?? "—"}</span>
                         <span>{thumb ? <img src={thumb} alt="" style={{ width: 60, height: 40, objectFit: "cover", borderRadius: 4 }} /> : "—"}</span>
                       </div>
@@ -1281,7 +5203,7 @@ export default function NordmarkaForest() {
               ) : (
                 <div className="empty">{stacData.loading ? "Searching STAC…" : stacData.error || "No scenes found"} <LoadingDot /></div>
               )}
-              <div className="source-tag">API: {STAC_API}/search · Collection: sentinel-2-l2a · Max cloud: 25%</div>
+              <div className="source-tag">API: {STAC_API}/search · Collection: sentinel-2-l2a · {describeSearch(search)}</div>
             </section>
 
             <section className="card wide">
@@ -1314,11 +5236,267 @@ export default function NordmarkaForest() {
         {!isSimple && tab === "climate" && (
           <div className="grid">
             <section className="card wide">
-              <h2 className="card-title">Climate & Growing Season — Nordmarka</h2>
+              <h2 className="card-title">Climate & Growing Season — {area.name}</h2>
+              <p className="card-desc">
+                Thermal growing season, climate trends and water balance from ERA5 reanalysis ({historySpan[0]}–{historySpan[1]}), with CMIP6 projections (~2050).
+                <br/>Definition: consecutive period with daily mean temperature ≥ {seasonSettings.threshold}°C (≥ {seasonSettings.runLength} consecutive days to start/end).
+              </p>
+            </section>
+
+            {/* Fire weather index */}
+            <section className="card wide">
+              <h2 className="card-title">Fire Weather Index (Canadian FWI)</h2>
+              <p className="card-desc">
+                Daily FWI system (Van Wagner 1987) on noon weather and noon-to-noon rain, spun up on the last {FWI_SPINUP_DAYS} days of
+                Open-Meteo weather and continued on the MET forecast. Danger classes follow EFFIS. Days with snow on the ground are not rated.
+              </p>
+              {fireOutlook?.length > 0 ? (
+                <>
+                  <div className="simple-forecast">
+                    {fireOutlook.map((d) => (
+                      <div key={d.date} className="simple-forecast-slot">
+                        <div className="forecast-slot-time">{new Date(d.date).toLocaleDateString("en-US", { weekday: "short", day: "numeric", month: "short" })}{d.forecast ? " · forecast" : ""}</div>
+                        <div className="forecast-slot-temp" style={{ color: d.level != null ? FWI_CLASSES[d.level].color : "var(--t2)" }}>{d.fwi != null ? d.fwi.toFixed(1) : "—"}</div>
+                        <div className="forecast-slot-time" style={{ marginTop: 4 }}>{d.level != null ? FWI_CLASSES[d.level].en : "Snow cover"}</div>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="bar-chart" style={{ marginTop: 14 }}>
+                    {fireWeather.slice(-21).map((d, i) => {
+                      const max = Math.max(21.3, ...fireWeather.slice(-21).map((x) => x.fwi ?? 0));
+                      return (
+                        <div key={d.date} className="bar-col" title={`${d.date}${d.forecast ? " (forecast)" : ""}\nFWI ${d.fwi?.toFixed(1) ?? "—"}\nFFMC ${d.ffmc?.toFixed(1) ?? "—"} · DMC ${d.dmc?.toFixed(1) ?? "—"} · DC ${d.dc?.toFixed(0) ?? "—"}`}>
+                          <div className={`bar${d.forecast ? " fallback" : ""}`} style={{ height: `${((d.fwi ?? 0) / max) * 100}%`, background: d.level != null ? FWI_CLASSES[d.level].color : "#caf0f8", animationDelay: `${i * 30}ms` }} />
+                          <div className="bar-label">{d.date.slice(8)}</div>
+                          <div className="bar-val">{d.fwi != null ? d.fwi.toFixed(0) : "❄"}</div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div className="scene-table" style={{ marginTop: 14 }}>
+                    <div className="data-table-header fwi-cols">
+                      <span>Date</span><span>Temp</span><span>RH</span><span>Wind</span><span>Rain</span><span>FFMC</span><span>DMC</span><span>DC</span><span>ISI</span><span>BUI</span><span>FWI</span>
+                    </div>
+                    {fireWeather.slice(-10).map((d) => (
+                      <div key={d.date} className="data-table-row fwi-cols" style={d.forecast ? { background: "#fff5f0" } : undefined}>
+                        <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{d.date.slice(5)}</span>
+                        <span style={{ fontFamily: "var(--fm)" }}>{d.temp.toFixed(1)}°</span>
+                        <span style={{ fontFamily: "var(--fm)" }}>{d.rh.toFixed(0)}%</span>
+                        <span style={{ fontFamily: "var(--fm)" }}>{d.wind.toFixed(0)} km/h</span>
+                        <span style={{ fontFamily: "var(--fm)" }}>{d.rain.toFixed(1)} mm</span>
+                        {d.snowCover ? (
+                          <span style={{ gridColumn: "span 6", color: "var(--t2)" }}>Snow cover — codes reset</span>
+                        ) : (
+                          <>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.ffmc.toFixed(1)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.dmc.toFixed(1)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.dc.toFixed(0)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.isi.toFixed(1)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.bui.toFixed(1)}</span>
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 700, color: FWI_CLASSES[d.level].color }}>{d.fwi.toFixed(1)}</span>
+                          </>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="simple-legend">
+                    {FWI_CLASSES.map((c) => (
+                      <span key={c.en} className="legend-item"><span className="legend-dot" style={{ background: c.color }} /> {c.en}</span>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <div className="empty">{fireHistory.error ? `Error loading fire weather: ${fireHistory.error}` : <>Loading weather history… <LoadingDot /></>}</div>
+              )}
+              <div className="source-tag">Sources: Open-Meteo (past {FWI_SPINUP_DAYS} days) · MET Norway forecast · EFFIS danger classes</div>
+            </section>
+
+            {/* Storm and windthrow risk */}
+            <section className="card wide">
+              <h2 className="card-title">Storm & Windthrow Risk</h2>
+              <p className="card-desc">
+                Gusts from the MET forecast graded at {WIND_GUST_LEVELS.join(" / ")} m/s, raised one level each for tall stands
+                (≥ {WIND_TALL_SHARE * 100}% of SR16 forest at ≥ {WIND_TALL_STAND} m), saturated soil (≥ {WIND_WET_SOIL_MM} mm rain over the
+                preceding {WIND_WET_HOURS} h) and wind from outside the prevailing {compassPoint(WIND_PREVAILING[0]).en}–{compassPoint(WIND_PREVAILING[1]).en} sector.
+                Risky steps are merged into time windows.
+              </p>
+              {windSteps.length > 0 ? (() => {
+                const W = 800, H = 220, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const t0 = windSteps[0].time, t1 = windSteps[windSteps.length - 1].time + windSteps[windSteps.length - 1].hours * 3600000;
+                const maxG = Math.max(WIND_GUST_LEVELS[2] + 5, ...windSteps.map((s) => s.gust ?? 0));
+                const xP = (t) => PAD.l + ((t - t0) / (t1 - t0)) * (W - PAD.l - PAD.r);
+                const yP = (v) => H - PAD.b - (v / maxG) * (H - PAD.t - PAD.b);
+                const days = [];
+                for (let t = new Date(osloDate(t0) + "T00:00:00").getTime() + 86400000; t < t1; t += 86400000) days.push(t);
+                const peak = windSteps.reduce((a, b) => ((b.gust ?? -1) > (a.gust ?? -1) ? b : a));
+                const height = sr16Stats.data?.height;
+                const fmt = (t) => new Date(t).toLocaleString("en-GB", { timeZone: "Europe/Oslo", weekday: "short", hour: "2-digit", minute: "2-digit" });
+                return (
+                  <>
+                    <div className="stats-grid">
+                      <StatBlock label="Peak gust" value={peak.gust?.toFixed(1) ?? "—"} unit="m/s" sub={`${fmt(peak.time)}${peak.direction != null ? ` from ${compassPoint(peak.direction).en}` : ""}${peak.gustEstimated ? " · estimated" : ""}`} accent={WIND_LEVELS[peak.level].color} />
+                      <StatBlock label={`Stands ≥ ${WIND_TALL_STAND} m`} value={tallShare != null ? (tallShare * 100).toFixed(0) : "—"} unit="%" sub={height?.meanForest != null ? `Mean height ${height.meanForest.toFixed(1)} m · P90 ${height.p90?.toFixed(0)} m` : sr16Stats.loading ? "Reading SR16…" : "SR16 height unavailable"} />
+                      <StatBlock label={`Rain last ${WIND_WET_HOURS} h`} value={windSteps[0].rain72h.toFixed(1)} unit="mm" sub={windSteps[0].rain72h >= WIND_WET_SOIL_MM ? "Soil saturated" : `Saturated from ${WIND_WET_SOIL_MM} mm`} />
+                      <StatBlock label="Risk windows" value={windWindows.length} sub={windWindows.length ? `Worst: ${WIND_LEVELS[Math.max(...windWindows.map((w) => w.level))].en}` : "No gusts ≥ " + WIND_GUST_LEVELS[0] + " m/s"} />
+                    </div>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)", marginTop: 12 }}>
+                      {WIND_GUST_LEVELS.map((g, i) => (
+                        <g key={g}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yP(g)} y2={yP(g)} stroke={WIND_LEVELS[i + 1].color} strokeDasharray="4 3" />
+                          <text x={PAD.l - 8} y={yP(g) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">{g}</text>
+                        </g>
+                      ))}
+                      <line x1={PAD.l} x2={W - PAD.r} y1={yP(0)} y2={yP(0)} stroke="var(--border)" />
+                      {days.map((t) => (
+                        <g key={t}>
+                          <line x1={xP(t)} x2={xP(t)} y1={PAD.t} y2={H - PAD.b} stroke="var(--border)" />
+                          <text x={xP(t) + 4} y={H - 10} fontSize="10" fill="var(--t2)">{new Date(t).toLocaleDateString("en-US", { weekday: "short", day: "numeric" })}</text>
+                        </g>
+                      ))}
+                      {windSteps.filter((s) => s.gust != null).map((s) => (
+                        <rect key={s.time} x={xP(s.time)} y={yP(s.gust)} width={Math.max(1, xP(s.time + s.hours * 3600000) - xP(s.time) - 0.5)} height={yP(0) - yP(s.gust)} fill={WIND_LEVELS[s.level].color} opacity={s.gustEstimated ? 0.5 : 0.9}>
+                          <title>{`${fmt(s.time)}\nGust ${s.gust.toFixed(1)} m/s${s.gustEstimated ? " (estimated)" : ""} · mean ${s.wind?.toFixed(1)} m/s${s.direction != null ? ` from ${compassPoint(s.direction).en}` : ""}\nRain ${WIND_WET_HOURS} h ${s.rain72h.toFixed(1)} mm\n${WIND_LEVELS[s.level].en}`}</title>
+                        </rect>
+                      ))}
+                    </svg>
+                    <div className="simple-legend">
+                      {WIND_LEVELS.map((l) => (
+                        <span key={l.en} className="legend-item"><span className="legend-dot" style={{ background: l.color }} /> {l.en}</span>
+                      ))}
+                    </div>
+                    {windWindows.length > 0 && (
+                      <div className="scene-table" style={{ marginTop: 14 }}>
+                        <div className="data-table-header wind-cols">
+                          <span>From</span><span>To</span><span>Max gust</span><span>Direction</span><span>Level</span><span>Aggravating</span>
+                        </div>
+                        {windWindows.map((w) => (
+                          <div key={w.start} className="data-table-row wind-cols">
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{fmt(w.start)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{fmt(w.end)}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{w.maxGust.toFixed(1)} m/s{w.gustEstimated ? "*" : ""}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{w.direction != null ? `${compassPoint(w.direction).en} (${w.direction.toFixed(0)}°)` : "—"}</span>
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 700, color: WIND_LEVELS[w.level].color }}>{WIND_LEVELS[w.level].en}</span>
+                            <span>{w.factors.map((f) => WIND_FACTORS[f].en).join(", ") || "—"}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                );
+              })() : (
+                <div className="empty">{weather.error ? `Error loading forecast: ${weather.error}` : <>Loading forecast… <LoadingDot /></>}</div>
+              )}
+              <div className="source-tag">Sources: MET Norway forecast (gusts; * = {WIND_GUST_FACTOR} × mean wind beyond the gust horizon) · Open-Meteo rain · NIBIO SR16 height (SRRHOYDEM)</div>
+            </section>
+
+            {/* Soil frost and bearing capacity */}
+            <section className="card wide">
+              <h2 className="card-title">Soil Frost & Bearing Capacity</h2>
+              <p className="card-desc">
+                Frost and thaw fronts from the Stefan equation on daily air temperature, damped by snow, since {FROST_SEASON_START.replace("-", "/")} (ERA5,
+                then Open-Meteo and the MET forecast). Heavy machinery needs ≥ {FROST_BEARING_DEPTH * 100} cm frozen from the surface; a thawed layer
+                ≥ {FROST_THAWED_TOP * 100} cm over frost is spring thaw. Confidence is the agreement between low, central and high soil coefficients.
+              </p>
+              {soilToday ? (() => {
+                const W = 800, H = 240, PAD = { t: 15, r: 20, b: 30, l: 45 };
+                const days = soilFrost;
+                const maxDepth = Math.max(0.3, ...days.map((d) => d.frostRange[1]));
+                const maxSnow = Math.max(0.3, ...days.map((d) => d.snow ?? 0));
+                const mid = PAD.t + (H - PAD.t - PAD.b) * 0.3;
+                const xP = (i) => PAD.l + (i / Math.max(1, days.length - 1)) * (W - PAD.l - PAD.r);
+                const yDepth = (z) => mid + (z / maxDepth) * (H - PAD.b - mid);
+                const ySnow = (s) => mid - (s / maxSnow) * (mid - PAD.t);
+                const firstForecast = days.findIndex((d) => d.forecast);
+                const line = (f) => days.map((d, i) => `${xP(i).toFixed(1)},${f(d).toFixed(1)}`).join(" ");
+                return (
+                  <>
+                    <div className="stats-grid">
+                      <StatBlock label="Ground" value={PASSABILITY[soilToday.passability].en} sub={FROST_STATES[soilToday.state].en} accent={PASSABILITY[soilToday.passability].color} />
+                      <StatBlock label="Frost depth" value={(soilToday.frostDepth * 100).toFixed(0)} unit="cm" sub={`Range ${(soilToday.frostRange[0] * 100).toFixed(0)}–${(soilToday.frostRange[1] * 100).toFixed(0)} cm`} />
+                      <StatBlock label="Thawed top" value={(soilToday.thawDepth * 100).toFixed(0)} unit="cm" />
+                      <StatBlock label="Snow depth" value={soilToday.snow != null ? (soilToday.snow * 100).toFixed(0) : "—"} unit="cm" sub={`Rain 7 days ${soilToday.rain7d.toFixed(0)} mm`} />
+                      <StatBlock label="Confidence" value={CONFIDENCE[soilToday.confidence].en} />
+                    </div>
+                    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", fontFamily: "var(--fm)", marginTop: 12 }}>
+                      {firstForecast >= 0 && <rect x={xP(firstForecast)} y={PAD.t} width={W - PAD.r - xP(firstForecast)} height={H - PAD.t - PAD.b} fill="#fff5f0" />}
+                      {[0, 0.5, 1].map((f) => (
+                        <g key={f}>
+                          <line x1={PAD.l} x2={W - PAD.r} y1={yDepth(maxDepth * f)} y2={yDepth(maxDepth * f)} stroke="var(--border)" />
+                          <text x={PAD.l - 8} y={yDepth(maxDepth * f) + 4} textAnchor="end" fontSize="10" fill="var(--t2)">{(maxDepth * f * 100).toFixed(0)}</text>
+                        </g>
+                      ))}
+                      <text x={PAD.l - 8} y={PAD.t + 8} textAnchor="end" fontSize="10" fill="#457b9d">snow</text>
+                      <line x1={PAD.l} x2={W - PAD.r} y1={yDepth(FROST_BEARING_DEPTH)} y2={yDepth(FROST_BEARING_DEPTH)} stroke={PASSABILITY.good.color} strokeDasharray="4 3" />
+                      {days.map((d, i) => d.snow > 0 && (
+                        <line key={d.date} x1={xP(i)} x2={xP(i)} y1={mid} y2={ySnow(d.snow)} stroke="#a8dadc" strokeWidth={Math.max(1, (W - PAD.l - PAD.r) / days.length)} />
+                      ))}
+                      <polygon points={`${line((d) => yDepth(d.frostRange[1]))} ${days.map((d, i) => `${xP(i).toFixed(1)},${yDepth(d.frostRange[0]).toFixed(1)}`).reverse().join(" ")}`} fill="#457b9d" opacity="0.15" />
+                      <polyline points={line((d) => yDepth(d.frostDepth))} fill="none" stroke="#457b9d" strokeWidth="2" />
+                      <polyline points={line((d) => yDepth(d.thawDepth))} fill="none" stroke="#e07a5f" strokeWidth="1.5" />
+                      {days.map((d, i) => (
+                        <rect key={d.date} x={xP(i) - 1} y={mid - 3} width={Math.max(2, (W - PAD.l - PAD.r) / days.length)} height="6" fill={PASSABILITY[d.passability].color}>
+                          <title>{`${d.date}${d.forecast ? " (forecast)" : ""}\n${FROST_STATES[d.state].en} · ${PASSABILITY[d.passability].en}\nFrost ${(d.frostDepth * 100).toFixed(0)} cm · thawed ${(d.thawDepth * 100).toFixed(0)} cm\nConfidence ${CONFIDENCE[d.confidence].en}`}</title>
+                        </rect>
+                      ))}
+                      {days.map((d, i) => d.date.slice(8) === "01" && (
+                        <text key={d.date} x={xP(i)} y={H - 10} textAnchor="middle" fontSize="10" fill="var(--t2)">{new Date(d.date).toLocaleDateString("en-US", { month: "short" })}</text>
+                      ))}
+                    </svg>
+                    <div className="simple-legend">
+                      <span className="legend-item"><span className="legend-dot" style={{ background: "#457b9d" }} /> Frost depth (cm, band = coefficient range)</span>
+                      <span className="legend-item"><span className="legend-dot" style={{ background: "#e07a5f" }} /> Thawed top</span>
+                      <span className="legend-item"><span className="legend-dot" style={{ background: "#a8dadc" }} /> Snow depth</span>
+                      {Object.values(PASSABILITY).map((p) => (
+                        <span key={p.en} className="legend-item"><span className="legend-dot" style={{ background: p.color }} /> {p.en}</span>
+                      ))}
+                    </div>
+                  </>
+                );
+              })() : (
+                <div className="empty">{soilFrostHistory.error ? `Error loading soil frost weather: ${soilFrostHistory.error}` : <>Loading season weather… <LoadingDot /></>}</div>
+              )}
+              <div className="source-tag">Sources: Open-Meteo ERA5 archive and recent weather · MET Norway forecast · modelled, not measured</div>
+            </section>
+
+            {/* Spruce bark beetle risk */}
+            <section className="card wide">
+              <h2 className="card-title">Spruce Bark Beetle Risk (Ips typographus)</h2>
               <p className="card-desc">
-                Thermal growing season analysis using ERA5 reanalysis (2015–2025) and CMIP6 projections (~2050).
-                <br/>Definition: consecutive period with daily mean temperature ≥ 5°C (≥ 5 consecutive days to start/end).
+                Swarming begins on the first day ≥ {BEETLE_SWARM_TMAX} °C after {BEETLE_ONSET_DD} degree days above 5 °C since 1 April;
+                a brood needs {BEETLE_BROOD_DD} degree days above {BEETLE_BROOD_BASE} °C. ERA5 this year, continued with the MET forecast,
+                plus canopy drought from NDMI against the same time of year.
               </p>
+              {beetleRisk ? (
+                <>
+                  <div className="risk-alert" style={{ borderLeftColor: beetleRisk.color, marginBottom: 14 }}>
+                    <div className="risk-label" style={{ color: beetleRisk.color }}>{beetleRisk.en} risk — {beetleRisk.date}</div>
+                    <div className="risk-desc">
+                      {beetleRisk.reasons.map((r, i) => <div key={i}>{r.en}</div>)}
+                    </div>
+                  </div>
+                  <div className="stats-grid">
+                    <StatBlock label="Degree days >5 °C" value={beetleRisk.now.dd5.toFixed(0)} unit="°C·d" sub={`Since 1 Apr, ERA5 to ${beetleRisk.lastObserved ?? "—"}`} small />
+                    <StatBlock label="Swarming onset" value={beetleRisk.now.onsetDate?.slice(5) ?? beetleRisk.projected.onsetDate?.slice(5) ?? "—"} sub={beetleRisk.now.onsetDate ? "Observed" : beetleRisk.projected.onsetDate ? "Projected from forecast" : "Not reached"} small />
+                    <StatBlock label="Brood development" value={Math.min(100, (beetleRisk.projected.broodDD / BEETLE_BROOD_DD) * 100).toFixed(0)} unit="%" sub={beetleRisk.projected.broodDate ? `Complete ${beetleRisk.projected.broodDate}` : "First generation"} small />
+                    <StatBlock label={`Forecast days ≥ ${BEETLE_SWARM_TMAX} °C`} value={beetleRisk.swarmDays.length} sub={beetleRisk.swarmDays.map((d) => d.slice(5)).join(", ") || "None"} small />
+                    <StatBlock
+                      label="Canopy NDMI"
+                      value={canopyMoisture.data ? canopyMoisture.data.value.toFixed(3) : "—"}
+                      sub={canopyMoisture.loading ? "Reading scenes…" : canopyMoisture.data
+                        ? canopyMoisture.data.anomaly ? `z ${canopyMoisture.data.anomaly.z.toFixed(1)} · ${canopyMoisture.data.date}` : `${canopyMoisture.data.date} · no baseline`
+                        : canopyMoisture.error ?? "No recent in-season scene"}
+                      small
+                    />
+                  </div>
+                  <div style={{ marginTop: 14 }}>
+                    <ProgressBar label={`Onset: ${beetleRisk.projected.dd5.toFixed(0)} / ${BEETLE_ONSET_DD} °C·d`} value={beetleRisk.projected.dd5} max={BEETLE_ONSET_DD} color="#e9c46a" />
+                    <ProgressBar label={`Brood: ${beetleRisk.projected.broodDD.toFixed(0)} / ${BEETLE_BROOD_DD} °C·d`} value={beetleRisk.projected.broodDD} max={BEETLE_BROOD_DD} color="#e07a5f" />
+                  </div>
+                </>
+              ) : (
+                <div className="empty">{seasonWeather.error ? `Error loading ERA5 temperatures: ${seasonWeather.error}` : <>Loading this year's temperatures… <LoadingDot /></>}</div>
+              )}
+              <div className="source-tag">Sources: ECMWF ERA5 via Open-Meteo · MET Norway forecast · Sentinel-2 / Landsat NDMI · Baier et al. 2007, Wermelinger & Seifert 1998</div>
             </section>
 
             {/* Current conditions */}
@@ -1372,10 +5550,64 @@ export default function NordmarkaForest() {
               </>
             )}
 
-            {/* Growing Season Historical Analysis */}
+            {/* Growing season definition and ERA5 span */}
+            <section className="card wide">
+              <h2 className="card-title">Growing Season Definition</h2>
+              <p className="card-desc">
+                The season starts with the first run of {seasonSettings.runLength} days at a daily mean ≥ {seasonSettings.threshold} °C and ends
+                before the last run of {seasonSettings.runLength} days below it. Years with fewer than {seasonSettings.minCoverage} days of data are left out of the seasons and indices.
+                ERA5 goes back to {ERA5_FIRST_YEAR}; longer spans are fetched in {ERA5_CHUNK_YEARS}-year chunks and take a little longer to load.
+              </p>
+              <div className="raster-controls">
+                <label>
+                  ERA5 from{" "}
+                  <select className="area-select" value={spanDraft[0]} onChange={(e) => setSpanDraft(([, to]) => [+e.target.value, Math.max(to, +e.target.value)])}>
+                    {ERA5_YEARS.map((y) => <option key={y} value={y}>{y}</option>)}
+                  </select>
+                </label>
+                <label>
+                  to{" "}
+                  <select className="area-select" value={spanDraft[1]} onChange={(e) => setSpanDraft(([from]) => [Math.min(from, +e.target.value), +e.target.value])}>
+                    {ERA5_YEARS.map((y) => <option key={y} value={y}>{y}</option>)}
+                  </select>
+                </label>
+                <button className="area-btn" disabled={growingSeason.loading || (spanDraft[0] === historySpan[0] && spanDraft[1] === historySpan[1])} onClick={() => setHistorySpan(spanDraft)}>Load</button>
+                <button className="area-btn secondary" onClick={() => { setSpanDraft(HISTORY_DEFAULT_SPAN); setHistorySpan(HISTORY_DEFAULT_SPAN); }}>Default span</button>
+              </div>
+              <div className="raster-controls">
+                <label>
+                  Threshold {seasonSettings.threshold.toFixed(1)} °C{" "}
+                  <input type="range" min="0" max="10" step="0.5" value={seasonSettings.threshold} onChange={(e) => setSeasonSettings((c) => ({ ...c, threshold: +e.target.value }))} />
+                </label>
+                <label>
+                  Run {seasonSettings.runLength} days{" "}
+                  <input type="range" min="1" max="15" step="1" value={seasonSettings.runLength} onChange={(e) => setSeasonSettings((c) => ({ ...c, runLength: +e.target.value }))} />
+                </label>
+                <label>
+                  Min. coverage {seasonSettings.minCoverage} days{" "}
+                  <input type="range" min="30" max="365" step="5" value={seasonSettings.minCoverage} onChange={(e) => setSeasonSettings((c) => ({ ...c, minCoverage: +e.target.value }))} />
+                </label>
+                <button className="area-btn secondary" onClick={() => setSeasonSettings(GROWING_SEASON_DEFAULTS)}>Reset</button>
+                <label>
+                  Projections{" "}
+                  <select className="area-select" value={projectionMode} onChange={(e) => setProjectionMode(e.target.value)}>
+                    <option value="corrected">Bias-corrected (quantile delta mapping)</option>
+                    <option value="raw">Raw model output</option>
+                  </select>
+                </label>
+              </div>
+              {(() => {
+                const skipped = seasonResults.coverage.filter((c) => c.days < seasonSettings.minCoverage);
+                return skipped.length > 0 && (
+                  <div className="source-tag">Left out (ERA5 days of data): {skipped.map((c) => `${c.year} (${c.days})`).join(", ")}</div>
+                );
+              })()}
+              {climateProjections.error && <div className="source-tag">CMIP6 projections unavailable: {climateProjections.error}</div>}
+            </section>
+
             {growingSeason.loading ? (
               <section className="card wide">
-                <div className="empty">Loading growing season data from ERA5 reanalysis… <LoadingDot /></div>
+                <div className="empty">Loading ERA5 reanalysis {historySpan[0]}–{historySpan[1]}… <LoadingDot /></div>
               </section>
             ) : growingSeason.error ? (
               <section className="card wide">
@@ -1384,16 +5616,24 @@ export default function NordmarkaForest() {
             ) : (
               <>
                 {/* Summary + Line Graph + Table */}
-                {growingSeason.historical && growingSeason.historical.length > 0 && (() => {
-                  const hist = growingSeason.historical;
-                  const proj = growingSeason.projected || [];
+                {seasonResults.historical && seasonResults.historical.length > 0 && (() => {
+                  const hist = seasonResults.historical;
+                  const proj = seasonResults.projected || [];
+                  const models = seasonResults.models;
                   const all = [...hist, ...proj];
                   const recent = hist[hist.length - 1];
                   const earliest = hist[0];
                   const histAvg = Math.round(hist.reduce((s, h) => s + h.length, 0) / hist.length);
                   const histAvgGDD = Math.round(hist.reduce((s, h) => s + h.gdd, 0) / hist.length);
-                  const projAvg = proj.length > 0 ? Math.round(proj.reduce((s, p) => s + p.length, 0) / proj.length) : null;
-                  const projAvgGDD = proj.length > 0 ? Math.round(proj.reduce((s, p) => s + p.gdd, 0) / proj.length) : null;
+                  // Projection summary over CMIP6_SUMMARY_PERIOD, bias over the years shared with ERA5
+                  const future = proj.filter((p) => p.year >= CMIP6_SUMMARY_PERIOD[0] && p.year <= CMIP6_SUMMARY_PERIOD[1]);
+                  const projAvg = future.length > 0 ? Math.round(future.reduce((s, p) => s + p.length, 0) / future.length) : null;
+                  const projAvgGDD = future.length > 0 ? Math.round(future.reduce((s, p) => s + p.gdd, 0) / future.length) : null;
+                  const projRange = future.length > 0 ? [Math.round(future.reduce((s, p) => s + p.lengthMin, 0) / future.length), Math.round(future.reduce((s, p) => s + p.lengthMax, 0) / future.length)] : null;
+                  const biased = models.filter((m) => m.bias?.length != null);
+                  const biasLength = biased.length ? biased.reduce((s, m) => s + m.bias.length, 0) / biased.length : null;
+                  const biasYears = biased.length ? [Math.min(...biased.flatMap((m) => m.bias.years)), Math.max(...biased.flatMap((m) => m.bias.years))] : null;
+                  const corrected = models.some((m) => m.corrected);
                   const changeDays = projAvg != null ? projAvg - histAvg : null;
                   const changeGDD = projAvgGDD != null ? projAvgGDD - histAvgGDD : null;
 
@@ -1404,7 +5644,7 @@ export default function NordmarkaForest() {
                   const allYears = all.map(d => d.year);
                   const minY = Math.min(...allYears);
                   const maxY = Math.max(...allYears);
-                  const allLengths = all.map(d => d.length);
+                  const allLengths = [...hist.map(d => d.length), ...proj.flatMap(d => [d.lengthMin, d.lengthMax])];
                   const minL = Math.min(...allLengths) - 10;
                   const maxL = Math.max(...allLengths) + 10;
                   const xP = (yr) => pad.left + ((yr - minY) / (maxY - minY || 1)) * gW;
@@ -1419,16 +5659,18 @@ export default function NordmarkaForest() {
                   const intercept2 = yMean2 - slope * xMean;
                   const trendStart = slope * earliest.year + intercept2;
                   const trendEnd = slope * maxY + intercept2;
-                  const projPts = proj.length > 0
-                    ? [{ year: recent.year, length: recent.length }, ...proj].map(d => `${xP(d.year)},${yP(d.length)}`)
-                    : [];
-                  const projLine = projPts.length > 0 ? `M${projPts.join("L")}` : "";
+                  const projLine = proj.length > 0 ? `M${proj.map(d => `${xP(d.year)},${yP(d.length)}`).join("L")}` : "";
+                  const bandPath = proj.length > 0
+                    ? `M${proj.map(d => `${xP(d.year)},${yP(d.lengthMax)}`).join("L")}L${[...proj].reverse().map(d => `${xP(d.year)},${yP(d.lengthMin)}`).join("L")}Z`
+                    : "";
                   const yTicks = [];
                   const yStep = Math.ceil((maxL - minL) / 5 / 10) * 10;
                   for (let v = Math.ceil(minL / yStep) * yStep; v <= maxL; v += yStep) yTicks.push(v);
+                  // Every ERA5 year on short spans, every 5 or 10 years on long ones
+                  const tickStep = maxY - minY > 60 ? 10 : maxY - minY > 30 ? 5 : 1;
                   const xTicks = [];
                   for (let yr = minY; yr <= maxY; yr++) {
-                    if (yr <= recent.year || yr % 5 === 0 || yr === maxY) xTicks.push(yr);
+                    if (yr % (yr <= recent.year ? tickStep : Math.max(tickStep, 5)) === 0 || yr === maxY) xTicks.push(yr);
                   }
 
                   return (
@@ -1439,12 +5681,15 @@ export default function NordmarkaForest() {
                           <StatBlock label="Historical Avg" value={histAvg} unit="days" sub={`${earliest.year}–${recent.year}`} accent="var(--green)" />
                           <StatBlock label="Most Recent" value={recent.length} unit="days" sub={`${recent.year}: ${recent.startDate.slice(5)} → ${recent.endDate.slice(5)}`} accent="var(--green)" />
                           {projAvg != null && (
-                            <StatBlock label="2030–2050 Avg" value={projAvg} unit="days" sub="CMIP6 ensemble mean" accent="#e07a5f" />
+                            <StatBlock label={`${CMIP6_SUMMARY_PERIOD[0]}–${CMIP6_SUMMARY_PERIOD[1]} Avg`} value={projAvg} unit="days" sub={`Median of ${models.length} models · range ${projRange[0]}–${projRange[1]}`} accent="#e07a5f" />
                           )}
                           {changeDays != null && (
-                            <StatBlock label="Projected Change" value={`${changeDays > 0 ? "+" : ""}${changeDays}`} unit="days" sub={`By ~2050 vs ${earliest.year}–${recent.year}`} accent="#e07a5f" />
+                            <StatBlock label="Projected Change" value={`${changeDays > 0 ? "+" : ""}${changeDays}`} unit="days" sub={`By ~2050 vs ${earliest.year}–${recent.year}, ${corrected ? "bias-corrected" : "uncorrected"}`} accent="#e07a5f" />
+                          )}
+                          {biasLength != null && (
+                            <StatBlock label="Model Bias" value={`${biasLength > 0 ? "+" : ""}${biasLength.toFixed(0)}`} unit="days" sub={`Models − ERA5, ${biasYears[0]}–${biasYears[1]}${corrected ? ", after correction" : ""}`} accent="#e07a5f" />
                           )}
-                          <StatBlock label="Historical GDD" value={histAvgGDD} unit="°C·d" sub="Growing Degree Days (base 5°C)" accent="var(--green)" />
+                          <StatBlock label="Historical GDD" value={histAvgGDD} unit="°C·d" sub={`Growing Degree Days (base ${seasonSettings.threshold}°C)`} accent="var(--green)" />
                           {changeGDD != null && (
                             <StatBlock label="GDD Change" value={`${changeGDD > 0 ? "+" : ""}${changeGDD}`} unit="°C·d" sub="Projected vs historical" accent="#e07a5f" />
                           )}
@@ -1455,8 +5700,14 @@ export default function NordmarkaForest() {
                       <section className="card wide">
                         <h2 className="card-title">Growing Season Length — Trend & Projections</h2>
                         <p className="card-desc">
-                          ERA5 reanalysis ({earliest.year}–{recent.year}, green) with linear trend, CMIP6 projections to 2050 (orange dashed).
-                          {changeDays != null && ` The growing season is projected to be ${Math.abs(changeDays)} days ${changeDays > 0 ? "longer" : "shorter"} by mid-century.`}
+                          ERA5 reanalysis ({earliest.year}–{recent.year}, green) with linear trend. CMIP6 HighResMIP models {CMIP6_PERIOD[0]}–{CMIP6_PERIOD[1]}
+                          (orange): ensemble median dashed, min–max band shaded, single models faint. This is one emission pathway
+                          (highres-future, SSP5-8.5 forcing) and stops in {CMIP6_PERIOD[1]}, as far as the Open-Meteo Climate API reaches, so
+                          other scenarios and the later decades of a 60-year-plus rotation are not covered.
+                          {biasLength != null && (corrected
+                            ? ` Daily temperatures are bias-corrected against ERA5 ${biasYears[0]}–${biasYears[1]} by quantile delta mapping before the season is computed; ${Math.abs(biasLength).toFixed(0)} days of model − ERA5 difference remain over those years.`
+                            : ` Raw output: over ${biasYears[0]}–${biasYears[1]} the models average ${Math.abs(biasLength).toFixed(0)} days ${biasLength > 0 ? "longer" : "shorter"} than ERA5, which explains the step between the two records.`)}
+                          {changeDays != null && ` Taken at face value, the growing season is ${Math.abs(changeDays)} days ${changeDays > 0 ? "longer" : "shorter"} by mid-century.`}
                         </p>
                         <div style={{ overflowX: "auto" }}>
                           <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", maxWidth: W, height: "auto", fontFamily: "var(--fm)" }}>
@@ -1467,10 +5718,12 @@ export default function NordmarkaForest() {
                               </g>
                             ))}
                             <text x={14} y={pad.top + gH / 2} textAnchor="middle" fill="var(--t2)" fontSize="11" transform={`rotate(-90, 14, ${pad.top + gH / 2})`}>Days</text>
-                            {proj.length > 0 && (() => {
-                              const g1 = xP(recent.year) + 6, g2 = xP(proj[0].year) - 6;
-                              return g2 > g1 ? <><rect x={g1} y={pad.top} width={g2 - g1} height={gH} fill="var(--bg)" opacity="0.6" /><text x={(g1 + g2) / 2} y={pad.top + gH / 2} textAnchor="middle" fill="var(--t2)" fontSize="10" opacity="0.5">no data</text></> : null;
-                            })()}
+                            {biasYears && (
+                              <>
+                                <rect x={xP(biasYears[0]) - 6} y={pad.top} width={xP(biasYears[1]) - xP(biasYears[0]) + 12} height={gH} fill="var(--bg)" opacity="0.6" />
+                                <text x={xP(biasYears[0])} y={pad.top + 12} fill="#e07a5f" fontSize="10">models {biasLength > 0 ? "+" : ""}{biasLength.toFixed(0)}d vs ERA5</text>
+                              </>
+                            )}
                             <line x1={xP(earliest.year)} y1={yP(trendStart)} x2={xP(maxY)} y2={yP(trendEnd)} stroke="var(--green)" strokeWidth="1.5" strokeDasharray="6,4" opacity="0.35" />
                             <line x1={xP(earliest.year)} y1={yP(histAvg)} x2={xP(recent.year)} y2={yP(histAvg)} stroke="var(--green)" strokeWidth="1" strokeDasharray="3,3" opacity="0.4" />
                             <text x={xP(earliest.year) + 4} y={yP(histAvg) - 6} fill="var(--green)" fontSize="10" opacity="0.6">avg {histAvg}d</text>
@@ -1480,13 +5733,16 @@ export default function NordmarkaForest() {
                             <path d={`${histLine}L${xP(recent.year)},${yP(minL)}L${xP(earliest.year)},${yP(minL)}Z`} fill="var(--green)" opacity="0.08" />
                             <path d={histLine} fill="none" stroke="var(--green)" strokeWidth="2.5" strokeLinejoin="round" />
                             {hist.map((d, i) => (
-                              <g key={i}><circle cx={xP(d.year)} cy={yP(d.length)} r="5" fill="var(--card)" stroke="var(--green)" strokeWidth="2" /><title>{`${d.year}: ${d.length}d (${d.startDate.slice(5)} → ${d.endDate.slice(5)}) GDD:${d.gdd} Mean:${d.meanTemp.toFixed(1)}°C`}</title></g>
+                              <g key={i}><circle cx={xP(d.year)} cy={yP(d.length)} r={tickStep > 1 ? 3 : 5} fill="var(--card)" stroke="var(--green)" strokeWidth="2" /><title>{`${d.year}: ${d.length}d (${d.startDate.slice(5)} → ${d.endDate.slice(5)}) GDD:${d.gdd} Mean:${d.meanTemp.toFixed(1)}°C`}</title></g>
+                            ))}
+                            {bandPath && <path d={bandPath} fill="#e07a5f" opacity="0.12" />}
+                            {models.map((m) => m.seasons.length > 1 && (
+                              <path key={m.id} d={`M${m.seasons.map(d => `${xP(d.year)},${yP(d.length)}`).join("L")}`} fill="none" stroke="#e07a5f" strokeWidth="1" opacity="0.25"><title>{m.label}</title></path>
                             ))}
-                            {proj.length > 0 && <path d={`M${xP(proj[0].year)},${yP(proj[0].length)}${proj.slice(1).map(d => `L${xP(d.year)},${yP(d.length)}`).join("")}L${xP(proj[proj.length-1].year)},${yP(minL)}L${xP(proj[0].year)},${yP(minL)}Z`} fill="#e07a5f" opacity="0.06" />}
                             {projLine && (
                               <><path d={projLine} fill="none" stroke="#e07a5f" strokeWidth="2.5" strokeDasharray="8,4" strokeLinejoin="round" />
                               {proj.map((d, i) => (
-                                <g key={`p${i}`}><circle cx={xP(d.year)} cy={yP(d.length)} r="5" fill="var(--card)" stroke="#e07a5f" strokeWidth="2" /><title>{`${d.year}: ${d.length}d (${d.startDate.slice(5)} → ${d.endDate.slice(5)}) GDD:${d.gdd} Mean:${d.meanTemp.toFixed(1)}°C`}</title></g>
+                                <g key={`p${i}`}><circle cx={xP(d.year)} cy={yP(d.length)} r="4" fill="var(--card)" stroke="#e07a5f" strokeWidth="2" /><title>{`${d.year}: median ${d.length}d (${d.lengthMin}–${d.lengthMax}, ${d.models} models) GDD:${d.gdd} (${d.gddMin}–${d.gddMax})`}</title></g>
                               ))}</>
                             )}
                             {xTicks.map(yr => (
@@ -1495,19 +5751,157 @@ export default function NordmarkaForest() {
                             <g transform={`translate(${pad.left + 10}, ${H - 14})`}>
                               <line x1="0" y1="0" x2="18" y2="0" stroke="var(--green)" strokeWidth="2.5" />
                               <text x="22" y="4" fill="var(--t2)" fontSize="10">ERA5 Reanalysis</text>
-                              {proj.length > 0 && (<><line x1="140" y1="0" x2="158" y2="0" stroke="#e07a5f" strokeWidth="2.5" strokeDasharray="6,3" /><text x="162" y="4" fill="var(--t2)" fontSize="10">CMIP6 Projection</text><line x1="290" y1="0" x2="308" y2="0" stroke="var(--green)" strokeWidth="1.5" strokeDasharray="6,4" opacity="0.4" /><text x="312" y="4" fill="var(--t2)" fontSize="10">Linear trend</text></>)}
+                              {proj.length > 0 && (<><line x1="140" y1="0" x2="158" y2="0" stroke="#e07a5f" strokeWidth="2.5" strokeDasharray="6,3" /><text x="162" y="4" fill="var(--t2)" fontSize="10">CMIP6 median + range</text><line x1="290" y1="0" x2="308" y2="0" stroke="var(--green)" strokeWidth="1.5" strokeDasharray="6,4" opacity="0.4" /><text x="312" y="4" fill="var(--t2)" fontSize="10">Linear trend</text></>)}
                             </g>
                           </svg>
                         </div>
-                        <div className="source-tag">Sources: ECMWF ERA5 via Open-Meteo (historical) · CMIP6 HighResMIP ensemble (projected to 2050)</div>
+                        <div className="source-tag">Sources: ECMWF ERA5 via Open-Meteo (historical) · CMIP6 HighResMIP, {models.length} models, highres-future pathway (to 2050)</div>
                       </section>
 
+                      {/* Water balance and SPEI */}
+                      {waterBalance && waterBalance.annual.length > 1 && (() => {
+                        const { annual, spei } = waterBalance;
+                        const years = annual.map((a) => a.year);
+                        const perDecade = (key) => {
+                          const s = linearSlope(years, annual.map((a) => a[key]));
+                          return s == null ? "—" : `${s > 0 ? "+" : ""}${(s * 10).toFixed(key === "temp" ? 2 : 0)}`;
+                        };
+                        const spanYears = historySpan[1] - historySpan[0] + 1;
+                        const valid = spei.filter((m) => m.spei != null);
+                        const latest = valid[valid.length - 1];
+                        const latestClass = latest ? speiClass(latest.spei) : null;
+                        const dryMonths = valid.filter((m) => m.spei <= -1).length;
+
+                        // Annual balance bars and monthly SPEI bars share the year axis
+                        const BW = 900, BH = 180, bpad = { top: 16, right: 20, bottom: 28, left: 55 };
+                        const bgW = BW - bpad.left - bpad.right, bgH = BH - bpad.top - bpad.bottom;
+                        const y0 = historySpan[0], y1 = historySpan[1] + 1;
+                        const bx = (yr) => bpad.left + ((yr - y0) / (y1 - y0)) * bgW;
+                        const maxBal = Math.max(...annual.map((a) => Math.abs(a.balance)), 1);
+                        const by = (v) => bpad.top + bgH / 2 - (v / maxBal) * (bgH / 2);
+                        const sy = (v) => bpad.top + bgH / 2 - (Math.max(-3, Math.min(3, v)) / 3) * (bgH / 2);
+                        const monthX = (m) => bx(+m.slice(0, 4) + (+m.slice(5, 7) - 1) / 12);
+                        const barW = Math.max(1, bgW / (y1 - y0) - 2);
+                        const monthW = Math.max(0.5, bgW / ((y1 - y0) * 12));
+                        const step = spanYears > 60 ? 10 : spanYears > 30 ? 5 : spanYears > 12 ? 2 : 1;
+                        const yearTicks = years.length ? Array.from({ length: y1 - y0 }, (_, i) => y0 + i).filter((y) => y % step === 0) : [];
+                        const axis = (
+                          <>
+                            <line x1={bpad.left} y1={bpad.top + bgH / 2} x2={BW - bpad.right} y2={bpad.top + bgH / 2} stroke="var(--border)" strokeWidth="1" />
+                            {yearTicks.map((y) => (
+                              <text key={y} x={bx(y + 0.5)} y={BH - 8} textAnchor="middle" fill="var(--t2)" fontSize="11">{y}</text>
+                            ))}
+                          </>
+                        );
+                        return (
+                          <section className="card wide">
+                            <h2 className="card-title">Water Balance & Drought (SPEI)</h2>
+                            <p className="card-desc">
+                              Climatic water balance is precipitation minus FAO-56 reference evapotranspiration (ET0) from ERA5, {historySpan[0]}–{historySpan[1]}.
+                              The SPEI (Standardised Precipitation-Evapotranspiration Index) ranks each {speiScale}-month balance against the same months in the loaded span:
+                              0 is normal, below −1 is drier than about one year in six, below −2 one year in forty.
+                            </p>
+                            {spanYears < SPEI_MIN_YEARS && (
+                              <div className="risk-alert" style={{ borderLeftColor: "#e07a5f", marginBottom: 14 }}>
+                                <div className="risk-label" style={{ color: "#e07a5f" }}>Short calibration period</div>
+                                <div className="risk-desc">Only {spanYears} years loaded. The SPEI is calibrated on the loaded span, so fewer than {SPEI_MIN_YEARS} years gives an unstable index; load a longer span above.</div>
+                              </div>
+                            )}
+                            <div className="stats-grid">
+                              <StatBlock label="Temperature Trend" value={perDecade("temp")} unit="°C/decade" sub={`Annual mean, ${years[0]}–${years[years.length - 1]}`} accent="#e07a5f" />
+                              <StatBlock label="Precipitation Trend" value={perDecade("precip")} unit="mm/decade" sub={`Mean ${Math.round(annual.reduce((s, a) => s + a.precip, 0) / annual.length)} mm/yr`} accent="#457b9d" />
+                              <StatBlock label="ET0 Trend" value={perDecade("et0")} unit="mm/decade" sub={`Mean ${Math.round(annual.reduce((s, a) => s + a.et0, 0) / annual.length)} mm/yr`} accent="#e9c46a" />
+                              <StatBlock label="Balance Trend" value={perDecade("balance")} unit="mm/decade" sub={`Mean ${Math.round(annual.reduce((s, a) => s + a.balance, 0) / annual.length)} mm/yr`} accent="var(--green)" />
+                              {latest && (
+                                <StatBlock label={`SPEI-${speiScale} ${latest.month}`} value={latest.spei.toFixed(2)} sub={latestClass.en} accent={latestClass.color} />
+                              )}
+                              <StatBlock label="Dry Months" value={dryMonths} sub={`SPEI-${speiScale} ≤ −1 of ${valid.length}`} accent="#c0392b" />
+                            </div>
+                            <div className="raster-controls">
+                              <label>
+                                SPEI scale{" "}
+                                <select className="area-select" value={speiScale} onChange={(e) => setSpeiScale(+e.target.value)}>
+                                  {SPEI_SCALES.map((m) => <option key={m} value={m}>{m} month{m > 1 ? "s" : ""}</option>)}
+                                </select>
+                              </label>
+                            </div>
+                            <div style={{ overflowX: "auto" }}>
+                              <svg viewBox={`0 0 ${BW} ${BH}`} style={{ width: "100%", maxWidth: BW, height: "auto", fontFamily: "var(--fm)" }}>
+                                <text x={14} y={bpad.top + bgH / 2} textAnchor="middle" fill="var(--t2)" fontSize="11" transform={`rotate(-90, 14, ${bpad.top + bgH / 2})`}>P − ET0 (mm)</text>
+                                <text x={bpad.left - 8} y={by(maxBal) + 4} textAnchor="end" fill="var(--t2)" fontSize="11">{Math.round(maxBal)}</text>
+                                <text x={bpad.left - 8} y={by(-maxBal) + 4} textAnchor="end" fill="var(--t2)" fontSize="11">−{Math.round(maxBal)}</text>
+                                {axis}
+                                {annual.map((a) => (
+                                  <rect key={a.year} x={bx(a.year) + 1} width={barW} y={Math.min(by(a.balance), by(0))} height={Math.abs(by(a.balance) - by(0))} fill={a.balance < 0 ? "#e07a5f" : "#457b9d"} opacity="0.8">
+                                    <title>{`${a.year}: P ${Math.round(a.precip)} mm − ET0 ${Math.round(a.et0)} mm = ${Math.round(a.balance)} mm, mean ${a.temp.toFixed(1)} °C`}</title>
+                                  </rect>
+                                ))}
+                              </svg>
+                              <svg viewBox={`0 0 ${BW} ${BH}`} style={{ width: "100%", maxWidth: BW, height: "auto", fontFamily: "var(--fm)" }}>
+                                <text x={14} y={bpad.top + bgH / 2} textAnchor="middle" fill="var(--t2)" fontSize="11" transform={`rotate(-90, 14, ${bpad.top + bgH / 2})`}>SPEI-{speiScale}</text>
+                                {[-2, -1, 1, 2].map((v) => (
+                                  <g key={v}>
+                                    <line x1={bpad.left} y1={sy(v)} x2={BW - bpad.right} y2={sy(v)} stroke="var(--border)" strokeWidth="1" strokeDasharray={Math.abs(v) === 2 ? "2,3" : "5,3"} />
+                                    <text x={bpad.left - 8} y={sy(v) + 4} textAnchor="end" fill="var(--t2)" fontSize="11">{v > 0 ? `+${v}` : `−${-v}`}</text>
+                                  </g>
+                                ))}
+                                {axis}
+                                {valid.map((m) => (
+                                  <rect key={m.month} x={monthX(m.month)} width={monthW} y={Math.min(sy(m.spei), sy(0))} height={Math.abs(sy(m.spei) - sy(0))} fill={speiClass(m.spei).color}>
+                                    <title>{`${m.month}: SPEI-${speiScale} ${m.spei.toFixed(2)} (${speiClass(m.spei).en}), ${speiScale}-month balance ${Math.round(m.balance)} mm`}</title>
+                                  </rect>
+                                ))}
+                              </svg>
+                            </div>
+                            <div className="simple-legend">
+                              {SPEI_CLASSES.map((c) => (
+                                <span key={c.en} className="legend-item"><span className="legend-dot" style={{ background: c.color }} /> {c.en}</span>
+                              ))}
+                            </div>
+                            <div className="source-tag">Source: ECMWF ERA5 via Open-Meteo (precipitation_sum, et0_fao_evapotranspiration) · SPEI after Vicente-Serrano et al. (2010), generalised logistic fit by L-moments</div>
+                          </section>
+                        );
+                      })()}
+
+                      {/* Per-model spread and bias */}
+                      {models.length > 0 && (
+                        <section className="card wide">
+                          <h2 className="card-title">CMIP6 Models — Spread & Bias vs ERA5</h2>
+                          <p className="card-desc">
+                            Each model's mean growing season over {CMIP6_SUMMARY_PERIOD[0]}–{CMIP6_SUMMARY_PERIOD[1]}, and its mean difference from ERA5 over the years both
+                            cover, {corrected ? "after bias correction (switch to raw output above to see each model's own bias)" : "as raw output: a model that runs long or short against ERA5 today does so in the projection too"}.
+                          </p>
+                          <div className="scene-table">
+                            <div className="data-table-header model-cols">
+                              <span>Model</span><span>Length</span><span>GDD</span><span>Δ length</span><span>Δ GDD</span><span>Δ temp</span><span>Overlap</span>
+                            </div>
+                            {models.map((m) => {
+                              const fut = m.seasons.filter((x) => x.year >= CMIP6_SUMMARY_PERIOD[0] && x.year <= CMIP6_SUMMARY_PERIOD[1]);
+                              const avg = (key) => (fut.length ? Math.round(fut.reduce((s, x) => s + x[key], 0) / fut.length) : "—");
+                              const signed = (v, digits = 0) => (v == null ? "—" : `${v > 0 ? "+" : ""}${v.toFixed(digits)}`);
+                              return (
+                                <div key={m.id} className="data-table-row model-cols">
+                                  <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{m.label}{projectionMode === "corrected" && !m.corrected && <span title="No overlap with ERA5 to correct against" style={{ color: "var(--t2)" }}> (raw)</span>}</span>
+                                  <span style={{ fontFamily: "var(--fm)" }}>{avg("length")} days</span>
+                                  <span style={{ fontFamily: "var(--fm)" }}>{avg("gdd")}</span>
+                                  <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{signed(m.bias?.length)} d</span>
+                                  <span style={{ fontFamily: "var(--fm)" }}>{signed(m.bias?.gdd)}</span>
+                                  <span style={{ fontFamily: "var(--fm)" }}>{signed(m.bias?.temp, 1)}°C</span>
+                                  <span style={{ fontSize: 10, color: "var(--t2)" }}>{m.bias?.years.length ? `${m.bias.years.length} yrs` : "—"}</span>
+                                </div>
+                              );
+                            })}
+                          </div>
+                          <div className="source-tag">Δ = model − ERA5 · temperature bias over all shared days</div>
+                        </section>
+                      )}
+
                       {/* Detailed table */}
                       <section className="card wide">
                         <h2 className="card-title">Growing Season Details</h2>
                         <div className="scene-table">
                           <div className="gs-table-header">
-                            <span>Year</span><span>Start</span><span>End</span><span>Length</span><span>GDD (5°C)</span><span>Mean Temp</span><span>Source</span>
+                            <span>Year</span><span>Start</span><span>End</span><span>Length</span><span>GDD ({seasonSettings.threshold}°C)</span><span>Mean Temp</span><span>Source</span>
                           </div>
                           {hist.map((h, i) => (
                             <div key={i} className="gs-table-row">
@@ -1520,36 +5914,148 @@ export default function NordmarkaForest() {
                               <span style={{ fontSize: 10, color: "var(--t2)" }}>ERA5</span>
                             </div>
                           ))}
-                          {proj.map((p, i) => (
+                          {proj.filter((p) => p.year > recent.year).map((p, i) => (
                             <div key={`p${i}`} className="gs-table-row" style={{ background: "#fff5f0" }}>
                               <span style={{ fontFamily: "var(--fm)", fontWeight: 600, color: "#e07a5f" }}>{p.year}</span>
                               <span style={{ fontFamily: "var(--fm)", color: "var(--green)" }}>{p.startDate.slice(5)}</span>
                               <span style={{ fontFamily: "var(--fm)", color: "#c0392b" }}>{p.endDate.slice(5)}</span>
-                              <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{p.length} days</span>
-                              <span style={{ fontFamily: "var(--fm)" }}>{p.gdd}</span>
+                              <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }} title={`Model range ${p.lengthMin}–${p.lengthMax} days`}>{p.length} days</span>
+                              <span style={{ fontFamily: "var(--fm)" }} title={`Model range ${p.gddMin}–${p.gddMax}`}>{p.gdd}</span>
                               <span style={{ fontFamily: "var(--fm)" }}>{p.meanTemp.toFixed(1)}°C</span>
-                              <span style={{ fontSize: 10, color: "#e07a5f" }}>CMIP6</span>
+                              <span style={{ fontSize: 10, color: "#e07a5f" }}>CMIP6 ×{p.models}</span>
                             </div>
                           ))}
                         </div>
                       </section>
+
+                      {/* Green season (NDVI phenology) vs thermal season */}
+                      <section className="card wide">
+                        <h2 className="card-title">Green Season vs Thermal Season</h2>
+                        <p className="card-desc">
+                          Start and end of greenness from the NDVI phenology (LAI tab) against the ≥ {seasonSettings.threshold}°C thermal season.
+                          Δ is green minus thermal in days — positive start means the canopy greens up after the air has warmed.
+                          The composite row compares the pooled NDVI season with the {earliest.year}–{recent.year} thermal average.
+                        </p>
+                        {phenology.composite ? (() => {
+                          const meanDOY = (key) => Math.round(hist.reduce((s, h) => s + h[key], 0) / hist.length);
+                          const rows = [
+                            ...phenology.years.map((p) => ({ p, label: p.year, year: p.year, thermal: hist.find((h) => h.year === p.year) })),
+                            { p: phenology.composite, label: "All", year: 2001, thermal: { startDOY: meanDOY("startDOY"), endDOY: meanDOY("endDOY") } },
+                          ];
+                          const delta = (green, thermal) => {
+                            if (green == null || thermal == null) return "—";
+                            const d = green - thermal;
+                            return `${d > 0 ? "+" : ""}${d}`;
+                          };
+                          return (
+                            <div className="scene-table">
+                              <div className="data-table-header green-thermal-cols">
+                                <span>Year</span><span>Green start</span><span>Thermal start</span><span>Δ start</span><span>Green end</span><span>Thermal end</span><span>Δ end</span>
+                              </div>
+                              {rows.map(({ p, label, year, thermal }) => (
+                                <div key={label} className="data-table-row green-thermal-cols">
+                                  <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{label}</span>
+                                  <span style={{ fontFamily: "var(--fm)", color: "var(--green)" }}>{p.sosDOY ? doyToDate(year, p.sosDOY) : "—"}</span>
+                                  <span style={{ fontFamily: "var(--fm)" }}>{thermal ? doyToDate(year, thermal.startDOY) : "no ERA5"}</span>
+                                  <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{delta(p.sosDOY, thermal?.startDOY)}</span>
+                                  <span style={{ fontFamily: "var(--fm)", color: "#c0392b" }}>{p.eosDOY ? doyToDate(year, p.eosDOY) : "—"}</span>
+                                  <span style={{ fontFamily: "var(--fm)" }}>{thermal ? doyToDate(year, thermal.endDOY) : "no ERA5"}</span>
+                                  <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{delta(p.eosDOY, thermal?.endDOY)}</span>
+                                </div>
+                              ))}
+                            </div>
+                          );
+                        })() : (
+                          <div className="empty">Not enough clear NDVI observations for a phenology curve yet — widen the Scene Search date range on the Satellite tab.</div>
+                        )}
+                        <div className="source-tag">Sources: Sentinel-2 / Landsat NDVI (Earth Search) · ECMWF ERA5 via Open-Meteo</div>
+                      </section>
                     </>
                   );
                 })()}
 
+                {/* Climate indices */}
+                {seasonResults.indices.length > 0 && (() => {
+                  const idx = seasonResults.indices;
+                  const avg = (f) => {
+                    const vals = idx.map(f).filter((v) => v != null);
+                    return vals.length ? vals.reduce((s, v) => s + v, 0) / vals.length : null;
+                  };
+                  const avgDate = (key) => {
+                    const doy = avg((d) => (d[key] ? dayOfYear(d[key]) : null));
+                    return doy != null ? doyToDate(2001, Math.round(doy)) : "—";
+                  };
+                  const maxFrost = Math.max(...idx.map((d) => d.frostDays), 1);
+                  return (
+                    <section className="card wide">
+                      <h2 className="card-title">Climate Indices</h2>
+                      <p className="card-desc">
+                        From the same ERA5 daily series: frost days (T_min &lt; 0°C), the last spring and first autumn frost, heat sums
+                        at {HEAT_SUM_BASES.join(" / ")}°C and frost-thaw cycles (days crossing 0°C), which crack bark and heave seedlings.
+                      </p>
+                      <div className="stats-grid">
+                        <StatBlock label="Frost days" value={avg((d) => d.frostDays).toFixed(0)} unit="/yr" accent="#457b9d" />
+                        <StatBlock label="Last spring frost" value={avgDate("lastSpringFrost")} sub="Mean date" accent="#457b9d" />
+                        <StatBlock label="First autumn frost" value={avgDate("firstAutumnFrost")} sub="Mean date" accent="#457b9d" />
+                        <StatBlock label="Frost-free period" value={avg((d) => d.frostFreeDays)?.toFixed(0) ?? "—"} unit="days" />
+                        {HEAT_SUM_BASES.map((b) => (
+                          <StatBlock key={b} label={`Heat sum > ${b}°C`} value={avg((d) => d.heatSums[b]).toFixed(0)} unit="°C·d" accent="#e07a5f" />
+                        ))}
+                        <StatBlock label="Frost-thaw cycles" value={avg((d) => d.frostThawCycles).toFixed(0)} unit="/yr" />
+                      </div>
+                      <h3 className="card-subtitle" style={{ marginTop: 16 }}>Frost days per year</h3>
+                      <div className="bar-chart">
+                        {idx.map((d, i) => (
+                          <div key={d.year} className="bar-col" title={`${d.year}: ${d.frostDays} frost days, ${d.frostThawCycles} frost-thaw cycles`}>
+                            <div className="bar" style={{ height: `${(d.frostDays / maxFrost) * 100}%`, background: "#457b9d", animationDelay: `${i * 40}ms` }} />
+                            <div className="bar-label">{String(d.year).slice(2)}</div>
+                            <div className="bar-val">{d.frostDays}</div>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="scene-table" style={{ marginTop: 14 }}>
+                        <div className="data-table-header ci-cols">
+                          <span>Year</span><span>Frost days</span><span>Last spring</span><span>First autumn</span><span>Frost-free</span>
+                          {HEAT_SUM_BASES.map((b) => <span key={b}>Heat &gt;{b}°</span>)}
+                          <span>Frost-thaw</span>
+                        </div>
+                        {idx.map((d) => (
+                          <div key={d.year} className="data-table-row ci-cols">
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{d.year}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.frostDays}</span>
+                            <span style={{ fontFamily: "var(--fm)", color: "#457b9d" }}>{d.lastSpringFrost?.slice(5) ?? "—"}</span>
+                            <span style={{ fontFamily: "var(--fm)", color: "#457b9d" }}>{d.firstAutumnFrost?.slice(5) ?? "—"}</span>
+                            <span style={{ fontFamily: "var(--fm)" }}>{d.frostFreeDays ?? "—"}</span>
+                            {HEAT_SUM_BASES.map((b) => <span key={b} style={{ fontFamily: "var(--fm)" }}>{d.heatSums[b]}</span>)}
+                            <span style={{ fontFamily: "var(--fm)", fontWeight: 700 }}>{d.frostThawCycles}</span>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="source-tag">Source: ECMWF ERA5 daily T_min / T_max via Open-Meteo · daily mean = (T_max + T_min) / 2</div>
+                    </section>
+                  );
+                })()}
+
                 {/* Methodology */}
                 <section className="card">
                   <h2 className="card-title">Methodology</h2>
                   <div style={{ fontSize: 13, color: "var(--t2)", lineHeight: 1.7 }}>
                     <strong>Definition:</strong> Thermal/Meteorological Growing Season
-                    <br/><strong>Threshold:</strong> Daily mean temperature ≥ 5°C
-                    <br/><strong>Start criterion:</strong> First day of ≥ 5 consecutive days above threshold
-                    <br/><strong>End criterion:</strong> Last day before ≥ 5 consecutive days below threshold
-                    <br/><strong>GDD:</strong> Growing Degree Days = sum of (daily mean − 5°C) during growing season
+                    <br/><strong>Threshold:</strong> Daily mean temperature ≥ {seasonSettings.threshold}°C
+                    <br/><strong>Start criterion:</strong> First day of ≥ {seasonSettings.runLength} consecutive days above threshold
+                    <br/><strong>End criterion:</strong> Last day before ≥ {seasonSettings.runLength} consecutive days below threshold
+                    <br/><strong>GDD:</strong> Growing Degree Days = sum of (daily mean − {seasonSettings.threshold}°C) during growing season
+                    <br/><strong>Frost day:</strong> T_min &lt; 0°C · <strong>Frost-thaw cycle:</strong> T_min &lt; 0°C and T_max &gt; 0°C
+                    <br/><strong>Heat sums:</strong> yearly sum of (daily mean − base) at {HEAT_SUM_BASES.join(", ")}°C
                     <br/><strong>Daily mean:</strong> (T_max + T_min) / 2
+                    <br/><strong>Water balance:</strong> precipitation − FAO-56 reference evapotranspiration (ET0), per month and year
+                    <br/><strong>SPEI:</strong> {SPEI_SCALES.join("/")}-month balance sums, generalised logistic fit per calendar month over the loaded span, mapped to a standard normal
+                    <br/><strong>Trends:</strong> least-squares slope of yearly values, per decade
+                    <br/><strong>Bias correction:</strong> quantile delta mapping of CMIP6 daily means per calendar month against ERA5 over the shared years (±{QDM_WINDOW_YEARS}-year windows)
                     <div style={{ marginTop: 12, padding: 10, background: "var(--bg)", borderRadius: 6, fontSize: 12 }}>
-                      <strong>Note on 2100 projections:</strong> The Open-Meteo Climate API provides CMIP6 data only to 2050.
-                      For 2100 projections, the Copernicus Climate Data Store (CDS) offers full CMIP6 scenarios (SSP2-4.5, SSP5-8.5).
+                      <strong>Horizon and pathways:</strong> The Open-Meteo Climate API serves the CMIP6 HighResMIP models only to 2050 and only
+                      under one pathway (highres-future, SSP5-8.5 forcing), so emission scenarios can't be compared here.
+                      For 2100 and SSP2-4.5 / SSP5-8.5, the Copernicus Climate Data Store (CDS) offers the full CMIP6 scenarios.
                     </div>
                   </div>
                 </section>
@@ -1558,10 +6064,10 @@ export default function NordmarkaForest() {
                   <h2 className="card-title">Data Sources</h2>
                   <div style={{ fontSize: 12, fontFamily: "var(--fm)", color: "var(--t2)", lineHeight: 2 }}>
                     <div><strong>Historical:</strong> ECMWF ERA5 reanalysis via Open-Meteo</div>
-                    <div><strong>Projections:</strong> CMIP6 HighResMIP (EC-Earth3P-HR, MPI-ESM1-2-XR, MRI-AGCM3-2-S)</div>
+                    <div><strong>Projections:</strong> CMIP6 HighResMIP ({CMIP6_MODELS.map((m) => m.label).join(", ")})</div>
                     <div><strong>Resolution:</strong> ~10 km (ERA5), ~25 km (CMIP6)</div>
-                    <div><strong>Period:</strong> 2015–2025 (historical), 2030–2050 (projected)</div>
-                    <div><strong>Position:</strong> {NORDMARKA.center[0]}°N, {NORDMARKA.center[1]}°E</div>
+                    <div><strong>Period:</strong> {historySpan[0]}–{historySpan[1]} (historical, from {ERA5_FIRST_YEAR} available), {CMIP6_PERIOD[0]}–{CMIP6_PERIOD[1]} (projected, overlapping ERA5 for the bias)</div>
+                    <div><strong>Position:</strong> {area.center[0].toFixed(2)}°N, {area.center[1].toFixed(2)}°E</div>
                     <div><strong>MET Norway:</strong> Locationforecast 2.0 (current weather)</div>
                   </div>
                 </section>
@@ -1580,18 +6086,45 @@ export default function NordmarkaForest() {
         {!isSimple && tab === "diversity" && (
           <div className="grid">
             <section className="card wide">
-              <h2 className="card-title">Spectral Diversity — Nordmarka</h2>
+              <h2 className="card-title">Spectral Diversity — {area.name}</h2>
+              <div className="raster-controls">
+                <label>
+                  Sensor{" "}
+                  <select className="area-select" value={diversitySensor} onChange={(e) => {
+                    setDiversitySensor(e.target.value);
+                    // Landsat has no red edge
+                    if (e.target.value === "landsat" && !indexSupported(SPECTRAL_INDICES[diversityIndex], SENSORS.oli)) setDiversityIndex("ndvi");
+                    setDiversityData({ loading: false, error: null, scenes: [], initialized: false });
+                  }}>
+                    <option value="sentinel">Sentinel-2 (10 m)</option>
+                    <option value="landsat">Landsat (30 m)</option>
+                  </select>
+                </label>
+                <label>
+                  Index{" "}
+                  <select className="area-select" value={diversityIndex} onChange={(e) => {
+                    setDiversityIndex(e.target.value);
+                    setDiversityData({ loading: false, error: null, scenes: [], initialized: false });
+                  }}>
+                    {Object.values(SPECTRAL_INDICES).map((idx) => (
+                      <option key={idx.id} value={idx.id} disabled={diversitySensor === "landsat" && !indexSupported(idx, SENSORS.oli)}>{idx.label} — {idx.name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
               <p className="card-desc">
-                Forest biodiversity estimated from spectral heterogeneity of Sentinel-2 imagery.
+                Forest biodiversity estimated from spectral heterogeneity of {diversitySensor === "landsat" ? "Landsat" : "Sentinel-2"} imagery.
+                Metrics depend on pixel size, so compare scenes from the same sensor.
                 Based on the spectral variation hypothesis: higher spectral heterogeneity indicates
                 greater habitat and species diversity.
                 <br/><br/>
                 <strong>Metrics:</strong>
               </p>
               <div style={{ fontSize: 12, color: "var(--t2)", lineHeight: 1.8, fontFamily: "var(--fm)" }}>
-                <div><strong>CV(NDVI)</strong> — Coefficient of Variation of NDVI (σ/μ). Higher values indicate more heterogeneous vegetation.</div>
+                <div><strong>CV({divIndex.label})</strong> — Coefficient of Variation of {divIndex.label} (σ/μ). Higher values indicate more heterogeneous vegetation.</div>
                 <div><strong>Rao's Q</strong> — Quadratic diversity: ΣΣ d<sub>ij</sub> × p<sub>i</sub> × p<sub>j</sub>. Accounts for distance between spectral classes.</div>
-                <div><strong>Shannon H'</strong> — Shannon entropy: −Σ(p<sub>i</sub> × ln p<sub>i</sub>). Measures evenness of NDVI distribution.</div>
+                <div><strong>Shannon H'</strong> — Shannon entropy: −Σ(p<sub>i</sub> × ln p<sub>i</sub>). Measures evenness of the {divIndex.label} distribution.</div>
+                <div><strong>{divIndex.label}</strong> = {divIndex.formula} — {divIndex.description}.</div>
               </div>
               <div style={{ marginTop: 12, padding: 10, background: "var(--bg)", borderRadius: 6, fontSize: 11, color: "var(--t2)", lineHeight: 1.5 }}>
                 <strong>Reference:</strong> Boreal tree species diversity increases with global warming but is reversed by extremes.
@@ -1603,7 +6136,7 @@ export default function NordmarkaForest() {
             {diversityData.loading && diversityData.scenes.length === 0 && (
               <section className="card wide">
                 <div className="empty">
-                  Reading Sentinel-2 COG overviews for spectral analysis… <LoadingDot />
+                  Reading {diversitySensor === "landsat" ? "Landsat" : "Sentinel-2"} COG overviews for spectral analysis… <LoadingDot />
                   <br/><span style={{ fontSize: 11, marginTop: 8, display: "block" }}>This reads pixel data directly from cloud-optimized GeoTIFFs. First load may take 15–30s.</span>
                 </div>
               </section>
@@ -1628,12 +6161,21 @@ export default function NordmarkaForest() {
             {/* Key metrics */}
             {diversityData.scenes.length > 0 && (() => {
               const scenes = diversityData.scenes;
-              const avgCV = scenes.reduce((s, sc) => s + sc.cvNDVI, 0) / scenes.length;
+              const avgCV = scenes.reduce((s, sc) => s + sc.cv, 0) / scenes.length;
               const avgRao = scenes.reduce((s, sc) => s + sc.raoQ, 0) / scenes.length;
               const avgShannon = scenes.reduce((s, sc) => s + sc.shannonH, 0) / scenes.length;
-              const avgMean = scenes.reduce((s, sc) => s + sc.meanNDVI, 0) / scenes.length;
-              const avgStd = scenes.reduce((s, sc) => s + sc.stdNDVI, 0) / scenes.length;
+              const avgMean = scenes.reduce((s, sc) => s + sc.mean, 0) / scenes.length;
+              const avgStd = scenes.reduce((s, sc) => s + sc.std, 0) / scenes.length;
               const totalPixels = scenes.reduce((s, sc) => s + sc.pixelCount, 0);
+              // Masked pixels per SCL class, summed over all analyzed scenes
+              const aoiPixels = scenes.reduce((s, sc) => s + sc.maskStats.aoiPixels, 0);
+              const maskedByClass = {};
+              for (const sc of scenes) {
+                for (const [cls, n] of Object.entries(sc.maskStats.maskedByClass)) maskedByClass[cls] = (maskedByClass[cls] || 0) + n;
+              }
+              const totalMasked = Object.values(maskedByClass).reduce((s, n) => s + n, 0);
+              const totalInvalid = scenes.reduce((s, sc) => s + sc.maskStats.invalid, 0);
+              const scenesWithoutSCL = scenes.filter(sc => !sc.maskStats.hasSCL).length;
               // Use the scene with most pixels for the histogram
               const bestScene = scenes.reduce((a, b) => a.pixelCount > b.pixelCount ? a : b);
 
@@ -1641,31 +6183,50 @@ export default function NordmarkaForest() {
                 <>
                   <section className="card wide">
                     <h2 className="card-title">Key Diversity Metrics</h2>
-                    <p className="card-desc">Averaged across {scenes.length} analyzed Sentinel-2 scenes.</p>
+                    <p className="card-desc">Averaged across {scenes.length} analyzed {diversitySensor === "landsat" ? "Landsat" : "Sentinel-2"} scenes.</p>
                     <div className="stats-grid">
-                      <StatBlock label="CV(NDVI)" value={avgCV.toFixed(3)} sub="Coefficient of variation" accent="var(--green)" />
+                      <StatBlock label={`CV(${divIndex.label})`} value={avgCV.toFixed(3)} sub="Coefficient of variation" accent="var(--green)" />
                       <StatBlock label="Rao's Q" value={avgRao.toFixed(4)} sub="Quadratic diversity" accent="var(--green)" />
                       <StatBlock label="Shannon H'" value={avgShannon.toFixed(3)} sub="Spectral entropy" accent="var(--green)" />
-                      <StatBlock label="Mean NDVI" value={avgMean.toFixed(3)} sub="Avg vegetation index" accent="var(--green)" />
-                      <StatBlock label="Std NDVI" value={avgStd.toFixed(3)} sub="Spectral spread" accent="var(--green)" />
+                      <StatBlock label={`Mean ${divIndex.label}`} value={avgMean.toFixed(3)} sub={divIndex.name} accent="var(--green)" />
+                      <StatBlock label={`Std ${divIndex.label}`} value={avgStd.toFixed(3)} sub="Spectral spread" accent="var(--green)" />
                       <StatBlock label="Pixels" value={totalPixels.toLocaleString()} sub={`${scenes.length} scenes total`} />
                     </div>
                   </section>
 
-                  {/* NDVI Histogram */}
+                  {/* SCL masking */}
+                  <section className="card">
+                    <h2 className="card-title">Pixel Masking (SCL)</h2>
+                    <p className="card-desc">
+                      {totalMasked.toLocaleString()} of {aoiPixels.toLocaleString()} pixels inside the area ({aoiPixels > 0 ? (totalMasked / aoiPixels * 100).toFixed(1) : 0}%)
+                      were excluded by the Sentinel-2 Scene Classification Layer. Only pixels classed as vegetation are analyzed.
+                      {totalInvalid > 0 && ` A further ${totalInvalid.toLocaleString()} (${(totalInvalid / aoiPixels * 100).toFixed(1)}%) passed the mask but were dropped for fill or reflectance outside 0–1.`}
+                      {scenesWithoutSCL > 0 && ` ${scenesWithoutSCL} scene(s) had no SCL band and are unmasked.`}
+                    </p>
+                    {Object.entries(maskedByClass).sort((a, b) => b[1] - a[1]).map(([cls, n]) => (
+                      <ProgressBar key={cls} label={`${SCL_CLASSES[cls]?.label ?? `Class ${cls}`} — ${n.toLocaleString()} px`} value={n / aoiPixels * 100} color={SCL_CLASSES[cls]?.color === "#e9ecef" ? "#adb5bd" : SCL_CLASSES[cls]?.color} showVal />
+                    ))}
+                    {totalInvalid > 0 && (
+                      <ProgressBar label={`Fill / invalid reflectance — ${totalInvalid.toLocaleString()} px`} value={totalInvalid / aoiPixels * 100} color="#6c757d" showVal />
+                    )}
+                    {totalMasked + totalInvalid === 0 && <div className="empty">No pixels masked.</div>}
+                  </section>
+
+                  {/* Index Histogram */}
                   <section className="card">
-                    <h2 className="card-title">NDVI Pixel Distribution</h2>
+                    <h2 className="card-title">{divIndex.label} Pixel Distribution</h2>
                     <p className="card-desc">Histogram from best scene ({bestScene.date}, {bestScene.pixelCount.toLocaleString()} pixels)</p>
                     <div className="ndvi-histogram">
                       {bestScene.bins.map((bin, i) => {
                         const maxCount = Math.max(...bestScene.bins.map(b => b.count));
                         const pct = maxCount > 0 ? (bin.count / maxCount) * 100 : 0;
-                        const mid = (bin.binStart + bin.binEnd) / 2;
+                        // Position in the index range mapped onto the NDVI scale of the colour gradient
+                        const mid = -0.2 + 1.2 * ((bin.binStart + bin.binEnd) / 2 - divIndex.range[0]) / (divIndex.range[1] - divIndex.range[0]);
                         // Color gradient: brown (low NDVI) → green (high NDVI)
                         const green = mid < 0 ? 60 : Math.min(255, 60 + mid * 200);
                         const red = mid < 0.3 ? 180 - mid * 200 : 40;
                         return (
-                          <div key={i} className="hist-col" title={`NDVI ${bin.binStart.toFixed(2)}–${bin.binEnd.toFixed(2)}: ${bin.count} pixels (${(bin.proportion * 100).toFixed(1)}%)`}>
+                          <div key={i} className="hist-col" title={`${divIndex.label} ${bin.binStart.toFixed(2)}–${bin.binEnd.toFixed(2)}: ${bin.count} pixels (${(bin.proportion * 100).toFixed(1)}%)`}>
                             <div className="hist-bar" style={{ height: `${pct}%`, background: `rgb(${red}, ${green}, 40)`, animationDelay: `${i * 30}ms` }} />
                             {i % 4 === 0 && <div className="hist-label">{bin.binStart.toFixed(1)}</div>}
                           </div>
@@ -1673,22 +6234,22 @@ export default function NordmarkaForest() {
                       })}
                     </div>
                     <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, color: "var(--t2)", fontFamily: "var(--fm)", marginTop: 2 }}>
-                      <span>← Bare/water</span><span>Dense vegetation →</span>
+                      <span>← {divIndex.range[0]}</span><span>{divIndex.range[1]} →</span>
                     </div>
                   </section>
 
                   {/* CV(NDVI) Time Series */}
                   <section className="card">
-                    <h2 className="card-title">CV(NDVI) Across Scenes</h2>
+                    <h2 className="card-title">CV({divIndex.label}) Across Scenes</h2>
                     <p className="card-desc">Spectral heterogeneity over time. Higher CV = more diverse vegetation structure.</p>
                     <div className="bar-chart">
                       {scenes.sort((a, b) => a.date.localeCompare(b.date)).map((sc, i) => {
-                        const maxCV = Math.max(...scenes.map(s => s.cvNDVI), 0.5);
+                        const maxCV = Math.max(...scenes.map(s => s.cv), 0.5);
                         return (
-                          <div key={i} className="bar-col" title={`${sc.date}\nCV: ${sc.cvNDVI.toFixed(3)}\nRao's Q: ${sc.raoQ.toFixed(4)}\nShannon: ${sc.shannonH.toFixed(3)}\nPixels: ${sc.pixelCount}`}>
-                            <div className="bar" style={{ height: `${(sc.cvNDVI / maxCV) * 100}%`, background: sc.cvNDVI > 0.2 ? "var(--green)" : sc.cvNDVI > 0.1 ? "#52b788" : "#b7e4c7", animationDelay: `${i * 60}ms` }} />
+                          <div key={i} className="bar-col" title={`${sc.date}\nCV: ${sc.cv.toFixed(3)}\nRao's Q: ${sc.raoQ.toFixed(4)}\nShannon: ${sc.shannonH.toFixed(3)}\nPixels: ${sc.pixelCount}`}>
+                            <div className="bar" style={{ height: `${(sc.cv / maxCV) * 100}%`, background: sc.cv > 0.2 ? "var(--green)" : sc.cv > 0.1 ? "#52b788" : "#b7e4c7", animationDelay: `${i * 60}ms` }} />
                             <div className="bar-label">{sc.date.slice(5, 7)}/{sc.date.slice(8, 10)}</div>
-                            <div className="bar-val">{sc.cvNDVI.toFixed(2)}</div>
+                            <div className="bar-val">{sc.cv.toFixed(2)}</div>
                           </div>
                         );
                       })}
@@ -1700,21 +6261,24 @@ export default function NordmarkaForest() {
                     <h2 className="card-title">Per-Scene Analysis</h2>
                     <div className="scene-table">
                       <div className="div-table-header">
-                        <span>Date</span><span>Scene ID</span><span>Cloud%</span><span>CV(NDVI)</span><span>Rao's Q</span><span>Shannon</span><span>Pixels</span>
+                        <span>Date</span><span>Scene ID</span><span>Cloud%</span><span>CV({divIndex.label})</span><span>Rao's Q</span><span>Shannon</span><span>Pixels</span><span>Masked</span>
                       </div>
                       {scenes.sort((a, b) => a.date.localeCompare(b.date)).map((sc, i) => (
                         <div key={i} className="div-table-row">
                           <span style={{ fontFamily: "var(--fm)", fontWeight: 600 }}>{sc.date}</span>
                           <span style={{ fontSize: 10, fontFamily: "var(--fm)", color: "var(--t2)", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{sc.sceneId}</span>
                           <span style={{ fontFamily: "var(--fm)" }}>{sc.cloudCover?.toFixed(1)}%</span>
-                          <span style={{ fontFamily: "var(--fm)", fontWeight: 700, color: "var(--green)" }}>{sc.cvNDVI.toFixed(3)}</span>
+                          <span style={{ fontFamily: "var(--fm)", fontWeight: 700, color: "var(--green)" }}>{sc.cv.toFixed(3)}</span>
                           <span style={{ fontFamily: "var(--fm)", color: "var(--green)" }}>{sc.raoQ.toFixed(4)}</span>
                           <span style={{ fontFamily: "var(--fm)", color: "var(--green)" }}>{sc.shannonH.toFixed(3)}</span>
                           <span style={{ fontFamily: "var(--fm)", fontSize: 11 }}>{sc.pixelCount.toLocaleString()}</span>
+                          <span style={{ fontFamily: "var(--fm)", fontSize: 11, color: "var(--t2)" }} title={[...Object.entries(sc.maskStats.maskedByClass).map(([cls, n]) => `${SCL_CLASSES[cls]?.label ?? cls}: ${n}`), `Fill / invalid reflectance: ${sc.maskStats.invalid}`].join("\n")}>
+                            {sc.maskStats.hasSCL ? `${((1 - sc.maskStats.valid / (sc.maskStats.aoiPixels || 1)) * 100).toFixed(0)}%` : "no SCL"}
+                          </span>
                         </div>
                       ))}
                     </div>
-                    <div className="source-tag">Source: Sentinel-2 L2A COGs via earth-search.aws.element84.com · Bands: B04 (Red), B08 (NIR)</div>
+                    <div className="source-tag">Source: {divSensor === SENSORS.oli ? "Landsat C2 L2" : "Sentinel-2 L2A"} COGs via earth-search.aws.element84.com · Assets: {[...divIndex.bands.map((b) => divSensor.bands[b]), divSensor.mask].join(", ")}</div>
                   </section>
 
                   {/* Interpretation guide */}
@@ -1735,6 +6299,7 @@ export default function NordmarkaForest() {
                       ))}
                     </div>
                     <div style={{ marginTop: 16, fontSize: 12, color: "var(--t2)", lineHeight: 1.7 }}>
+                      {divIndex.id !== "ndvi" && <><strong>Note:</strong> the CV classes above are calibrated for NDVI; other indices have different ranges.<br/></>}
                       <strong>For Nordmarka:</strong> Expect CV ~0.15–0.25 (spruce-dominated with birch/pine mix).
                       Rao's Q ~0.01–0.15 and Shannon H' ~1.5–2.5 are typical for boreal mixed forests.
                       Seasonal variation is expected — summer scenes show higher diversity due to deciduous canopy.
@@ -1744,12 +6309,13 @@ export default function NordmarkaForest() {
                   <section className="card">
                     <h2 className="card-title">Data & Method</h2>
                     <div style={{ fontSize: 12, fontFamily: "var(--fm)", color: "var(--t2)", lineHeight: 2 }}>
-                      <div><strong>Sensor:</strong> Sentinel-2 L2A (10m resolution, bands B04 + B08)</div>
+                      <div><strong>Sensor:</strong> {divSensor.label} ({divSensor === SENSORS.oli ? "30" : "10"}m resolution, assets {divIndex.bands.map((b) => divSensor.bands[b]).join(" + ")}; other bands resampled to the first)</div>
+                      <div><strong>Masking:</strong> SCL (20m) — only class 4 (vegetation) kept; clouds, shadows, snow, water excluded</div>
                       <div><strong>Format:</strong> Cloud-Optimized GeoTIFF (COG) overviews</div>
-                      <div><strong>NDVI bins:</strong> 20 bins from -0.2 to 1.0</div>
-                      <div><strong>Area:</strong> Nordmarka bbox [{NORDMARKA.bbox.join(", ")}]</div>
-                      <div><strong>Projection:</strong> UTM zone 32N (auto-converted from pixel coords)</div>
-                      <div><strong>Limitations:</strong> Uses overview images (~100m effective resolution). Full-resolution analysis would require server-side processing.</div>
+                      <div><strong>{divIndex.label} bins:</strong> 20 bins from {divIndex.range[0]} to {divIndex.range[1]}</div>
+                      <div><strong>Area:</strong> {area.geometry ? `${area.name} polygon (${area.area_km2} km², pixels outside the boundary are masked)` : `${area.name} bbox [${area.bbox.join(", ")}]`}</div>
+                      <div><strong>Projection:</strong> Area boundary projected to the scene's UTM zone and rasterised per pixel</div>
+                      <div><strong>Limitations:</strong> Uses the coarsest COG overview with ≥ {MIN_AOI_PIXELS.toLocaleString()} pixels inside the area. Full-resolution analysis would require server-side processing.</div>
                     </div>
                   </section>
                 </>
@@ -1840,6 +6406,7 @@ const styles = `
   .bar-chart { display: flex; gap: 4px; height: 140px; align-items: flex-end; padding-top: 20px; position: relative; }
   .bar-col { flex: 1; display: flex; flex-direction: column-reverse; align-items: center; height: 100%; position: relative; justify-content: flex-start; }
   .bar-col .bar { width: 100%; border-radius: 3px 3px 0 0; min-height: 2px; animation: growUp 0.5s ease both; }
+  .bar-col .bar.fallback { opacity: 0.45; background-image: repeating-linear-gradient(45deg, transparent 0 3px, rgba(255,255,255,0.6) 3px 6px) !important; }
   .bar-label { font-size: 9px; font-family: var(--fm); color: var(--t2); margin-top: 4px; }
   .bar-val { font-size: 8px; font-family: var(--fm); color: var(--t2); margin-bottom: 4px; }
   @keyframes growUp { from { height: 0 !important; } }
@@ -1853,7 +6420,6 @@ const styles = `
   .wms-preview { background: var(--bg2); border-radius: 8px; overflow: hidden; border: 1px solid var(--border); }
   .wms-preview.large { min-height: 300px; }
   .wms-img { width: 100%; display: block; image-rendering: auto; }
-  .wms-fallback { padding: 24px; color: var(--t2); font-size: 13px; text-align: center; }
 
   .source-tag { font-size: 10px; font-family: var(--fm); color: var(--t2); margin-top: 10px; padding-top: 8px; border-top: 1px solid var(--border); }
 
@@ -1871,6 +6437,9 @@ const styles = `
   }
   .scene-row.clickable { cursor: pointer; }
   .scene-row.clickable:hover { background: var(--bg); }
+  .scene-row.selected, .scene-row.selected:hover { background: #d8f3dc; }
+
+  .source-badge { font-size: 10px; font-family: var(--fm); font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; }
 
   .ndvi-badge {
     display: inline-block; padding: 2px 8px; border-radius: 10px;
@@ -1914,14 +6483,29 @@ const styles = `
   .hist-bar { width: 100%; border-radius: 2px 2px 0 0; min-height: 1px; animation: grow 0.4s ease both; }
   .hist-label { font-size: 8px; font-family: var(--fm); color: var(--t2); margin-top: 3px; position: absolute; bottom: -16px; }
 
+  /* Shared header/row grid for the data tables; a second class sets the columns */
+  .data-table-header, .data-table-row { display: grid; gap: 8px; padding: 8px 10px; align-items: center; }
+  .data-table-header {
+    font-size: 10px; font-family: var(--fm); color: var(--t2); text-transform: uppercase;
+    letter-spacing: 0.05em; border-bottom: 1px solid var(--border);
+  }
+  .data-table-row { font-size: 12px; border-bottom: 1px solid var(--bg); }
+  .model-cols { grid-template-columns: 130px repeat(5, 1fr) 60px; }
+  .growth-cols { grid-template-columns: 90px repeat(4, 1fr); }
+  .ci-cols { grid-template-columns: 60px repeat(8, 1fr); }
+  .fwi-cols { grid-template-columns: 60px repeat(4, 70px) repeat(6, 1fr); }
+  .wind-cols { grid-template-columns: 110px 110px 90px 90px 80px 1fr; }
+  .pheno-cols { grid-template-columns: 60px repeat(3, 1fr) 80px 80px 60px; }
+  .green-thermal-cols { grid-template-columns: 60px repeat(6, 1fr); }
+
   .div-table-header {
-    display: grid; grid-template-columns: 90px 1fr 60px 80px 80px 80px 80px;
+    display: grid; grid-template-columns: 90px 1fr 60px 80px 80px 80px 80px 60px;
     gap: 8px; padding: 8px 10px; font-size: 10px; font-family: var(--fm);
     color: var(--t2); text-transform: uppercase; letter-spacing: 0.05em;
     border-bottom: 1px solid var(--border);
   }
   .div-table-row {
-    display: grid; grid-template-columns: 90px 1fr 60px 80px 80px 80px 80px;
+    display: grid; grid-template-columns: 90px 1fr 60px 80px 80px 80px 80px 60px;
     gap: 8px; padding: 8px 10px; font-size: 12px; align-items: center;
     border-bottom: 1px solid var(--bg);
   }
@@ -1977,6 +6561,88 @@ const styles = `
     white-space: nowrap;
   }
 
+  .ramp-bar { height: 12px; border-radius: 3px; border: 1px solid var(--border); }
+  .ramp-labels { display: flex; justify-content: space-between; font-size: 10px; font-family: var(--fm); color: var(--t2); margin-top: 4px; }
+
+  /* ═══ Raster controls ═══ */
+  .raster-controls { display: flex; gap: 12px; align-items: center; flex-wrap: wrap; margin-bottom: 12px; font-size: 12px; color: var(--t2); }
+  .raster-controls input[type=range] { width: 120px; accent-color: var(--green); }
+
+  .search-settings .raster-controls { margin-bottom: 8px; }
+  .month-toggles { display: flex; gap: 2px; flex-wrap: wrap; }
+  .month-btn {
+    padding: 3px 7px; font-size: 11px; font-family: var(--fm); border: 1px solid var(--border);
+    background: var(--card); color: var(--t2); border-radius: 4px; cursor: pointer;
+  }
+  .month-btn.active { background: var(--green); color: white; border-color: var(--green); }
+  .patch-table-header, .patch-table-row {
+    display: grid; grid-template-columns: 40px 80px 90px 90px 1fr 180px;
+    gap: 8px; padding: 8px 10px; align-items: center; border-bottom: 1px solid var(--bg);
+  }
+  .patch-table-header {
+    font-size: 10px; font-family: var(--fm); color: var(--t2); text-transform: uppercase;
+    letter-spacing: 0.05em; border-bottom: 1px solid var(--border);
+  }
+  .patch-table-row { font-size: 12px; }
+
+  .slippy-viewport {
+    position: relative; overflow: hidden; background: var(--bg2); border-radius: 8px; border: 1px solid var(--border);
+    cursor: grab; touch-action: none; user-select: none;
+  }
+  .slippy-viewport:active { cursor: grabbing; }
+  .slippy-layer { position: absolute; inset: 0; pointer-events: none; }
+  .slippy-tile { position: absolute; display: block; max-width: none; }
+  .slippy-aoi { fill: none; stroke: #c0392b; stroke-width: 2; stroke-dasharray: 6 4; }
+  .slippy-zoom { position: absolute; top: 10px; left: 10px; display: flex; flex-direction: column; gap: 4px; }
+  .slippy-zoom button {
+    width: 30px; height: 30px; border-radius: 6px; border: 1px solid var(--border); background: var(--card);
+    font-size: 16px; color: var(--t1); cursor: pointer; box-shadow: var(--shadow);
+  }
+  .slippy-zoom button:hover { background: var(--bg2); }
+  .slippy-scale {
+    position: absolute; left: 10px; bottom: 8px; font-size: 10px; font-family: var(--fm); color: var(--t1);
+    background: rgba(255,255,255,0.8); padding: 2px 6px; border-radius: 4px;
+  }
+  .slippy-scale-bar { height: 5px; border: 1.5px solid var(--t1); border-top: none; margin-bottom: 2px; }
+  .slippy-attribution {
+    position: absolute; right: 0; bottom: 0; font-size: 10px; color: var(--t2);
+    background: rgba(255,255,255,0.8); padding: 2px 6px; border-top-left-radius: 4px;
+  }
+  .slippy-controls { margin: 10px 0 0; }
+  .slippy-viewport.queryable { cursor: crosshair; }
+  .slippy-marker {
+    position: absolute; transform: translate(-50%, -50%); min-width: 18px; height: 18px; padding: 0 4px;
+    border-radius: 9px; font-size: 10px; font-family: var(--fm); font-weight: 600; line-height: 18px;
+    text-align: center; color: white; background: var(--green); border: 1px solid white; box-shadow: var(--shadow);
+    pointer-events: none;
+  }
+  .slippy-popup {
+    position: absolute; transform: translate(-50%, calc(-100% - 14px)); min-width: 200px; padding: 10px 12px;
+    background: var(--card); border: 1px solid var(--border); border-radius: 8px; box-shadow: var(--shadow);
+    font-size: 12px; cursor: default;
+  }
+  .slippy-popup::after {
+    content: ""; position: absolute; left: 50%; bottom: -6px; width: 10px; height: 10px; margin-left: -5px;
+    background: var(--card); border-right: 1px solid var(--border); border-bottom: 1px solid var(--border);
+    transform: rotate(45deg);
+  }
+  .slippy-popup-close {
+    position: absolute; top: 4px; right: 6px; border: none; background: none; font-size: 16px;
+    color: var(--t2); cursor: pointer; line-height: 1;
+  }
+  .point-table-header, .point-table-row {
+    display: grid; grid-template-columns: 30px 150px repeat(5, 1fr);
+    gap: 8px; padding: 8px 10px; align-items: center; border-bottom: 1px solid var(--bg);
+  }
+  .point-table-header {
+    font-size: 10px; font-family: var(--fm); color: var(--t2); text-transform: uppercase;
+    letter-spacing: 0.05em; border-bottom: 1px solid var(--border);
+  }
+  .point-table-row { font-size: 12px; }
+  .point-values { display: grid; grid-template-columns: auto auto; gap: 2px 12px; margin-top: 6px; }
+  .point-values span:nth-child(odd) { color: var(--t2); }
+  .point-values span:nth-child(even) { font-family: var(--fm); font-weight: 600; text-align: right; }
+
   /* ═══ Mode Toggle ═══ */
   .mode-toggle {
     display: inline-flex; border-radius: 20px; overflow: hidden;
@@ -1991,6 +6657,23 @@ const styles = `
     background: var(--green); color: white;
   }
 
+  /* ═══ Area Picker ═══ */
+  .area-picker { display: inline-flex; align-items: center; gap: 6px; flex-wrap: wrap; }
+  .area-select, .area-input {
+    font-family: var(--fb); font-size: 12px; color: var(--t1);
+    padding: 5px 10px; border-radius: 20px; border: 1px solid var(--border); background: var(--bg);
+  }
+  .area-input { border-radius: 6px; width: 150px; }
+  .area-input.invalid { border-color: #c0392b; }
+  .area-form { display: inline-flex; gap: 6px; flex-wrap: wrap; }
+  .area-btn {
+    background: var(--green); color: white; border: none; padding: 5px 12px;
+    border-radius: 6px; font-family: var(--fb); font-size: 12px; cursor: pointer;
+  }
+  .area-btn.secondary { background: var(--bg2); color: var(--t2); }
+  .area-btn:disabled { opacity: 0.5; cursor: default; }
+  .area-error { font-size: 11px; color: #c0392b; align-self: center; }
+
   /* ═══ Simple Mode Styles ═══ */
   .simple .card { padding: 24px; }
   .simple .card-title { font-size: 19px; }
@@ -2020,6 +6703,8 @@ const styles = `
   .simple-weather-desc { font-size: 16px; color: var(--t2); }
   .simple-weather-details { display: flex; gap: 20px; font-size: 14px; color: var(--t2); }
 
+  .legend-row { display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-start; }
+  .legend-img { display: block; max-width: 100%; }
   .simple-legend { display: flex; gap: 16px; flex-wrap: wrap; margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--border); }
   .legend-item { display: flex; align-items: center; gap: 6px; font-size: 13px; color: var(--t2); }
   .legend-dot { width: 14px; height: 14px; border-radius: 3px; border: 1px solid var(--border); }
@@ -2056,11 +6741,31 @@ const styles = `
     .header-right { flex-direction: column; align-items: flex-end; }
     .stats-grid { grid-template-columns: 1fr 1fr; }
     .gs-table-header, .gs-table-row { grid-template-columns: 50px 70px 70px 70px 70px; }
+    .ci-cols { grid-template-columns: 50px repeat(4, 1fr) 50px; }
+    .model-cols { grid-template-columns: 1fr repeat(3, 60px); }
+    .model-cols span:nth-child(3), .model-cols span:nth-child(n+6) { display: none; }
+    .ci-cols span:nth-child(n+6):nth-child(-n+8) { display: none; }
+    .fwi-cols { grid-template-columns: 50px repeat(4, 1fr) 50px; }
+    .fwi-cols span:nth-child(n+6):nth-child(-n+10) { display: none; }
+    .wind-cols { grid-template-columns: 1fr 1fr 70px 70px; }
+    .wind-cols span:nth-child(4), .wind-cols span:nth-child(6) { display: none; }
+    .pheno-cols { grid-template-columns: 50px repeat(3, 1fr) 60px; }
+    .pheno-cols span:nth-child(3), .pheno-cols span:nth-child(7) { display: none; }
+    .green-thermal-cols { grid-template-columns: 50px repeat(4, 1fr); }
+    .green-thermal-cols span:nth-child(3), .green-thermal-cols span:nth-child(6) { display: none; }
     .gs-table-header span:nth-child(6), .gs-table-row span:nth-child(6),
     .gs-table-header span:nth-child(7), .gs-table-row span:nth-child(7) { display: none; }
     .div-table-header, .div-table-row { grid-template-columns: 80px 1fr 50px 70px 70px; }
     .div-table-header span:nth-child(6), .div-table-row span:nth-child(6),
-    .div-table-header span:nth-child(7), .div-table-row span:nth-child(7) { display: none; }
+    .div-table-header span:nth-child(7), .div-table-row span:nth-child(7),
+    .div-table-header span:nth-child(8), .div-table-row span:nth-child(8) { display: none; }
+    .patch-table-header, .patch-table-row { grid-template-columns: 30px 70px 70px 1fr; }
+    .point-table-header, .point-table-row { grid-template-columns: 24px 1fr 60px 60px; }
+    .point-table-header span:nth-child(4), .point-table-row span:nth-child(4),
+    .point-table-header span:nth-child(6), .point-table-row span:nth-child(6),
+    .point-table-header span:nth-child(7), .point-table-row span:nth-child(7) { display: none; }
+    .patch-table-header span:nth-child(4), .patch-table-row span:nth-child(4),
+    .patch-table-header span:nth-child(6), .patch-table-row span:nth-child(6) { display: none; }
     .hero-content { flex-direction: column; gap: 12px; }
     .hero-indicator { width: 44px; height: 44px; font-size: 22px; }
     .hero-title { font-size: 20px; }
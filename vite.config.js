@@ -10,6 +10,17 @@ export default defineConfig({
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api\/met/, ""),
       },
+      // Prefix match: must come before /api/nibio
+      "/api/nibio-wcs": {
+        target: "https://wcs.nibio.no",
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/nibio-wcs/, ""),
+      },
+      "/api/nibio": {
+        target: "https://wms.nibio.no",
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/nibio/, ""),
+      },
     },
   },
 });
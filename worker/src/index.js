@@ -2,6 +2,21 @@ const ALLOWED_ORIGIN = "https://tekna-hackathon.janschill.de";
 const MET_BASE = "https://api.met.no";
 const CACHE_TTL = 600; // 10 minutes
 
+// Path prefixes forwarded to NIBIO, mirroring the Vite dev proxy; everything else goes to MET
+const ROUTES = [
+  { prefix: "/nibio", base: "https://wms.nibio.no" },
+  { prefix: "/nibio-wcs", base: "https://wcs.nibio.no" },
+];
+
+function resolveTarget(url) {
+  for (const { prefix, base } of ROUTES) {
+    if (url.pathname === prefix || url.pathname.startsWith(`${prefix}/`)) {
+      return `${base}${url.pathname.slice(prefix.length)}${url.search}`;
+    }
+  }
+  return `${MET_BASE}${url.pathname}${url.search}`;
+}
+
 export default {
   async fetch(request, env, ctx) {
     const origin = request.headers.get("Origin") || "";
@@ -16,7 +31,8 @@ export default {
     }
 
     const url = new URL(request.url);
-    const cacheKey = new Request(`${MET_BASE}${url.pathname}${url.search}`, request);
+    const targetUrl = resolveTarget(url);
+    const cacheKey = new Request(targetUrl, request);
     const cache = caches.default;
 
     const cached = await cache.match(cacheKey);
@@ -30,7 +46,6 @@ export default {
       return response;
     }
 
-    const targetUrl = `${MET_BASE}${url.pathname}${url.search}`;
     const response = await fetch(targetUrl, {
       headers: {
         "User-Agent": "SkogkontrollApp/1.0 github.com/skogkontroll",